@@ -3,7 +3,7 @@
 -- MySQL Database Schema
 -- ============================================
 -- This schema handles structured, relational data:
--- Users, Courses, Enrollments, Quizzes, and Quiz Submissions
+-- Users, Courses, Enrollments, Quizzes, Quiz Questions and Quiz Submissions
 -- ============================================
 
 -- Drop existing database if exists and create fresh
@@ -37,11 +37,14 @@ CREATE TABLE courses (
     course_name VARCHAR(200) NOT NULL,
     description TEXT,
     instructor_id INT NOT NULL,
+    is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+    archived_at DATETIME NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (instructor_id) REFERENCES users(user_id) ON DELETE CASCADE,
     INDEX idx_instructor (instructor_id),
-    INDEX idx_course_code (course_code)
+    INDEX idx_course_code (course_code),
+    INDEX idx_archived (is_archived)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -62,6 +65,55 @@ CREATE TABLE enrollments (
     INDEX idx_status (status)
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- TABLE: course_upload_limits
+-- Purpose: Per-course file upload limits for assignment files
+-- Courses without a row use the server defaults
+-- ============================================
+CREATE TABLE course_upload_limits (
+    course_id INT PRIMARY KEY,
+    max_file_size_mb DECIMAL(6,2) NOT NULL,
+    allowed_mime_types JSON,
+    updated_by INT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: course_groups
+-- Purpose: Project teams within a course (used by group assignments)
+-- ============================================
+CREATE TABLE course_groups (
+    group_id INT PRIMARY KEY AUTO_INCREMENT,
+    course_id INT NOT NULL,
+    group_name VARCHAR(100) NOT NULL,
+    created_by INT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_group_name (course_id, group_name),
+    INDEX idx_course (course_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: course_group_members
+-- Purpose: Students in each group (at most one group per course)
+-- ============================================
+CREATE TABLE course_group_members (
+    group_id INT NOT NULL,
+    course_id INT NOT NULL,
+    student_id INT NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, student_id),
+    FOREIGN KEY (group_id) REFERENCES course_groups(group_id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_course_member (course_id, student_id),
+    INDEX idx_student (student_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- TABLE: quizzes
 -- Purpose: Store quiz information for each course
@@ -73,8 +125,19 @@ CREATE TABLE quizzes (
     description TEXT,
     max_marks INT NOT NULL DEFAULT 100,
     due_date DATETIME,
+    time_limit_minutes INT,
+    max_attempts INT DEFAULT 1,
+    scoring_policy ENUM('highest', 'latest', 'average') NOT NULL DEFAULT 'highest',
+    shuffle_questions BOOLEAN NOT NULL DEFAULT FALSE,
+    shuffle_options BOOLEAN NOT NULL DEFAULT FALSE,
+    available_from DATETIME,
+    available_until DATETIME,
+    late_policy ENUM('reject', 'flat', 'percent_per_day') NOT NULL DEFAULT 'reject',
+    late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
+    position INT NOT NULL DEFAULT 0,
     FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
     INDEX idx_course (course_id),
     INDEX idx_due_date (due_date)
@@ -82,22 +145,169 @@ CREATE TABLE quizzes (
 
 -- ============================================
 -- TABLE: quiz_submissions
--- Purpose: Store student quiz submissions and marks
+-- Purpose: Store student quiz attempts and marks
+-- An attempt is 'in_progress' from start until it is submitted
+-- or closed by the server at its deadline ('expired')
+-- marks_obtained is raw_marks after any late penalty
 -- ============================================
 CREATE TABLE quiz_submissions (
     submission_id INT PRIMARY KEY AUTO_INCREMENT,
     quiz_id INT NOT NULL,
     student_id INT NOT NULL,
-    marks_obtained INT NOT NULL,
+    attempt_number INT NOT NULL DEFAULT 1,
+    status ENUM('in_progress', 'submitted', 'expired') NOT NULL DEFAULT 'submitted',
+    raw_marks DECIMAL(6,2),
+    marks_obtained DECIMAL(6,2),
+    is_late BOOLEAN NOT NULL DEFAULT FALSE,
+    late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
     submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     graded_at DATETIME,
     feedback TEXT,
     FOREIGN KEY (quiz_id) REFERENCES quizzes(quiz_id) ON DELETE CASCADE,
     FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
-    UNIQUE KEY unique_submission (quiz_id, student_id),
+    UNIQUE KEY unique_attempt (quiz_id, student_id, attempt_number),
     INDEX idx_quiz (quiz_id),
     INDEX idx_student (student_id),
-    INDEX idx_submitted_at (submitted_at)
+    INDEX idx_submitted_at (submitted_at),
+    INDEX idx_status_expires (status, expires_at)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_extensions
+-- Purpose: Per-student extensions and accommodations
+-- NULL dates fall back to the quiz's own schedule
+-- ============================================
+CREATE TABLE quiz_extensions (
+    extension_id INT PRIMARY KEY AUTO_INCREMENT,
+    quiz_id INT NOT NULL,
+    student_id INT NOT NULL,
+    due_date DATETIME,
+    available_until DATETIME,
+    extra_time_minutes INT NOT NULL DEFAULT 0,
+    reason TEXT,
+    granted_by INT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (quiz_id) REFERENCES quizzes(quiz_id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_extension (quiz_id, student_id),
+    INDEX idx_student (student_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_questions
+-- Purpose: Question bank for each quiz, including the answer key
+-- for numeric questions
+-- ============================================
+CREATE TABLE quiz_questions (
+    question_id INT PRIMARY KEY AUTO_INCREMENT,
+    quiz_id INT NOT NULL,
+    question_type ENUM('multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_text', 'essay') NOT NULL,
+    question_text TEXT NOT NULL,
+    marks DECIMAL(6,2) NOT NULL DEFAULT 1,
+    position INT NOT NULL DEFAULT 0,
+    pool_tag VARCHAR(50),
+    numeric_answer DECIMAL(15,5),
+    numeric_tolerance DECIMAL(15,5) DEFAULT 0,
+    explanation TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (quiz_id) REFERENCES quizzes(quiz_id) ON DELETE CASCADE,
+    INDEX idx_quiz_position (quiz_id, position),
+    INDEX idx_quiz_pool (quiz_id, pool_tag)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_pool_rules
+-- Purpose: Draw N questions per attempt from questions sharing a pool_tag
+-- ============================================
+CREATE TABLE quiz_pool_rules (
+    rule_id INT PRIMARY KEY AUTO_INCREMENT,
+    quiz_id INT NOT NULL,
+    pool_tag VARCHAR(50) NOT NULL,
+    draw_count INT NOT NULL,
+    FOREIGN KEY (quiz_id) REFERENCES quizzes(quiz_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_pool (quiz_id, pool_tag)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: question_options
+-- Purpose: Answer options for choice questions and accepted
+-- answers for short text questions
+-- ============================================
+CREATE TABLE question_options (
+    option_id INT PRIMARY KEY AUTO_INCREMENT,
+    question_id INT NOT NULL,
+    option_text TEXT NOT NULL,
+    is_correct BOOLEAN NOT NULL DEFAULT FALSE,
+    position INT NOT NULL DEFAULT 0,
+    FOREIGN KEY (question_id) REFERENCES quiz_questions(question_id) ON DELETE CASCADE,
+    INDEX idx_question (question_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_attempt_questions
+-- Purpose: The questions drawn for each attempt, in the order the
+-- student saw them (option_order holds shuffled option ids)
+-- ============================================
+CREATE TABLE quiz_attempt_questions (
+    submission_id INT NOT NULL,
+    question_id INT NOT NULL,
+    position INT NOT NULL,
+    option_order JSON,
+    PRIMARY KEY (submission_id, question_id),
+    FOREIGN KEY (submission_id) REFERENCES quiz_submissions(submission_id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES quiz_questions(question_id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_submission_answers
+-- Purpose: Per-question responses and results for each submission
+-- marks_awarded stays NULL for essay/free-text answers until graded
+-- ============================================
+CREATE TABLE quiz_submission_answers (
+    answer_id INT PRIMARY KEY AUTO_INCREMENT,
+    submission_id INT NOT NULL,
+    question_id INT NOT NULL,
+    response JSON,
+    is_correct BOOLEAN,
+    marks_awarded DECIMAL(6,2),
+    feedback TEXT,
+    graded_by INT,
+    graded_at DATETIME,
+    FOREIGN KEY (submission_id) REFERENCES quiz_submissions(submission_id) ON DELETE CASCADE,
+    FOREIGN KEY (graded_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (question_id) REFERENCES quiz_questions(question_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_answer (submission_id, question_id),
+    INDEX idx_question (question_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLE: quiz_regrade_requests
+-- Purpose: Student disputes of a quiz mark and the instructor's decision
+-- question_id NULL means the request is about the whole submission
+-- ============================================
+CREATE TABLE quiz_regrade_requests (
+    request_id INT PRIMARY KEY AUTO_INCREMENT,
+    submission_id INT NOT NULL,
+    question_id INT,
+    student_id INT NOT NULL,
+    reason TEXT NOT NULL,
+    status ENUM('open', 'accepted', 'rejected') NOT NULL DEFAULT 'open',
+    instructor_response TEXT,
+    previous_marks DECIMAL(6,2),
+    resulting_marks DECIMAL(6,2),
+    resolved_by INT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (submission_id) REFERENCES quiz_submissions(submission_id) ON DELETE CASCADE,
+    FOREIGN KEY (question_id) REFERENCES quiz_questions(question_id) ON DELETE SET NULL,
+    FOREIGN KEY (student_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (resolved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    INDEX idx_submission_status (submission_id, status),
+    INDEX idx_student (student_id)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -135,23 +345,44 @@ INSERT INTO enrollments (student_id, course_id, status) VALUES
 (7, 3, 'active'); -- David in CS301
 
 -- Insert sample quizzes
-INSERT INTO quizzes (course_id, title, description, max_marks, due_date) VALUES
-(1, 'Quiz 1: Programming Basics', 'Variables, data types, and control structures', 50, '2025-12-15 23:59:59'),
-(1, 'Quiz 2: Functions and Arrays', 'Understanding functions and array manipulation', 50, '2025-12-20 23:59:59'),
-(3, 'Quiz 1: SQL Fundamentals', 'SELECT, JOIN, and basic query writing', 100, '2025-12-18 23:59:59'),
-(3, 'Quiz 2: Normalization', 'Database normalization and design principles', 100, '2025-12-25 23:59:59'),
-(2, 'Quiz 1: Complexity Analysis', 'Big-O notation and algorithm analysis', 75, '2025-12-22 23:59:59');
+INSERT INTO quizzes (course_id, title, description, max_marks, due_date, position) VALUES
+(1, 'Quiz 1: Programming Basics', 'Variables, data types, and control structures', 50, '2025-12-15 23:59:59', 1),
+(1, 'Quiz 2: Functions and Arrays', 'Understanding functions and array manipulation', 50, '2025-12-20 23:59:59', 2),
+(3, 'Quiz 1: SQL Fundamentals', 'SELECT, JOIN, and basic query writing', 100, '2025-12-18 23:59:59', 1),
+(3, 'Quiz 2: Normalization', 'Database normalization and design principles', 100, '2025-12-25 23:59:59', 2),
+(2, 'Quiz 1: Complexity Analysis', 'Big-O notation and algorithm analysis', 75, '2025-12-22 23:59:59', 1);
+
+-- Insert sample questions (Quiz 3: SQL Fundamentals)
+INSERT INTO quiz_questions (quiz_id, question_type, question_text, marks, position, numeric_answer, numeric_tolerance) VALUES
+(3, 'multiple_choice', 'Which clause filters rows after aggregation?', 25, 1, NULL, 0),
+(3, 'multi_select', 'Which of the following are valid JOIN types in MySQL?', 25, 2, NULL, 0),
+(3, 'true_false', 'A PRIMARY KEY column can contain NULL values.', 20, 3, NULL, 0),
+(3, 'numeric', 'How many rows does a CROSS JOIN of a 4-row table and a 5-row table return?', 15, 4, 20, 0),
+(3, 'short_text', 'Which SQL keyword removes duplicate rows from a result set?', 15, 5, NULL, 0);
+
+INSERT INTO question_options (question_id, option_text, is_correct, position) VALUES
+(1, 'WHERE', FALSE, 1),
+(1, 'HAVING', TRUE, 2),
+(1, 'GROUP BY', FALSE, 3),
+(1, 'ORDER BY', FALSE, 4),
+(2, 'INNER JOIN', TRUE, 1),
+(2, 'LEFT JOIN', TRUE, 2),
+(2, 'OUTER APPLY', FALSE, 3),
+(2, 'CROSS JOIN', TRUE, 4),
+(3, 'True', FALSE, 1),
+(3, 'False', TRUE, 2),
+(5, 'DISTINCT', TRUE, 1);
 
 -- Insert sample quiz submissions
-INSERT INTO quiz_submissions (quiz_id, student_id, marks_obtained, submitted_at, graded_at) VALUES
-(1, 4, 45, '2025-12-14 18:30:00', '2025-12-15 10:00:00'),
-(1, 5, 38, '2025-12-14 20:15:00', '2025-12-15 10:00:00'),
-(1, 7, 42, '2025-12-15 09:00:00', '2025-12-15 11:00:00'),
-(3, 4, 85, '2025-12-17 14:20:00', '2025-12-18 09:00:00'),
-(3, 5, 92, '2025-12-17 16:45:00', '2025-12-18 09:00:00'),
-(3, 7, 78, '2025-12-18 10:30:00', '2025-12-18 15:00:00'),
-(5, 5, 68, '2025-12-21 19:00:00', '2025-12-22 08:00:00'),
-(5, 6, 71, '2025-12-21 21:30:00', '2025-12-22 08:00:00');
+INSERT INTO quiz_submissions (quiz_id, student_id, raw_marks, marks_obtained, started_at, submitted_at, graded_at) VALUES
+(1, 4, 45, 45, '2025-12-14 18:00:00', '2025-12-14 18:30:00', '2025-12-15 10:00:00'),
+(1, 5, 38, 38, '2025-12-14 19:50:00', '2025-12-14 20:15:00', '2025-12-15 10:00:00'),
+(1, 7, 42, 42, '2025-12-15 08:40:00', '2025-12-15 09:00:00', '2025-12-15 11:00:00'),
+(3, 4, 85, 85, '2025-12-17 13:45:00', '2025-12-17 14:20:00', '2025-12-18 09:00:00'),
+(3, 5, 92, 92, '2025-12-17 16:10:00', '2025-12-17 16:45:00', '2025-12-18 09:00:00'),
+(3, 7, 78, 78, '2025-12-18 10:00:00', '2025-12-18 10:30:00', '2025-12-18 15:00:00'),
+(5, 5, 68, 68, '2025-12-21 18:30:00', '2025-12-21 19:00:00', '2025-12-22 08:00:00'),
+(5, 6, 71, 71, '2025-12-21 21:00:00', '2025-12-21 21:30:00', '2025-12-22 08:00:00');
 
 -- ============================================
 -- END OF SCHEMA CREATION
@@ -0,0 +1,74 @@
+/**
+ * File Storage
+ *
+ * Pluggable storage for uploaded files. Controllers only see storage keys
+ * (e.g. "courses/3/assignments/<id>/submissions/<file>"), never paths, so
+ * the backend can be swapped via STORAGE_DRIVER without touching them.
+ *
+ * A backend implements:
+ *   save(key, buffer)      -> Promise<void>
+ *   createReadStream(key)  -> Readable
+ *   exists(key)            -> Promise<boolean>
+ *   remove(key)            -> Promise<void>
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * Local disk backend (files under UPLOAD_DIR)
+ */
+const createLocalStorage = (rootDir) => {
+  // Keys are generated by the server, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, String(key));
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const backends = {
+  local: () => createLocalStorage(UPLOAD_DIR)
+};
+
+if (!backends[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (available: ${Object.keys(backends).join(', ')})`);
+}
+
+const storage = backends[STORAGE_DRIVER]();
+
+module.exports = {
+  storage,
+  createLocalStorage
+};
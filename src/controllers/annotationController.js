@@ -0,0 +1,395 @@
+/**
+ * Annotation Controller
+ *
+ * Inline feedback on text submissions using MongoDB: instructors comment
+ * on character ranges of one submitted version, optionally deducting
+ * points. Deductions on the graded version count toward its grade (see
+ * Assignment.applyGrade), before any late penalty.
+ */
+
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { submissionReference, resolveSubmissionStudent } = require('../utils/blindGrading');
+const {
+  MAX_ANNOTATIONS,
+  validateAnnotation,
+  summarizeAnnotations,
+  segmentText
+} = require('../utils/annotations');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+/**
+ * Find the submission a request is about.
+ * Students may only open their own; instructors refer to it by student id
+ * (submission code while grading is blind).
+ * Returns { assignment, studentId, submission } or { status, message }.
+ */
+const findSubmission = async (user, assignmentId, reference, { manage = false } = {}) => {
+  const assignment = mongoose.isValidObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+
+  if (!assignment) {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  const studentId = resolveSubmissionStudent(user, assignment, reference);
+
+  if (user.role === 'student') {
+    if (manage || studentId !== user.user_id) {
+      return { status: 403, message: 'Access denied' };
+    }
+  } else {
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(user, course.instructor_id)) {
+      return { status: 403, message: 'Access denied' };
+    }
+  }
+
+  const submission = studentId !== null ? assignment.getSubmissionByStudent(studentId) : null;
+
+  if (!submission) {
+    return { status: 404, message: 'Submission not found for this student' };
+  }
+
+  return { assignment, studentId, submission };
+};
+
+/**
+ * An annotation with the passage it covers
+ */
+const withQuote = (annotation, text) => ({
+  ...(annotation.toObject ? annotation.toObject() : annotation),
+  quote: String(text || '').slice(annotation.start, annotation.end)
+});
+
+/**
+ * Get a text submission with its annotations
+ * GET /api/assignments/:assignmentId/submissions/:studentId/annotations?version=
+ * Without a version the latest one is shown. Students see the annotations on
+ * their own submission (after grades are released if grading is blind).
+ */
+const getAnnotations = async (req, res) => {
+  try {
+    const { assignment, studentId, submission, status, message } =
+      await findSubmission(req.user, req.params.assignmentId, req.params.studentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const version = req.query.version ? parseInt(req.query.version) : (submission.version || 1);
+    const submitted = assignment.getSubmissionVersion(studentId, version);
+
+    if (!submitted) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for this submission`
+      });
+    }
+
+    if (submitted.submission_type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only text submissions can be annotated'
+      });
+    }
+
+    // Like the grade, blind-graded feedback reaches students on release
+    const withheld = req.user.role === 'student' && assignment.isGradingBlind();
+    const annotations = withheld
+      ? []
+      : submission.annotations.filter(a => a.version === version).sort((a, b) => a.start - b.start);
+
+    res.json({
+      success: true,
+      message: withheld
+        ? 'Annotations will be shown once grades are released'
+        : 'Annotations retrieved successfully',
+      data: {
+        ...submissionReference(req.user, assignment, studentId),
+        version,
+        submitted_at: submitted.submitted_at,
+        text: submitted.submission_text,
+        annotations: annotations.map(a => withQuote(a, submitted.submission_text)),
+        segments: segmentText(submitted.submission_text, annotations),
+        summary: {
+          ...summarizeAnnotations(annotations),
+          counts_toward_grade: !withheld && (submission.graded_version || null) === version
+        },
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve annotations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Annotate a text submission (instructor/admin)
+ * POST /api/assignments/:assignmentId/submissions/:studentId/annotations
+ * Body: { start, end, comment, deduction, version } (version defaults to the latest)
+ * start/end are character offsets into that version's text (end exclusive).
+ * A deduction on the graded version lowers its grade right away.
+ */
+const addAnnotation = async (req, res) => {
+  try {
+    const { start, end, comment, deduction } = req.body;
+
+    const { assignment, studentId, submission, status, message } =
+      await findSubmission(req.user, req.params.assignmentId, req.params.studentId, { manage: true });
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (assignment.is_group_assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group submissions cannot be annotated; use feedback instead'
+      });
+    }
+
+    const version = req.body.version !== undefined ? parseInt(req.body.version) : (submission.version || 1);
+    const submitted = assignment.getSubmissionVersion(studentId, version);
+
+    if (!submitted) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.body.version} not found for this submission`
+      });
+    }
+
+    if (submitted.submission_type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only text submissions can be annotated'
+      });
+    }
+
+    if (submission.annotations.length >= MAX_ANNOTATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A submission can have at most ${MAX_ANNOTATIONS} annotations`
+      });
+    }
+
+    const validationError = validateAnnotation(req.body, submitted.submission_text, assignment.max_marks);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await assignment.addAnnotation(studentId, {
+      version,
+      start: Number(start),
+      end: Number(end),
+      comment: String(comment).trim(),
+      deduction: deduction !== undefined && deduction !== null ? Number(deduction) : 0,
+      created_by: req.user.user_id
+    });
+
+    const annotation = submission.annotations[submission.annotations.length - 1];
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          ...submissionReference(req.user, assignment, studentId),
+          annotation_added: annotation._id,
+          deduction: annotation.deduction
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Annotation added',
+      data: {
+        annotation: withQuote(annotation, submitted.submission_text),
+        annotation_deduction: submission.annotation_deduction,
+        grade: submission.grade,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Add annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add annotation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change an annotation (instructor/admin)
+ * PUT /api/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId
+ * Body: any of { start, end, comment, deduction }
+ */
+const updateAnnotation = async (req, res) => {
+  try {
+    const { annotationId } = req.params;
+    const { start, end, comment, deduction } = req.body;
+
+    const changes = {};
+    if (start !== undefined) changes.start = Number(start);
+    if (end !== undefined) changes.end = Number(end);
+    if (comment !== undefined) changes.comment = String(comment).trim();
+    if (deduction !== undefined) changes.deduction = deduction === null ? 0 : Number(deduction);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: start, end, comment, deduction'
+      });
+    }
+
+    const { assignment, studentId, submission, status, message } =
+      await findSubmission(req.user, req.params.assignmentId, req.params.studentId, { manage: true });
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const annotation = mongoose.isValidObjectId(annotationId) ? submission.annotations.id(annotationId) : null;
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    const submitted = assignment.getSubmissionVersion(studentId, annotation.version);
+    const validationError = validateAnnotation(
+      { ...annotation.toObject(), ...changes },
+      submitted ? submitted.submission_text : '',
+      assignment.max_marks
+    );
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await assignment.updateAnnotation(studentId, annotation._id, changes);
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          ...submissionReference(req.user, assignment, studentId),
+          annotation_updated: annotation._id,
+          fields: Object.keys(changes)
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Annotation updated',
+      data: {
+        annotation: withQuote(annotation, submitted.submission_text),
+        annotation_deduction: submission.annotation_deduction,
+        grade: submission.grade,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Update annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update annotation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an annotation (instructor/admin)
+ * DELETE /api/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId
+ * Any deduction it made is given back.
+ */
+const deleteAnnotation = async (req, res) => {
+  try {
+    const { annotationId } = req.params;
+
+    const { assignment, studentId, submission, status, message } =
+      await findSubmission(req.user, req.params.assignmentId, req.params.studentId, { manage: true });
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!mongoose.isValidObjectId(annotationId) || !submission.annotations.id(annotationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    await assignment.removeAnnotation(studentId, annotationId);
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          ...submissionReference(req.user, assignment, studentId),
+          annotation_removed: annotationId
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Annotation removed',
+      data: {
+        annotation_deduction: submission.annotation_deduction,
+        grade: submission.grade,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove annotation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAnnotations,
+  addAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+};
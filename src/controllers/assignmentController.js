@@ -1,21 +1,314 @@
 /**
  * Assignment Controller
- * 
+ *
  * Handles assignment operations using MongoDB
+ * (course ownership and enrollments are checked against MySQL)
  */
 
+const mongoose = require('mongoose');
 const Assignment = require('../models/Assignment');
+const Rubric = require('../models/Rubric');
+const SubmissionDraft = require('../models/SubmissionDraft');
+const { executeQuery } = require('../config/mysql');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { storage } = require('../config/storage');
+const {
+  getCourseUploadLimits,
+  checkUploadAgainstLimits,
+  storeUpload,
+  sendStoredFile
+} = require('../utils/fileUploads');
+const { diffLines, toUnifiedText } = require('../utils/textDiff');
+const { findStudentGroup } = require('../utils/courseGroups');
+const { ARCHIVED_COURSE_MESSAGE, isCourseArchived } = require('../utils/courseArchive');
+const { validateLatePolicy } = require('../utils/latePenalty');
+const { archiveFileName, streamSubmissionArchive } = require('../utils/submissionArchive');
+const { toCsv, parseCsvRecords } = require('../utils/csv');
+const { GRADABLE_TYPES, queueAutograde } = require('../utils/autograder');
+const {
+  toBlindSubmission,
+  withholdGrade,
+  submissionReference,
+  resolveSubmissionStudent
+} = require('../utils/blindGrading');
+const {
+  KGRAM_LENGTH,
+  WINDOW_SIZE,
+  fingerprintDocuments,
+  scorePair,
+  comparePairs,
+  matchingSpans
+} = require('../utils/similarity');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+// Assignment fields instructors may set on create/update
+// (attachments are managed through the upload endpoints)
+const ASSIGNMENT_FIELDS = [
+  'assignment_title',
+  'description',
+  'instructions',
+  'max_marks',
+  'due_date',
+  'allow_late_submission',
+  'late_policy',
+  'late_penalty_percent',
+  'grace_period_minutes',
+  'close_date',
+  'is_group_assignment',
+  'blind_grading'
+];
+
+const SUBMISSION_TYPES = ['file', 'link', 'text'];
+
+// How often clients should autosave a draft while the student is working
+const DRAFT_AUTOSAVE_SECONDS = 30;
+
+// Columns of the grading sheet; grade and feedback are read back on upload
+const GRADE_SHEET_COLUMNS = [
+  'student_id',
+  'student_name',
+  'student_email',
+  'status',
+  'version',
+  'submitted_at',
+  'auto_score',
+  'annotation_deduction',
+  'late_penalty_percent',
+  'grade',
+  'final_grade',
+  'feedback'
+];
+
+// While grading is blind the sheet identifies submissions by code only
+const BLIND_GRADE_SHEET_COLUMNS = [
+  'submission_code',
+  ...GRADE_SHEET_COLUMNS.filter(column => !column.startsWith('student_'))
+];
+
+/**
+ * Whether a student is actively enrolled in a course
+ */
+const isEnrolled = async (studentId, courseId) => {
+  const enrollments = await executeQuery(
+    `SELECT enrollment_id FROM enrollments
+     WHERE student_id = ? AND course_id = ? AND status = 'active'`,
+    [studentId, courseId]
+  );
+
+  return enrollments.length > 0;
+};
+
+/**
+ * Find an assignment by id; malformed ids are treated as not found
+ */
+const findAssignment = async (assignmentId) => {
+  if (!mongoose.isValidObjectId(assignmentId)) {
+    return null;
+  }
+
+  return Assignment.findById(assignmentId);
+};
+
+/**
+ * Load names and emails for a list of user ids.
+ * Returns a Map of user_id → { name, email }.
+ */
+const findStudents = async (studentIds) => {
+  if (studentIds.length === 0) {
+    return new Map();
+  }
+
+  const users = await executeQuery(
+    `SELECT user_id, name, email FROM users WHERE user_id IN (${studentIds.map(() => '?').join(', ')})`,
+    studentIds
+  );
+
+  return new Map(users.map(u => [u.user_id, { name: u.name, email: u.email }]));
+};
+
+/**
+ * A student's name from findStudents, or null
+ */
+const nameOf = (students, studentId) => (students.get(studentId) || {}).name || null;
+
+/**
+ * Validate assignment fields. Returns an error message or null.
+ */
+const validateAssignmentFields = (fields) => {
+  for (const field of ['assignment_title', 'description']) {
+    if (fields[field] !== undefined && !String(fields[field] || '').trim()) {
+      return `${field} cannot be empty`;
+    }
+  }
+
+  if (fields.max_marks !== undefined && (isNaN(Number(fields.max_marks)) || Number(fields.max_marks) <= 0)) {
+    return 'max_marks must be a positive number';
+  }
+
+  if (fields.due_date !== undefined && isNaN(Date.parse(fields.due_date))) {
+    return 'due_date must be a valid date';
+  }
+
+  if (fields.allow_late_submission !== undefined && typeof fields.allow_late_submission !== 'boolean') {
+    return 'allow_late_submission must be true or false';
+  }
+
+  if (fields.is_group_assignment !== undefined && typeof fields.is_group_assignment !== 'boolean') {
+    return 'is_group_assignment must be true or false';
+  }
+
+  if (fields.blind_grading !== undefined && typeof fields.blind_grading !== 'boolean') {
+    return 'blind_grading must be true or false';
+  }
+
+  if (fields.blind_grading === true && fields.is_group_assignment === true) {
+    return 'Blind grading is not available for group assignments';
+  }
+
+  // Refusing late work is allow_late_submission: false rather than a policy
+  if (fields.late_policy === 'reject') {
+    return 'To refuse late work set allow_late_submission to false';
+  }
+
+  const latePolicyError = validateLatePolicy(fields.late_policy, fields.late_penalty_percent);
+  if (latePolicyError) {
+    return latePolicyError;
+  }
+
+  if (fields.grace_period_minutes !== undefined &&
+      (!Number.isInteger(Number(fields.grace_period_minutes)) || Number(fields.grace_period_minutes) < 0)) {
+    return 'grace_period_minutes must be a non-negative integer';
+  }
+
+  if (fields.close_date !== undefined && fields.close_date !== null && isNaN(Date.parse(fields.close_date))) {
+    return 'close_date must be a valid date';
+  }
+
+  return closeDateError(fields.due_date, fields.close_date);
+};
+
+/**
+ * A close date must not come before the due date. Returns an error message or null.
+ */
+const closeDateError = (dueDate, closeDate) => {
+  if (dueDate && closeDate && new Date(closeDate) < new Date(dueDate)) {
+    return 'close_date cannot be before due_date';
+  }
+
+  return null;
+};
+
+/**
+ * A student's own submission as they may see it: autograder tests are
+ * hidden, so only which tests passed is shown, not their messages or output,
+ * and a blind-graded grade is held back until it is released
+ */
+const toStudentSubmission = (assignment, submission) => {
+  if (!submission) {
+    return null;
+  }
+
+  const { anonymous_code, ...view } = submission.toObject();
+
+  if (view.autograde) {
+    view.autograde.tests = (view.autograde.tests || [])
+      .map(({ name, passed, points, max_points }) => ({ name, passed, points, max_points }));
+  }
+
+  return assignment.isGradingBlind() ? withholdGrade(view) : view;
+};
+
+/**
+ * What a student sees: the assignment without other students' submissions
+ */
+const toStudentView = (assignment, studentId) => {
+  const { submissions, extensions, ...view } = assignment.toObject({ virtuals: true });
+
+  view.my_submission = toStudentSubmission(assignment, assignment.getSubmissionByStudent(studentId));
+  view.my_deadline = assignment.getStudentDeadline(studentId);
+
+  if (view.autograder) {
+    const { tests, ...autograder } = view.autograder;
+    view.autograder = { ...autograder, test_count: (tests || []).length };
+  }
+
+  return view;
+};
+
+/**
+ * What the course instructor sees: everything, except that while grading
+ * is blind the submissions appear under their codes
+ */
+const toManagerView = (assignment) => {
+  if (!assignment.isGradingBlind()) {
+    return assignment;
+  }
+
+  return {
+    ...assignment.toObject({ virtuals: true }),
+    submissions: assignment.submissions.map(toBlindSubmission)
+  };
+};
+
+/**
+ * Whether the user may see a student's submission
+ * (the student themself, or the course instructor/admin)
+ */
+const canAccessSubmission = async (user, assignment, studentId) => {
+  if (user.user_id === studentId) {
+    return true;
+  }
+
+  if (user.role === 'student') {
+    return false;
+  }
+
+  const course = await findCourse(assignment.course_id);
+
+  return !!course && canManageCourse(user, course.instructor_id);
+};
 
 /**
  * Get all assignments for a course
+ * Students actively enrolled in the course see active assignments with their
+ * own submission; the course instructor and admins see every assignment with
+ * statistics. Anyone else is refused.
  */
 const getCourseAssignments = async (req, res) => {
   try {
     const { courseId } = req.params;
-    
-    const assignments = await Assignment.find({ course_id: parseInt(courseId) })
-      .sort({ created_at: -1 });
-    
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const isManager = canManageCourse(req.user, course.instructor_id);
+
+    if (!isManager && (req.user.role !== 'student' || !(await isEnrolled(req.user.user_id, course.course_id)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    let assignments;
+
+    if (isManager) {
+      assignments = (await Assignment.find({ course_id: parseInt(courseId) }).sort({ due_date: -1 }))
+        .map(assignment => {
+          const { submissions, ...summary } = assignment.toObject({ virtuals: true });
+          return { ...summary, statistics: assignment.getStatistics() };
+        });
+    } else {
+      assignments = (await Assignment.find({ course_id: parseInt(courseId), is_active: true }).sort({ due_date: -1 }))
+        .map(assignment => toStudentView(assignment, req.user.user_id));
+    }
+
     res.json({
       success: true,
       message: 'Assignments retrieved successfully',
@@ -37,19 +330,27 @@ const getCourseAssignments = async (req, res) => {
 
 /**
  * Get student's assignments
+ * Active assignments from every course the student is enrolled in, with their submission
  */
 const getStudentAssignments = async (req, res) => {
   try {
     const studentId = req.user.user_id;
-    
-    const assignments = await Assignment.find({ student_id: studentId })
-      .sort({ submitted_at: -1 });
-    
+
+    const enrollments = await executeQuery(
+      `SELECT course_id FROM enrollments WHERE student_id = ? AND status = 'active'`,
+      [studentId]
+    );
+
+    const assignments = await Assignment.find({
+      course_id: { $in: enrollments.map(e => e.course_id) },
+      is_active: true
+    }).sort({ due_date: 1 });
+
     res.json({
       success: true,
       message: 'Your assignments retrieved successfully',
       data: {
-        assignments,
+        assignments: assignments.map(assignment => toStudentView(assignment, studentId)),
         count: assignments.length,
         database: 'MongoDB'
       }
@@ -70,29 +371,52 @@ const getStudentAssignments = async (req, res) => {
 const getAssignmentById = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    
-    const assignment = await Assignment.findById(assignmentId);
-    
+
+    const assignment = await findAssignment(assignmentId);
+
     if (!assignment) {
       return res.status(404).json({
         success: false,
         message: 'Assignment not found'
       });
     }
-    
+
     // Check if user has access
-    if (req.user.role === 'student' && assignment.student_id !== req.user.user_id) {
+    if (req.user.role === 'student') {
+      if (!assignment.is_active || !(await isEnrolled(req.user.user_id, assignment.course_id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Assignment retrieved successfully',
+        data: {
+          assignment: toStudentView(assignment, req.user.user_id),
+          rubric: assignment.rubric_id ? await Rubric.findById(assignment.rubric_id) : null,
+          database: 'MongoDB'
+        }
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
-    
+
     res.json({
       success: true,
       message: 'Assignment retrieved successfully',
       data: {
-        assignment,
+        assignment: toManagerView(assignment),
+        rubric: assignment.rubric_id ? await Rubric.findById(assignment.rubric_id) : null,
+        statistics: assignment.getStatistics(),
         database: 'MongoDB'
       }
     });
@@ -107,118 +431,2706 @@ const getAssignmentById = async (req, res) => {
 };
 
 /**
- * Submit new assignment
+ * Create an assignment for a course (instructor/admin)
+ * POST /api/courses/:courseId/assignments
  */
-const submitAssignment = async (req, res) => {
+const createAssignment = async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { title, description, submission_type, submission_content } = req.body;
-    
-    if (!title || !submission_type || !submission_content) {
+    const { assignment_title, description, due_date, is_active } = req.body;
+
+    if (!assignment_title || !description || !due_date) {
       return res.status(400).json({
         success: false,
-        message: 'Title, submission type, and content are required'
+        message: 'assignment_title, description and due_date are required'
       });
     }
-    
-    const assignmentData = {
-      course_id: parseInt(courseId),
-      student_id: req.user.user_id,
-      student_name: req.user.name,
-      title,
-      description,
-      submission_type,
-      submission_content
-    };
-    
-    const assignment = await Assignment.submitAssignment(assignmentData);
-    
+
+    const validationError = validateAssignmentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const fields = ASSIGNMENT_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const assignment = await Assignment.create({
+      ...Object.fromEntries(fields.map(field => [field, req.body[field]])),
+      course_id: course.course_id,
+      created_by: req.user.user_id,
+      is_active: is_active !== false
+    });
+
+    await logManualActivity(req.user.user_id, 'CREATE_ASSIGNMENT', {
+      course_id: course.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id
+    });
+
     res.status(201).json({
       success: true,
-      message: 'Assignment submitted successfully',
+      message: 'Assignment created successfully',
       data: {
         assignment,
         database: 'MongoDB'
       }
     });
   } catch (error) {
-    console.error('Submit assignment error:', error);
+    console.error('Create assignment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit assignment',
+      message: 'Failed to create assignment',
       error: error.message
     });
   }
 };
 
 /**
- * Grade assignment (instructor only)
+ * Edit an assignment (instructor/admin)
+ * PUT /api/assignments/:assignmentId
  */
-const gradeAssignment = async (req, res) => {
+const updateAssignment = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { score, max_score, feedback, rubric } = req.body;
-    
-    if (score === undefined || !max_score) {
+
+    const fields = ASSIGNMENT_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${ASSIGNMENT_FIELDS.join(', ')}`
+      });
+    }
+
+    const validationError = validateAssignmentFields(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Score and max_score are required'
+        message: validationError
       });
     }
-    
-    const assignment = await Assignment.findById(assignmentId);
-    
+
+    const assignment = await findAssignment(assignmentId);
+
     if (!assignment) {
       return res.status(404).json({
         success: false,
         message: 'Assignment not found'
       });
     }
-    
-    assignment.gradeAssignment(
-      req.user.user_id,
-      req.user.name,
-      score,
-      max_score,
-      feedback,
-      rubric
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const scheduleError = closeDateError(
+      req.body.due_date !== undefined ? req.body.due_date : assignment.due_date,
+      req.body.close_date !== undefined ? req.body.close_date : assignment.close_date
     );
-    
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    // Existing grades (before late penalties) must still fit within max_marks
+    if (req.body.max_marks !== undefined) {
+      const highestGrade = Math.max(0, ...assignment.submissions
+        .filter(s => s.grade !== undefined && s.grade !== null)
+        .map(s => (s.raw_grade !== undefined && s.raw_grade !== null ? s.raw_grade : s.grade)));
+
+      if (Number(req.body.max_marks) < highestGrade) {
+        return res.status(400).json({
+          success: false,
+          message: `max_marks cannot be lower than an existing grade (${highestGrade})`
+        });
+      }
+    }
+
+    // Switching between individual and group work would orphan submissions
+    if (req.body.is_group_assignment !== undefined &&
+        req.body.is_group_assignment !== assignment.is_group_assignment &&
+        assignment.submissions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'is_group_assignment cannot change once students have submitted'
+      });
+    }
+
+    const blindGrading = req.body.blind_grading !== undefined ? req.body.blind_grading : assignment.blind_grading;
+    const groupAssignment = req.body.is_group_assignment !== undefined
+      ? req.body.is_group_assignment
+      : assignment.is_group_assignment;
+
+    if (blindGrading && groupAssignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blind grading is not available for group assignments'
+      });
+    }
+
+    if (groupAssignment && assignment.peer_review.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Peer review is not available for group assignments'
+      });
+    }
+
+    if (req.body.blind_grading !== undefined && req.body.blind_grading !== assignment.blind_grading) {
+      // Identities are only revealed by releasing grades, which is logged
+      if (assignment.grades_released_at) {
+        return res.status(409).json({
+          success: false,
+          message: 'Grades have already been released; blind_grading can no longer change'
+        });
+      }
+
+      if (!req.body.blind_grading && assignment.submissions.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Release the grades to reveal student identities; blind grading cannot be turned off once students have submitted'
+        });
+      }
+    }
+
+    fields.forEach(field => {
+      assignment[field] = req.body[field];
+    });
+    if (assignment.blind_grading) {
+      assignment.assignAnonymousCodes();
+    }
+    assignment.updated_at = new Date();
+
     await assignment.save();
-    
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { fields } }
+    });
+
     res.json({
       success: true,
-      message: 'Assignment graded successfully',
+      message: 'Assignment updated successfully',
       data: {
-        assignment,
+        assignment: toManagerView(assignment),
         database: 'MongoDB'
       }
     });
   } catch (error) {
-    console.error('Grade assignment error:', error);
+    console.error('Update assignment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to grade assignment',
+      message: 'Failed to update assignment',
       error: error.message
     });
   }
 };
 
 /**
- * Get assignment statistics for course
+ * Attach a rubric to an assignment, or detach it (instructor/admin)
+ * PUT /api/assignments/:assignmentId/rubric
+ * Body: { rubric_id } (null detaches; existing rubric grades are kept)
  */
-const getAssignmentStats = async (req, res) => {
+const setAssignmentRubric = async (req, res) => {
   try {
-    const { courseId } = req.params;
-    
-    const stats = await Assignment.getSubmissionStats(parseInt(courseId));
-    
+    const { assignmentId } = req.params;
+    const { rubric_id } = req.body;
+
+    if (rubric_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubric_id is required (null to detach)'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (rubric_id === null && assignment.peer_review.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Peer review uses this rubric; disable peer review before detaching it'
+      });
+    }
+
+    let rubric = null;
+
+    if (rubric_id !== null) {
+      rubric = mongoose.isValidObjectId(rubric_id) ? await Rubric.findById(rubric_id) : null;
+
+      if (!rubric || rubric.course_id !== assignment.course_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rubric not found in this course'
+        });
+      }
+    }
+
+    assignment.rubric_id = rubric ? rubric._id : null;
+    assignment.updated_at = new Date();
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { rubric_id: assignment.rubric_id } }
+    });
+
     res.json({
       success: true,
-      message: 'Assignment statistics retrieved',
+      message: rubric ? 'Rubric attached to assignment' : 'Rubric detached from assignment',
       data: {
-        stats,
-        database: 'MongoDB - Aggregation Pipeline'
+        assignment_id: assignment._id,
+        rubric,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Set assignment rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change assignment rubric',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Activate or deactivate an assignment (instructor/admin)
+ * PUT /api/assignments/:assignmentId/active
+ * Body: { is_active: true | false }
+ */
+const setAssignmentActive = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'is_active must be true or false'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    assignment.is_active = is_active;
+    assignment.updated_at = new Date();
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { is_active } }
+    });
+
+    res.json({
+      success: true,
+      message: is_active ? 'Assignment activated' : 'Assignment deactivated',
+      data: {
+        assignment_id: assignment._id,
+        is_active,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Set assignment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change assignment status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an assignment (instructor/admin)
+ * DELETE /api/assignments/:assignmentId
+ * Assignments with submissions need ?force=true
+ */
+const deleteAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (assignment.submissions.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: `This assignment has ${assignment.submissions.length} submission(s). Deactivate it instead, or delete with ?force=true`
+      });
+    }
+
+    const drafts = await SubmissionDraft.find({ assignment_id: assignment._id });
+
+    await Assignment.deleteOne({ _id: assignment._id });
+    await SubmissionDraft.deleteMany({ assignment_id: assignment._id });
+
+    // Stored files go with the assignment
+    const storedFiles = [
+      ...assignment.getStoredFiles(),
+      ...drafts.map(d => d.file_path).filter(Boolean)
+    ];
+
+    await Promise.all(storedFiles.map(key => storage.remove(key).catch(error => {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    })));
+
+    await logManualActivity(req.user.user_id, 'DELETE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          assignment_title: assignment.assignment_title,
+          submissions_deleted: assignment.submissions.length
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully',
+      data: {
+        assignment_id: assignment._id,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete assignment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check the content of a submission. Returns an error message or null.
+ */
+const submissionContentError = ({ submission_type, submission_link, submission_text }, hasFile) => {
+  if (!SUBMISSION_TYPES.includes(submission_type)) {
+    return `submission_type must be one of: ${SUBMISSION_TYPES.join(', ')}`;
+  }
+
+  if (submission_type === 'file' && !hasFile) {
+    return 'File submissions must upload the file as multipart/form-data in the "file" field';
+  }
+
+  if (submission_type !== 'file') {
+    const content = submission_type === 'link' ? submission_link : submission_text;
+
+    if (!content || !String(content).trim()) {
+      return `submission_${submission_type} is required for ${submission_type} submissions`;
+    }
+  }
+
+  if (submission_type === 'link' && !/^https?:\/\/\S+$/i.test(String(submission_link).trim())) {
+    return 'submission_link must be an http(s) URL';
+  }
+
+  return null;
+};
+
+/**
+ * Check that a student may submit to an assignment right now.
+ * Returns { group } (null for individual work) or { status, message }.
+ */
+const checkCanSubmit = async (user, assignment) => {
+  if (!(await isEnrolled(user.user_id, assignment.course_id))) {
+    return { status: 403, message: 'You must be enrolled in this course to submit' };
+  }
+
+  if (await isCourseArchived(assignment.course_id)) {
+    return { status: 403, message: ARCHIVED_COURSE_MESSAGE };
+  }
+
+  const submissionWindow = assignment.getSubmissionWindow(user.user_id);
+
+  if (submissionWindow.reason) {
+    return { status: 400, message: submissionWindow.reason };
+  }
+
+  // One submission counts for every member of the student's group
+  const group = assignment.is_group_assignment
+    ? await findStudentGroup(assignment.course_id, user.user_id)
+    : null;
+
+  if (assignment.is_group_assignment && !group) {
+    return { status: 400, message: 'This is a group assignment and you are not in a group for this course' };
+  }
+
+  return { group };
+};
+
+/**
+ * Record a student's submission (for their whole group on group work),
+ * start the autograder and log it. Returns { submission, resubmission }.
+ */
+const recordStudentSubmission = async (user, assignment, group, submissionData, logData = {}) => {
+  const resubmission = !!assignment.getSubmissionByStudent(user.user_id);
+
+  if (group) {
+    await assignment.addGroupSubmission(group.member_ids, submissionData, {
+      group_id: group.group_id,
+      submitted_by: user.user_id
+    });
+  } else {
+    await assignment.addSubmission(user.user_id, submissionData);
+  }
+
+  const submission = assignment.getSubmissionByStudent(user.user_id);
+
+  // Tests run in the background; a failure to queue must not fail the submission
+  if (assignment.autograder.enabled && GRADABLE_TYPES.includes(submissionData.submission_type)) {
+    queueAutograde(assignment._id, (group ? group.member_ids : [user.user_id])
+      .map(studentId => ({ studentId, version: assignment.getSubmissionByStudent(studentId).version })))
+      .catch(error => console.error('Queue autograde error:', error));
+  }
+
+  await logManualActivity(user.user_id, 'SUBMIT_ASSIGNMENT', {
+    course_id: assignment.course_id,
+    resource_type: 'assignment',
+    resource_id: assignment._id,
+    metadata: {
+      additional_data: {
+        submission_type: submissionData.submission_type,
+        resubmission,
+        group_id: group ? group.group_id : undefined,
+        status: submission.status,
+        checksum: submissionData.checksum,
+        ...logData
+      }
+    }
+  });
+
+  return { submission, resubmission };
+};
+
+/**
+ * Delete a student's draft of an assignment, with its uploaded file
+ * unless that file now belongs to a submission
+ */
+const discardDraft = async (draft, { keepFile = false } = {}) => {
+  await SubmissionDraft.deleteOne({ _id: draft._id });
+
+  if (draft.file_path && !keepFile) {
+    await storage.remove(draft.file_path).catch(error => {
+      console.error(`Failed to remove draft file ${draft.file_path}:`, error.message);
+    });
+  }
+};
+
+/**
+ * Submit (or resubmit) work for an assignment (student)
+ * POST /api/assignments/:assignmentId/submissions
+ * File submissions are multipart/form-data with the file in the "file" field;
+ * link and text submissions may be JSON.
+ * Body: { submission_type, submission_link | submission_text, remarks }
+ * Any draft of the assignment is discarded once the work is submitted.
+ */
+const submitAssignment = async (req, res) => {
+  let stored = null;
+
+  try {
+    const { assignmentId } = req.params;
+    const { submission_link, submission_text, remarks } = req.body;
+    const submission_type = req.body.submission_type || (req.file ? 'file' : undefined);
+
+    const contentError = submissionContentError({ submission_type, submission_link, submission_text }, !!req.file);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment || !assignment.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const { group, status, message } = await checkCanSubmit(req.user, assignment);
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (submission_type === 'file') {
+      const limitError = checkUploadAgainstLimits(req.file, await getCourseUploadLimits(assignment.course_id));
+
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+
+      stored = await storeUpload(
+        req.file,
+        `courses/${assignment.course_id}/assignments/${assignment._id}/` +
+          (group ? `groups/${group.group_id}` : `submissions/${req.user.user_id}`)
+      );
+    }
+
+    const { submission, resubmission } = await recordStudentSubmission(req.user, assignment, group, {
+      submission_type,
+      ...(stored || {}),
+      submission_link: submission_type === 'link' ? submission_link : undefined,
+      submission_text: submission_type === 'text' ? submission_text : undefined,
+      remarks
+    });
+
+    // The submission supersedes any draft; cleaning it up must not fail the submit
+    await SubmissionDraft.findForStudent(assignment._id, req.user.user_id)
+      .then(draft => draft && discardDraft(draft))
+      .catch(error => console.error('Discard draft error:', error));
+
+    res.status(resubmission ? 200 : 201).json({
+      success: true,
+      message: submission.status === 'late'
+        ? 'Assignment submitted late'
+        : (resubmission ? 'Assignment resubmitted successfully' : 'Assignment submitted successfully'),
+      data: {
+        submission: toStudentSubmission(assignment, submission),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    // Don't leave an unreferenced upload behind
+    if (stored) {
+      await storage.remove(stored.file_path).catch(() => {});
+    }
+
+    // The deadline can pass between the check above and the save
+    if (error.code === 'SUBMISSION_WINDOW_CLOSED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Submit assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit assignment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find an assignment a student may keep a draft for (active, and enrolled).
+ * Changing a draft also needs the course not to be archived.
+ * Returns { assignment } or { status, message }.
+ */
+const findDraftAssignment = async (user, assignmentId, { write = false } = {}) => {
+  const assignment = await findAssignment(assignmentId);
+
+  if (!assignment || !assignment.is_active) {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  if (!(await isEnrolled(user.user_id, assignment.course_id))) {
+    return { status: 403, message: 'You must be enrolled in this course to work on this assignment' };
+  }
+
+  if (write && await isCourseArchived(assignment.course_id)) {
+    return { status: 403, message: ARCHIVED_COURSE_MESSAGE };
+  }
+
+  return { assignment };
+};
+
+/**
+ * Get the student's draft of an assignment
+ * GET /api/assignments/:assignmentId/draft
+ * The draft is null until something has been saved.
+ */
+const getDraft = async (req, res) => {
+  try {
+    const { assignment, status, message } = await findDraftAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft retrieved successfully',
+      data: {
+        draft: await SubmissionDraft.findForStudent(assignment._id, req.user.user_id),
+        autosave_interval_seconds: DRAFT_AUTOSAVE_SECONDS,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save (autosave) the student's draft of an assignment
+ * PUT /api/assignments/:assignmentId/draft
+ * Body: any of { submission_type, submission_text, submission_link, remarks },
+ * as multipart/form-data with a file in the "file" field if there is one.
+ * Fields left out keep their saved value. A draft is never a submission:
+ * it can be saved at any time, including after the deadline, and only
+ * counts once submitted.
+ */
+const saveDraft = async (req, res) => {
+  let stored = null;
+
+  try {
+    const { submission_text, submission_link, remarks } = req.body;
+    const submission_type = req.body.submission_type || (req.file ? 'file' : undefined);
+
+    if (submission_type === undefined && submission_text === undefined &&
+        submission_link === undefined && remarks === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: submission_type, submission_text, submission_link, remarks, file'
+      });
+    }
+
+    if (submission_type !== undefined && !SUBMISSION_TYPES.includes(submission_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `submission_type must be one of: ${SUBMISSION_TYPES.join(', ')}`
+      });
+    }
+
+    const { assignment, status, message } = await findDraftAssignment(req.user, req.params.assignmentId, { write: true });
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (req.file) {
+      const limitError = checkUploadAgainstLimits(req.file, await getCourseUploadLimits(assignment.course_id));
+
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+
+      stored = await storeUpload(
+        req.file,
+        `courses/${assignment.course_id}/assignments/${assignment._id}/drafts/${req.user.user_id}`
+      );
+    }
+
+    const draft = await SubmissionDraft.findForStudent(assignment._id, req.user.user_id) ||
+      new SubmissionDraft({
+        assignment_id: assignment._id,
+        course_id: assignment.course_id,
+        student_id: req.user.user_id
+      });
+    const replacedFile = stored ? draft.file_path : null;
+
+    draft.set({
+      ...(submission_type !== undefined && { submission_type }),
+      ...(submission_text !== undefined && { submission_text }),
+      ...(submission_link !== undefined && { submission_link }),
+      ...(remarks !== undefined && { remarks }),
+      ...(stored || {}),
+      save_count: draft.save_count + 1,
+      saved_at: new Date()
+    });
+
+    await draft.save();
+
+    // Autosaves are frequent, so they are not written to the activity log
+    if (replacedFile) {
+      await storage.remove(replacedFile).catch(() => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft saved',
+      data: {
+        draft,
+        autosave_interval_seconds: DRAFT_AUTOSAVE_SECONDS,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    if (stored) {
+      await storage.remove(stored.file_path).catch(() => {});
+    }
+
+    // Two first saves at once (e.g. two open tabs): one of them wins
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The draft was just saved from somewhere else; reload it and try again'
+      });
+    }
+
+    console.error('Save draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the file saved in the student's draft
+ * GET /api/assignments/:assignmentId/draft/file
+ */
+const downloadDraftFile = async (req, res) => {
+  try {
+    const { assignment, status, message } = await findDraftAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const draft = await SubmissionDraft.findForStudent(assignment._id, req.user.user_id);
+
+    if (!draft || !(await sendStoredFile(res, draft))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download draft file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download draft file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Discard the student's draft of an assignment
+ * DELETE /api/assignments/:assignmentId/draft
+ */
+const deleteDraft = async (req, res) => {
+  try {
+    const { assignment, status, message } = await findDraftAssignment(req.user, req.params.assignmentId, { write: true });
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const draft = await SubmissionDraft.findForStudent(assignment._id, req.user.user_id);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'No draft saved for this assignment'
+      });
+    }
+
+    await discardDraft(draft);
+
+    res.json({
+      success: true,
+      message: 'Draft discarded',
+      data: {
+        assignment_id: assignment._id,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit the student's draft (student)
+ * POST /api/assignments/:assignmentId/draft/submit
+ * The draft goes through the same checks as a direct submission (content,
+ * deadline, group) and becomes a new submission version; the draft itself
+ * is then removed. If the submission is refused the draft is kept.
+ */
+const submitDraft = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment || !assignment.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const draft = await SubmissionDraft.findForStudent(assignment._id, req.user.user_id);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'No draft saved for this assignment'
+      });
+    }
+
+    const contentError = submissionContentError(draft, !!draft.file_path);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const { group, status, message } = await checkCanSubmit(req.user, assignment);
+
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const isFile = draft.submission_type === 'file';
+
+    // Course limits may have changed since the file was saved
+    if (isFile) {
+      const limitError = checkUploadAgainstLimits(
+        { size: draft.file_size, mimetype: draft.mime_type },
+        await getCourseUploadLimits(assignment.course_id)
+      );
+
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+    }
+
+    const { submission, resubmission } = await recordStudentSubmission(req.user, assignment, group, {
+      submission_type: draft.submission_type,
+      file_path: isFile ? draft.file_path : undefined,
+      file_name: isFile ? draft.file_name : undefined,
+      file_size: isFile ? draft.file_size : undefined,
+      mime_type: isFile ? draft.mime_type : undefined,
+      checksum: isFile ? draft.checksum : undefined,
+      submission_link: draft.submission_type === 'link' ? draft.submission_link : undefined,
+      submission_text: draft.submission_type === 'text' ? draft.submission_text : undefined,
+      remarks: draft.remarks
+    }, { from_draft: true });
+
+    // The file now belongs to the submission
+    await discardDraft(draft, { keepFile: isFile })
+      .catch(error => console.error('Discard draft error:', error));
+
+    res.status(resubmission ? 200 : 201).json({
+      success: true,
+      message: submission.status === 'late'
+        ? 'Draft submitted late'
+        : (resubmission ? 'Draft submitted as a new version' : 'Draft submitted successfully'),
+      data: {
+        submission: toStudentSubmission(assignment, submission),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    // The deadline can pass between the check above and the save
+    if (error.code === 'SUBMISSION_WINDOW_CLOSED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Submit draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a submitted file (the submitting student or the course instructor)
+ * GET /api/assignments/:assignmentId/submissions/:studentId/file?version=
+ * Without a version the latest one is sent. While grading is blind the
+ * instructor passes the submission code in place of the student id.
+ */
+const downloadSubmissionFile = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const version = req.query.version ? parseInt(req.query.version) : null;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const studentId = resolveSubmissionStudent(req.user, assignment, req.params.studentId);
+
+    if (studentId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submitted file not found'
+      });
+    }
+
+    if (!(await canAccessSubmission(req.user, assignment, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const submission = assignment.getSubmissionVersion(studentId, version);
+
+    if (!submission || submission.submission_type !== 'file' ||
+        !(await sendStoredFile(res, submission))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submitted file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download submission',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download every student's latest submission as one ZIP (instructor/admin)
+ * GET /api/assignments/:assignmentId/submissions/download
+ * The archive is streamed; manifest.csv lists each student, status and file
+ * (each submission code instead of the student while grading is blind).
+ */
+const downloadAllSubmissions = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (assignment.submissions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No submissions to download'
+      });
+    }
+
+    const blind = assignment.isGradingBlind();
+    const students = blind ? null : await findStudents(assignment.submissions.map(s => s.student_id));
+
+    res.attachment(archiveFileName(assignment));
+    res.type('application/zip');
+
+    await streamSubmissionArchive(res, assignment, students, { blind });
+
+    await logManualActivity(req.user.user_id, 'VIEW_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { bulk_download: true, submissions: assignment.submissions.length } }
+    });
+  } catch (error) {
+    console.error('Download all submissions error:', error);
+
+    // Once bytes are out the only option is to cut the connection
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download submissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List every version of a student's submission
+ * GET /api/assignments/:assignmentId/submissions/:studentId/versions
+ * (by submission code while grading is blind)
+ */
+const getSubmissionVersions = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const studentId = resolveSubmissionStudent(req.user, assignment, req.params.studentId);
+
+    if (studentId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this student'
+      });
+    }
+
+    if (!(await canAccessSubmission(req.user, assignment, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const submission = assignment.getSubmissionByStudent(studentId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this student'
+      });
+    }
+
+    const versions = submission.versions.length > 0
+      ? submission.versions
+      : [assignment.getSubmissionVersion(studentId)];
+
+    // Students see a blind-graded grade only once it is released
+    const shown = req.user.role === 'student' ? toStudentSubmission(assignment, submission) : submission;
+    const blind = req.user.role !== 'student' && assignment.isGradingBlind();
+
+    res.json({
+      success: true,
+      message: 'Submission versions retrieved successfully',
+      data: {
+        ...submissionReference(req.user, assignment, studentId),
+        current_version: submission.version || 1,
+        first_submitted_at: submission.first_submitted_at || versions[0].submitted_at,
+        graded_version: shown.graded_version || null,
+        grade: shown.grade,
+        status: shown.status,
+        versions: versions.map(v => {
+          const { file_path, ...version } = v.toObject ? v.toObject() : v;
+
+          return {
+            ...(blind ? version : { file_path, ...version }),
+            is_graded: !!shown.graded_version && shown.graded_version === v.version
+          };
+        }),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve submission versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two versions of a text submission (instructor/admin)
+ * GET /api/assignments/:assignmentId/submissions/:studentId/diff?from=1&to=2
+ * Defaults to the latest version against the one before it.
+ * (by submission code while grading is blind)
+ */
+const diffSubmissionVersions = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const studentId = resolveSubmissionStudent(req.user, assignment, req.params.studentId);
+    const submission = studentId !== null ? assignment.getSubmissionByStudent(studentId) : null;
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this student'
+      });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : (submission.version || 1);
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    const oldVersion = assignment.getSubmissionVersion(studentId, from);
+    const newVersion = assignment.getSubmissionVersion(studentId, to);
+
+    if (!oldVersion || !newVersion || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose two different versions between 1 and ${submission.version || 1}`
+      });
+    }
+
+    if (oldVersion.submission_type !== 'text' || newVersion.submission_type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only text submissions can be compared'
+      });
+    }
+
+    const diff = diffLines(oldVersion.submission_text, newVersion.submission_text);
+
+    res.json({
+      success: true,
+      message: 'Submission versions compared',
+      data: {
+        ...submissionReference(req.user, assignment, studentId),
+        from: { version: from, submitted_at: oldVersion.submitted_at },
+        to: { version: to, submitted_at: newVersion.submitted_at },
+        summary: diff.summary,
+        truncated: diff.truncated,
+        lines: diff.lines,
+        unified: toUnifiedText(diff),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Diff submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare submission versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Fingerprint the latest text submissions of an assignment.
+ * Text the instructor gave everyone (instructions) is not counted as a match.
+ */
+const fingerprintTextSubmissions = (assignment, studentIds = null) => {
+  const submissions = assignment.submissions.filter(s =>
+    s.submission_type === 'text' && (!studentIds || studentIds.includes(s.student_id)));
+
+  return {
+    submissions,
+    docs: fingerprintDocuments(
+      submissions.map(s => ({ id: s.student_id, text: s.submission_text })),
+      [assignment.description, assignment.instructions].filter(Boolean).join('\n')
+    )
+  };
+};
+
+/**
+ * Similarity report across text submissions (instructor/admin)
+ * GET /api/assignments/:assignmentId/similarity?min_similarity=0.3
+ * Runs locally (winnowing fingerprints); members of the same group are not compared.
+ * While grading is blind pairs show submission codes instead of students.
+ */
+const getSubmissionSimilarity = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const minSimilarity = req.query.min_similarity !== undefined ? Number(req.query.min_similarity) : 0.3;
+
+    if (isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'min_similarity must be between 0 and 1'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { submissions, docs } = fingerprintTextSubmissions(assignment);
+    const groupOf = new Map(submissions.map(s => [s.student_id, s.group_id]));
+
+    const pairs = comparePairs(docs, {
+      minSimilarity,
+      skipPair: (a, b) => groupOf.get(a) !== undefined && groupOf.get(a) === groupOf.get(b)
+    });
+
+    const students = assignment.isGradingBlind()
+      ? null
+      : await findStudents([...new Set(pairs.flatMap(p => [p.a, p.b]))]);
+    const describe = (studentId) => (students
+      ? { student_id: studentId, name: nameOf(students, studentId) }
+      : submissionReference(req.user, assignment, studentId));
+
+    res.json({
+      success: true,
+      message: 'Similarity report generated',
+      data: {
+        compared_submissions: docs.length,
+        min_similarity: minSimilarity,
+        settings: { kgram_length: KGRAM_LENGTH, window_size: WINDOW_SIZE },
+        pairs: pairs.map(({ a, b, ...score }) => ({
+          student_a: describe(a),
+          student_b: describe(b),
+          ...score
+        })),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Submission similarity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate similarity report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Matching passages between two students' text submissions (instructor/admin)
+ * GET /api/assignments/:assignmentId/similarity/:studentA/:studentB
+ * Spans are character offsets ({ start, end }, end exclusive) into each text.
+ * While grading is blind both students are given by submission code.
+ */
+const getSimilarityMatches = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const studentA = resolveSubmissionStudent(req.user, assignment, req.params.studentA);
+    const studentB = resolveSubmissionStudent(req.user, assignment, req.params.studentB);
+    const { submissions, docs } = fingerprintTextSubmissions(assignment, [studentA, studentB]);
+
+    if (studentA === studentB || docs.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: 'Text submissions not found for both students'
+      });
+    }
+
+    const docA = docs.find(d => d.id === studentA);
+    const docB = docs.find(d => d.id === studentB);
+    const students = assignment.isGradingBlind() ? null : await findStudents([studentA, studentB]);
+
+    const side = (doc, other) => {
+      const submission = submissions.find(s => s.student_id === doc.id);
+
+      return {
+        ...(students
+          ? { student_id: doc.id, name: nameOf(students, doc.id) }
+          : submissionReference(req.user, assignment, doc.id)),
+        version: submission.version || 1,
+        submitted_at: submission.submitted_at,
+        text: submission.submission_text,
+        spans: matchingSpans(doc, other)
+      };
+    };
+
+    const { overlap_a, overlap_b, ...score } = scorePair(docA, docB);
+
+    res.json({
+      success: true,
+      message: 'Matching passages retrieved',
+      data: {
+        ...score,
+        a: { ...side(docA, docB), overlap: overlap_a },
+        b: { ...side(docB, docA), overlap: overlap_b },
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Similarity matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare submissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Upload a reference file to an assignment (instructor/admin)
+ * POST /api/assignments/:assignmentId/attachments
+ * multipart/form-data with the file in the "file" field
+ */
+const uploadAttachment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the file as multipart/form-data in the "file" field'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const limitError = checkUploadAgainstLimits(req.file, await getCourseUploadLimits(assignment.course_id));
+
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    const stored = await storeUpload(
+      req.file,
+      `courses/${assignment.course_id}/assignments/${assignment._id}/attachments`
+    );
+
+    assignment.attachments.push({
+      filename: stored.file_name,
+      file_path: stored.file_path,
+      file_size: stored.file_size,
+      mime_type: stored.mime_type,
+      checksum: stored.checksum,
+      uploaded_by: req.user.user_id
+    });
+    assignment.updated_at = new Date();
+
+    try {
+      await assignment.save();
+    } catch (error) {
+      await storage.remove(stored.file_path).catch(() => {});
+      throw error;
+    }
+
+    const attachment = assignment.attachments[assignment.attachments.length - 1];
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { attachment_added: attachment.filename, checksum: attachment.checksum } }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: {
+        attachment,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download an assignment attachment (course instructor or enrolled students)
+ * GET /api/assignments/:assignmentId/attachments/:attachmentId/download
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const { assignmentId, attachmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    let hasAccess;
+    if (req.user.role === 'student') {
+      hasAccess = assignment.is_active && await isEnrolled(req.user.user_id, assignment.course_id);
+    } else {
+      const course = await findCourse(assignment.course_id);
+      hasAccess = !!course && canManageCourse(req.user, course.instructor_id);
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const attachment = mongoose.isValidObjectId(attachmentId) && assignment.attachments.id(attachmentId);
+
+    if (!attachment || !(await sendStoredFile(res, { ...attachment.toObject(), file_name: attachment.filename }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an attachment and its stored file (instructor/admin)
+ * DELETE /api/assignments/:assignmentId/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const { assignmentId, attachmentId } = req.params;
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const attachment = mongoose.isValidObjectId(attachmentId) && assignment.attachments.id(attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    attachment.deleteOne();
+    assignment.updated_at = new Date();
+    await assignment.save();
+
+    await storage.remove(attachment.file_path);
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { attachment_removed: attachment.filename } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: {
+        attachment_id: attachmentId,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List per-student extensions for an assignment (instructor/admin)
+ * GET /api/assignments/:assignmentId/extensions
+ */
+const getAssignmentExtensions = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const students = await findStudents(assignment.extensions.map(e => e.student_id));
+
+    res.json({
+      success: true,
+      message: 'Extensions retrieved successfully',
+      data: {
+        extensions: assignment.extensions.map(extension => ({
+          ...extension.toObject(),
+          student_name: nameOf(students, extension.student_id)
+        })),
+        count: assignment.extensions.length,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get assignment extensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve extensions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grant or change a student's extension (instructor/admin)
+ * PUT /api/assignments/:assignmentId/extensions/:studentId
+ * Body: { due_date, close_date, reason }
+ * Late penalties are worked out against the student's current deadline, so
+ * an extension also excuses work already submitted before the new due date:
+ * an already graded submission has its late penalty recalculated.
+ */
+const setAssignmentExtension = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const studentId = parseInt(req.params.studentId);
+    const { due_date, close_date, reason } = req.body;
+
+    if (!due_date || isNaN(Date.parse(due_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'due_date must be a valid date'
+      });
+    }
+
+    if (close_date !== undefined && close_date !== null && isNaN(Date.parse(close_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'close_date must be a valid date'
+      });
+    }
+
+    const scheduleError = closeDateError(due_date, close_date);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!(await isEnrolled(studentId, assignment.course_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this course'
+      });
+    }
+
+    const extension = {
+      student_id: studentId,
+      due_date: new Date(due_date),
+      close_date: close_date ? new Date(close_date) : undefined,
+      reason,
+      granted_by: req.user.user_id,
+      granted_at: new Date()
+    };
+
+    const existing = assignment.extensions.find(e => e.student_id === studentId);
+    if (existing) {
+      existing.set(extension);
+    } else {
+      assignment.extensions.push(extension);
+    }
+    const regraded = !!assignment.refreshLatePenalty(studentId);
+    assignment.updated_at = new Date();
+
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          extension_for: studentId,
+          due_date,
+          close_date: close_date || null,
+          late_penalty_recalculated: regraded
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Extension saved successfully',
+      data: {
+        student_id: studentId,
+        deadline: assignment.getStudentDeadline(studentId),
+        late_penalty_recalculated: regraded,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Set assignment extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save extension',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a student's extension (instructor/admin)
+ * DELETE /api/assignments/:assignmentId/extensions/:studentId
+ */
+const deleteAssignmentExtension = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const studentId = parseInt(req.params.studentId);
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const extension = assignment.extensions.find(e => e.student_id === studentId);
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extension not found'
+      });
+    }
+
+    assignment.extensions.pull(extension);
+    const regraded = !!assignment.refreshLatePenalty(studentId);
+    assignment.updated_at = new Date();
+
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { extension_removed_for: studentId, late_penalty_recalculated: regraded } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Extension removed successfully',
+      data: {
+        student_id: studentId,
+        deadline: assignment.getStudentDeadline(studentId),
+        late_penalty_recalculated: regraded,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete assignment extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove extension',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a grading sheet as CSV (instructor/admin)
+ * GET /api/assignments/:assignmentId/grades/export
+ * One row per enrolled student (and anyone else who submitted). `grade` is
+ * the mark as given, before annotation deductions and any late penalty;
+ * `final_grade` is what the student gets.
+ * While grading is blind there is one row per submission, by submission code.
+ */
+const exportGradeSheet = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const toRow = (submission) => {
+      const graded = submission && submission.grade !== undefined && submission.grade !== null;
+
+      return {
+        status: submission ? submission.status : 'not_submitted',
+        version: submission ? submission.version || 1 : null,
+        submitted_at: submission ? submission.submitted_at : null,
+        auto_score: submission && submission.autograde && submission.autograde.status === 'completed'
+          ? submission.autograde.suggested_grade
+          : null,
+        annotation_deduction: graded ? submission.annotation_deduction : null,
+        late_penalty_percent: graded ? submission.late_penalty_percent : null,
+        grade: graded ? (submission.raw_grade !== undefined ? submission.raw_grade : submission.grade) : null,
+        final_grade: graded ? submission.grade : null,
+        feedback: submission ? submission.feedback : null
+      };
+    };
+
+    res.attachment(`${assignment.assignment_title.replace(/[^\w.-]+/g, '_')}_grades.csv`);
+    res.type('text/csv');
+
+    if (assignment.isGradingBlind()) {
+      return res.send(toCsv(BLIND_GRADE_SHEET_COLUMNS, assignment.submissions
+        .map(submission => ({ submission_code: submission.anonymous_code, ...toRow(submission) }))
+        .sort((a, b) => a.submission_code.localeCompare(b.submission_code))));
+    }
+
+    const enrolled = await executeQuery(
+      `SELECT u.user_id, u.name, u.email
+       FROM enrollments e
+       INNER JOIN users u ON e.student_id = u.user_id
+       WHERE e.course_id = ? AND e.status = 'active'
+       ORDER BY u.name`,
+      [assignment.course_id]
+    );
+
+    const enrolledIds = new Set(enrolled.map(u => u.user_id));
+    const others = await findStudents(assignment.submissions
+      .map(s => s.student_id)
+      .filter(id => !enrolledIds.has(id)));
+
+    const students = [
+      ...enrolled.map(u => ({ student_id: u.user_id, name: u.name, email: u.email })),
+      ...[...others].map(([studentId, student]) => ({ student_id: studentId, ...student }))
+    ];
+
+    const rows = students.map(student => ({
+      student_id: student.student_id,
+      student_name: student.name,
+      student_email: student.email,
+      ...toRow(assignment.getSubmissionByStudent(student.student_id))
+    }));
+
+    res.send(toCsv(GRADE_SHEET_COLUMNS, rows));
+  } catch (error) {
+    console.error('Export grade sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export grades',
+      error: error.message
+    });
+  }
+};
+
+// The grade an instructor gave, before annotation deductions and late penalty
+const givenGrade = (submission) => (submission.raw_grade !== undefined ? submission.raw_grade : submission.grade);
+
+/**
+ * Grading details an imported row keeps when it leaves the grade as it is:
+ * the graded version, a waived late penalty, the rubric breakdown and any
+ * group grade. A row that changes the grade grades the latest version,
+ * keeping the waiver only if that version was the one graded.
+ */
+const keptGrading = (submission, grade) => {
+  if (givenGrade(submission) !== grade) {
+    return submission.graded_version === submission.version
+      ? { waive_late_penalty: submission.late_penalty_waived }
+      : {};
+  }
+
+  const hasRubric = submission.rubric_scores && submission.rubric_scores.length > 0;
+
+  return {
+    version: submission.graded_version,
+    waive_late_penalty: submission.late_penalty_waived,
+    rubric_scores: hasRubric ? submission.rubric_scores.map(score => score.toObject()) : undefined,
+    rubric_points: submission.rubric_points,
+    rubric_max_points: submission.rubric_max_points,
+    group_grade: submission.group_grade,
+    grade_adjustment: submission.grade_adjustment
+  };
+};
+
+/**
+ * Check each row of an uploaded grading sheet.
+ * Returns [{ row, student_id, action: 'update'|'unchanged'|'skip'|'error', grade, feedback, errors }]
+ * where row is the line number in the file. While grading is blind rows are
+ * matched by submission_code (also returned) instead of student_id.
+ */
+const previewGradeSheet = (assignment, sheet) => {
+  const blind = assignment.isGradingBlind();
+  const keyColumn = blind ? 'submission_code' : 'student_id';
+  const hasFeedback = sheet.columns.includes('feedback');
+  const seen = new Set();
+
+  return sheet.records.map((record, index) => {
+    const result = { row: sheet.lines[index], student_id: null, action: 'update', errors: [] };
+    const rawId = String(record[keyColumn] || '').trim();
+    const rawGrade = String(record.grade === undefined ? '' : record.grade).trim();
+
+    if (blind) {
+      const submission = assignment.getSubmissionByCode(rawId.toUpperCase());
+      result.submission_code = rawId;
+
+      if (!submission) {
+        result.action = 'error';
+        result.errors.push('submission_code does not match a submission');
+        return result;
+      }
+
+      result.student_id = submission.student_id;
+    } else if (/^\d+$/.test(rawId)) {
+      result.student_id = parseInt(rawId);
+    } else {
+      result.action = 'error';
+      result.errors.push('student_id must be a whole number');
+      return result;
+    }
+
+    if (seen.has(result.student_id)) {
+      result.action = 'error';
+      result.errors.push(`${keyColumn} appears more than once`);
+      return result;
+    }
+    seen.add(result.student_id);
+
+    if (rawGrade === '') {
+      result.action = 'skip';
+      return result;
+    }
+
+    if (isNaN(Number(rawGrade)) || Number(rawGrade) < 0) {
+      result.action = 'error';
+      result.errors.push('grade must be a non-negative number');
+      return result;
+    }
+
+    result.grade = Number(rawGrade);
+
+    const gradeError = assignment.validateGrade(result.student_id, result.grade);
+    if (gradeError) {
+      result.action = 'error';
+      result.errors.push(gradeError);
+      return result;
+    }
+
+    const submission = assignment.getSubmissionByStudent(result.student_id);
+    const previousGrade = givenGrade(submission);
+
+    // Without a feedback column the existing feedback is kept
+    result.feedback = hasFeedback ? String(record.feedback || '').trim() || undefined : submission.feedback;
+    result.previous_grade = previousGrade === undefined ? null : previousGrade;
+
+    if (previousGrade === result.grade && (submission.feedback || undefined) === result.feedback) {
+      result.action = 'unchanged';
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Upload a grading sheet (instructor/admin)
+ * POST /api/assignments/:assignmentId/grades/import?dry_run=true
+ * multipart/form-data with the CSV in the "file" field, or JSON { csv }.
+ * Needs student_id (submission_code while grading is blind) and grade
+ * columns; feedback is optional. Rows with an empty grade are skipped. Grades go through the same checks as single
+ * grading; if any row has an error nothing is written. A row that only
+ * changes the feedback keeps the rest of the existing grading. With dry_run the
+ * row-by-row preview is returned without writing anything.
+ */
+const importGradeSheet = async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the CSV in the "file" field or send it as { csv }'
+      });
+    }
+
+    let sheet;
+
+    try {
+      sheet = parseCsvRecords(text);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const keyColumn = assignment.isGradingBlind() ? 'submission_code' : 'student_id';
+
+    if (!sheet.columns.includes(keyColumn) || !sheet.columns.includes('grade')) {
+      return res.status(400).json({
+        success: false,
+        message: `The CSV needs ${keyColumn} and grade columns`
+      });
+    }
+
+    const rows = previewGradeSheet(assignment, sheet);
+    // Blind rows must not reveal who a code belongs to
+    const shownRows = () => (assignment.isGradingBlind() ? rows.map(({ student_id, ...row }) => row) : rows);
+    const summary = ['update', 'unchanged', 'skip', 'error'].reduce((counts, action) => ({
+      ...counts,
+      [action]: rows.filter(r => r.action === action).length
+    }), { rows: rows.length });
+
+    if (dryRun || summary.error > 0) {
+      return res.status(!dryRun && summary.error > 0 ? 400 : 200).json({
+        success: !(summary.error > 0 && !dryRun),
+        message: summary.error > 0
+          ? `${summary.error} row(s) have errors; nothing was saved`
+          : `Preview: ${summary.update} grade(s) would be saved`,
+        data: {
+          dry_run: dryRun,
+          summary,
+          rows: shownRows(),
+          database: 'MongoDB'
+        }
+      });
+    }
+
+    const updates = rows.filter(r => r.action === 'update');
+
+    if (updates.length > 0) {
+      await assignment.gradeSubmissions(updates.map(r => ({
+        ...keptGrading(assignment.getSubmissionByStudent(r.student_id), r.grade),
+        student_id: r.student_id,
+        grade: r.grade,
+        feedback: r.feedback,
+        graded_by: req.user.user_id
+      })));
+
+      await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+        course_id: assignment.course_id,
+        resource_type: 'assignment',
+        resource_id: assignment._id,
+        metadata: { additional_data: { bulk: true, graded: updates.length } }
+      });
+    }
+
+    updates.forEach(r => {
+      r.final_grade = assignment.getSubmissionByStudent(r.student_id).grade;
+    });
+
+    res.json({
+      success: true,
+      message: `${updates.length} grade(s) saved`,
+      data: {
+        dry_run: false,
+        summary,
+        rows: shownRows(),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Import grade sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import grades',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Release the grades of a blind-graded assignment (instructor/admin)
+ * POST /api/assignments/:assignmentId/grades/release
+ * Students see their grades from now on, and graders see which student
+ * each submission code belongs to. Cannot be undone; the reveal is logged.
+ */
+const releaseGrades = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!assignment.blind_grading) {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment is not graded blind; its grades are already visible'
+      });
+    }
+
+    if (assignment.grades_released_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Grades have already been released'
+      });
+    }
+
+    await assignment.releaseGrades(req.user.user_id);
+
+    const ungraded = assignment.submissions.filter(s => s.status !== 'graded').length;
+
+    await logManualActivity(req.user.user_id, 'REVEAL_IDENTITIES', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          submissions: assignment.submissions.length,
+          ungraded
+        }
+      }
+    });
+
+    const students = await findStudents(assignment.submissions.map(s => s.student_id));
+
+    res.json({
+      success: true,
+      message: ungraded > 0
+        ? `Grades released; ${ungraded} submission(s) are not graded yet`
+        : 'Grades released',
+      data: {
+        grades_released_at: assignment.grades_released_at,
+        submissions: assignment.submissions.map(s => ({
+          submission_code: s.anonymous_code,
+          student_id: s.student_id,
+          student_name: nameOf(students, s.student_id),
+          grade: s.grade,
+          status: s.status
+        })),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Release grades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release grades',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Score rubric selections against the assignment's rubric.
+ * Returns { result, grade } with the total scaled to max_marks, or { error }.
+ */
+const scoreWithRubric = async (assignment, rubricScores) => {
+  const rubric = assignment.rubric_id ? await Rubric.findById(assignment.rubric_id) : null;
+
+  if (!rubric) {
+    return { error: 'This assignment has no rubric attached' };
+  }
+
+  let result;
+
+  try {
+    result = rubric.scoreSelections(rubricScores);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    result,
+    grade: result.max_points > 0
+      ? Math.round(result.total / result.max_points * assignment.max_marks * 100) / 100
+      : 0
+  };
+};
+
+/**
+ * Grade a student's submission (instructor only)
+ * Body: { student_id, grade | rubric_scores, feedback, version, waive_late_penalty }
+ * While grading is blind the submission is given as submission_code instead of student_id.
+ * rubric_scores = [{ criterion_id, level_id, comment }], one per criterion of the
+ * attached rubric; the grade is then the rubric total scaled to max_marks.
+ * The grade is pinned to `version` (default: the latest version). Deductions of
+ * that version's annotations are taken off, then late work loses the
+ * assignment's late penalty unless waive_late_penalty is true.
+ */
+const gradeAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { student_id, submission_code, rubric_scores, feedback, version, waive_late_penalty } = req.body;
+    let { grade } = req.body;
+
+    if ((student_id === undefined && submission_code === undefined) || (rubric_scores === undefined &&
+        (grade === undefined || isNaN(Number(grade)) || Number(grade) < 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'student_id (or submission_code) and either a non-negative grade or rubric_scores are required'
+      });
+    }
+
+    if (rubric_scores !== undefined && !Array.isArray(rubric_scores)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubric_scores must be a list of { criterion_id, level_id, comment }'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const blind = assignment.isGradingBlind();
+
+    if (blind && submission_code === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment is graded blind; identify the submission by submission_code'
+      });
+    }
+
+    const studentId = resolveSubmissionStudent(req.user, assignment, blind ? submission_code : student_id);
+
+    if (studentId === null || !assignment.getSubmissionByStudent(studentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this student'
+      });
+    }
+
+    if (version !== undefined && !assignment.getSubmissionVersion(studentId, parseInt(version))) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for this submission`
+      });
+    }
+
+    let rubricResult = null;
+
+    if (rubric_scores !== undefined) {
+      const scored = await scoreWithRubric(assignment, rubric_scores);
+
+      if (scored.error) {
+        return res.status(400).json({
+          success: false,
+          message: scored.error
+        });
+      }
+
+      rubricResult = scored.result;
+      grade = scored.grade;
+    }
+
+    if (Number(grade) > assignment.max_marks) {
+      return res.status(400).json({
+        success: false,
+        message: `Grade cannot exceed maximum marks (${assignment.max_marks})`
+      });
+    }
+
+    await assignment.gradeSubmission(studentId, {
+      grade: Number(grade),
+      feedback,
+      graded_by: req.user.user_id,
+      version: version !== undefined ? parseInt(version) : undefined,
+      waive_late_penalty: waive_late_penalty === true,
+      rubric_scores: rubricResult ? rubricResult.scores : undefined,
+      rubric_points: rubricResult ? rubricResult.total : undefined,
+      rubric_max_points: rubricResult ? rubricResult.max_points : undefined
+    });
+
+    const submission = assignment.getSubmissionByStudent(studentId);
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          ...submissionReference(req.user, assignment, studentId),
+          grade: Number(grade),
+          version: submission.graded_version,
+          late_penalty_percent: submission.late_penalty_percent,
+          rubric_points: rubricResult ? rubricResult.total : undefined
+        }
+      }
+    });
+
+    const notes = [];
+    if (submission.annotation_deduction > 0) {
+      notes.push(`Annotations deducted ${submission.annotation_deduction} point(s)`);
+    }
+    if (submission.late_penalty_percent > 0) {
+      notes.push(`Submitted late: ${submission.late_penalty_percent}% penalty applied`);
+    }
+
+    res.json({
+      success: true,
+      message: notes.length > 0 ? `Assignment graded. ${notes.join('; ')}` : 'Assignment graded successfully',
+      data: {
+        submission: blind ? toBlindSubmission(submission) : submission,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Grade assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade assignment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grade a group's submission (instructor only)
+ * POST /api/assignments/:assignmentId/groups/:groupId/grade
+ * Body: { grade | rubric_scores, feedback, adjustments: [{ student_id, adjustment }], waive_late_penalty }
+ * The grade fans out to every student who received the group's submission;
+ * an adjustment adds to (or subtracts from) one member's grade before any
+ * late penalty.
+ */
+const gradeGroup = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const groupId = parseInt(req.params.groupId);
+    const { rubric_scores, feedback, adjustments = [], waive_late_penalty } = req.body;
+    let { grade } = req.body;
+
+    if (rubric_scores === undefined && (grade === undefined || isNaN(Number(grade)) || Number(grade) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either a non-negative grade or rubric_scores is required'
+      });
+    }
+
+    if (rubric_scores !== undefined && !Array.isArray(rubric_scores)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubric_scores must be a list of { criterion_id, level_id, comment }'
+      });
+    }
+
+    if (!Array.isArray(adjustments) ||
+        adjustments.some(a => !a || a.student_id === undefined || isNaN(Number(a.adjustment)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'adjustments must be a list of { student_id, adjustment }'
+      });
+    }
+
+    const assignment = await findAssignment(assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    const course = await findCourse(assignment.course_id);
+
+    if (!course || !canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!assignment.is_group_assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is not a group assignment'
+      });
+    }
+
+    // Members as of the group's submission, even if the group changed since
+    const memberIds = assignment.submissions
+      .filter(s => s.group_id === groupId)
+      .map(s => s.student_id);
+
+    if (memberIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this group'
+      });
+    }
+
+    const strangers = adjustments.filter(a => !memberIds.includes(parseInt(a.student_id)));
+
+    if (strangers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustments for students outside this group's submission: ${strangers.map(a => a.student_id).join(', ')}`
+      });
+    }
+
+    let rubricResult = null;
+
+    if (rubric_scores !== undefined) {
+      const scored = await scoreWithRubric(assignment, rubric_scores);
+
+      if (scored.error) {
+        return res.status(400).json({
+          success: false,
+          message: scored.error
+        });
+      }
+
+      rubricResult = scored.result;
+      grade = scored.grade;
+    }
+
+    if (Number(grade) > assignment.max_marks) {
+      return res.status(400).json({
+        success: false,
+        message: `Grade cannot exceed maximum marks (${assignment.max_marks})`
+      });
+    }
+
+    await assignment.gradeGroupSubmission(memberIds, {
+      grade: Number(grade),
+      feedback,
+      graded_by: req.user.user_id,
+      adjustments: Object.fromEntries(adjustments.map(a => [parseInt(a.student_id), Number(a.adjustment)])),
+      waive_late_penalty: waive_late_penalty === true,
+      rubric_scores: rubricResult ? rubricResult.scores : undefined,
+      rubric_points: rubricResult ? rubricResult.total : undefined,
+      rubric_max_points: rubricResult ? rubricResult.max_points : undefined
+    });
+
+    const submissions = memberIds.map(id => assignment.getSubmissionByStudent(id));
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          group_id: groupId,
+          group_grade: Number(grade),
+          grades: submissions.map(s => ({ student_id: s.student_id, grade: s.grade })),
+          rubric_points: rubricResult ? rubricResult.total : undefined
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Group graded successfully (${submissions.length} members)`,
+      data: {
+        group_id: groupId,
+        group_grade: Number(grade),
+        submissions,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Grade group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get assignment statistics for course
+ */
+const getAssignmentStats = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const assignments = await Assignment.find({ course_id: parseInt(courseId) }).sort({ due_date: 1 });
+
+    const stats = assignments.map(assignment => ({
+      assignment_id: assignment._id,
+      assignment_title: assignment.assignment_title,
+      due_date: assignment.due_date,
+      max_marks: assignment.max_marks,
+      is_active: assignment.is_active,
+      ...assignment.getStatistics()
+    }));
+
+    res.json({
+      success: true,
+      message: 'Assignment statistics retrieved',
+      data: {
+        stats,
+        database: 'MongoDB'
       }
     });
   } catch (error) {
@@ -235,7 +3147,33 @@ module.exports = {
   getCourseAssignments,
   getStudentAssignments,
   getAssignmentById,
+  createAssignment,
+  updateAssignment,
+  setAssignmentRubric,
+  setAssignmentActive,
+  deleteAssignment,
   submitAssignment,
+  getDraft,
+  saveDraft,
+  downloadDraftFile,
+  deleteDraft,
+  submitDraft,
+  downloadSubmissionFile,
+  downloadAllSubmissions,
+  getSubmissionVersions,
+  diffSubmissionVersions,
+  getSubmissionSimilarity,
+  getSimilarityMatches,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+  getAssignmentExtensions,
+  setAssignmentExtension,
+  deleteAssignmentExtension,
   gradeAssignment,
+  gradeGroup,
+  exportGradeSheet,
+  importGradeSheet,
+  releaseGrades,
   getAssignmentStats
 };
@@ -244,7 +244,7 @@ const getProfile = async (req, res) => {
       
       // Get quiz submission count
       const quizzes = await executeQuery(
-        'SELECT COUNT(*) as count FROM quiz_submissions WHERE student_id = ?',
+        "SELECT COUNT(DISTINCT quiz_id) as count FROM quiz_submissions WHERE student_id = ? AND status <> 'in_progress'",
         [userId]
       );
       
@@ -0,0 +1,336 @@
+/**
+ * Autograder Controller
+ *
+ * Hidden test suites for code assignments using MongoDB. Tests run in a
+ * local sandbox (see utils/autograder.js); results are stored on each
+ * submission under `autograde`.
+ */
+
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { submissionReference, resolveSubmissionStudent } = require('../utils/blindGrading');
+const {
+  GRADABLE_TYPES,
+  validateAutograderSettings,
+  runTestSuite,
+  queueAutograde
+} = require('../utils/autograder');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+/**
+ * Find an assignment the user manages.
+ * Returns { assignment } or { status, message }.
+ */
+const findManagedAssignment = async (user, assignmentId) => {
+  const assignment = mongoose.isValidObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+
+  if (!assignment) {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  const course = await findCourse(assignment.course_id);
+
+  if (!course || !canManageCourse(user, course.instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { assignment };
+};
+
+/**
+ * Summarize the latest autograde results of an assignment
+ */
+const summarizeResults = (assignment) => {
+  const results = assignment.submissions.map(s => s.autograde).filter(a => a && a.status);
+  const completed = results.filter(a => a.status === 'completed');
+
+  return {
+    submissions: assignment.submissions.length,
+    pending: results.filter(a => a.status === 'pending').length,
+    completed: completed.length,
+    failed: results.filter(a => a.status === 'timeout' || a.status === 'error').length,
+    average_score: completed.length > 0
+      ? Math.round(completed.reduce((sum, a) => sum + a.score, 0) / completed.length * 100) / 100
+      : null
+  };
+};
+
+/**
+ * Get an assignment's test suite and result summary (instructor/admin)
+ * GET /api/assignments/:assignmentId/autograder
+ */
+const getAutograder = async (req, res) => {
+  try {
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Autograder retrieved successfully',
+      data: {
+        autograder: assignment.autograder,
+        summary: summarizeResults(assignment),
+        results: assignment.submissions
+          .filter(s => s.autograde && s.autograde.status)
+          .map(s => ({ ...submissionReference(req.user, assignment, s.student_id), ...s.autograde.toObject() })),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get autograder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve autograder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Configure the autograder (instructor/admin)
+ * PUT /api/assignments/:assignmentId/autograder
+ * Body: { enabled, tests: [{ name, code, points }], test_timeout_ms, memory_limit_mb }
+ * Tests are JavaScript run after the student's code in the same scope
+ * (functions it declares and module.exports are visible); a test fails by
+ * throwing, e.g. through the provided assert. Changing the tests does not
+ * regrade existing submissions; use the run endpoint for that.
+ */
+const updateAutograder = async (req, res) => {
+  try {
+    const { enabled, tests, test_timeout_ms, memory_limit_mb } = req.body;
+
+    if (enabled === undefined && tests === undefined && test_timeout_ms === undefined && memory_limit_mb === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: enabled, tests, test_timeout_ms, memory_limit_mb'
+      });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    const validationError = validateAutograderSettings(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (tests !== undefined) {
+      assignment.autograder.tests = tests.map(test => ({
+        name: String(test.name).trim(),
+        code: test.code,
+        points: test.points !== undefined ? Number(test.points) : 1
+      }));
+    }
+
+    if (test_timeout_ms !== undefined) assignment.autograder.test_timeout_ms = Number(test_timeout_ms);
+    if (memory_limit_mb !== undefined) assignment.autograder.memory_limit_mb = Number(memory_limit_mb);
+    if (enabled !== undefined) assignment.autograder.enabled = enabled;
+
+    if (assignment.autograder.enabled && assignment.autograder.tests.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one test before enabling the autograder'
+      });
+    }
+
+    assignment.autograder.updated_at = new Date();
+    assignment.updated_at = new Date();
+
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          autograder_enabled: assignment.autograder.enabled,
+          tests: assignment.autograder.tests.length
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Autograder updated successfully',
+      data: {
+        autograder: assignment.autograder,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Update autograder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update autograder',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Try the test suite on some code, e.g. a reference solution (instructor/admin)
+ * POST /api/assignments/:assignmentId/autograder/try
+ * Body: { code, tests } (tests default to the saved suite)
+ * Runs immediately and returns the results without storing anything.
+ */
+const tryAutograder = async (req, res) => {
+  try {
+    const { code, tests } = req.body;
+
+    if (typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'code is required'
+      });
+    }
+
+    const validationError = validateAutograderSettings({ tests });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const suite = {
+      tests: tests || assignment.autograder.tests,
+      test_timeout_ms: assignment.autograder.test_timeout_ms,
+      memory_limit_mb: assignment.autograder.memory_limit_mb
+    };
+
+    if (suite.tests.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment has no tests yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test suite run',
+      data: {
+        result: await runTestSuite(code, suite),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Try autograder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run tests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rerun the autograder on the latest submissions (instructor/admin)
+ * POST /api/assignments/:assignmentId/autograder/run
+ * Body: { student_id } (submission_code while grading is blind) to rerun a single submission
+ * Runs in the background; results appear on each submission's `autograde`.
+ */
+const runAutograder = async (req, res) => {
+  try {
+    const { student_id, submission_code } = req.body;
+
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!assignment.autograder.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'The autograder is not enabled for this assignment'
+      });
+    }
+
+    const reference = assignment.isGradingBlind() ? submission_code : student_id;
+    const studentId = reference !== undefined ? resolveSubmissionStudent(req.user, assignment, reference) : undefined;
+
+    const submissions = assignment.submissions.filter(s =>
+      GRADABLE_TYPES.includes(s.submission_type) &&
+      (reference === undefined || s.student_id === studentId));
+
+    if (submissions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: reference !== undefined
+          ? 'No gradable submission found for this student'
+          : 'No gradable submissions yet'
+      });
+    }
+
+    await queueAutograde(assignment._id, submissions.map(s => ({
+      studentId: s.student_id,
+      version: s.version || 1
+    })));
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { autograder_rerun: submissions.length } }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${submissions.length} submission(s) queued for autograding`,
+      data: {
+        queued: submissions.length,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Run autograder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue autograder',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAutograder,
+  updateAutograder,
+  tryAutograder,
+  runAutograder
+};
@@ -3,14 +3,31 @@
  * 
  * Handles course and enrollment management
  * Uses MySQL for relational data and MongoDB for activity logging
+ * (deleting a course also removes its MongoDB content)
  */
 
 const { executeQuery, executeTransaction } = require('../config/mysql');
+const { storage } = require('../config/storage');
 const { logManualActivity } = require('../middleware/activityLogger');
+const Assignment = require('../models/Assignment');
+const Discussion = require('../models/Discussion');
+const Rubric = require('../models/Rubric');
+const PeerReview = require('../models/PeerReview');
+const SubmissionDraft = require('../models/SubmissionDraft');
+const ActivityLog = require('../models/ActivityLog');
+const { ARCHIVED_COURSE_MESSAGE } = require('../utils/courseArchive');
+const { canManageCourse } = require('../utils/courseAccess');
+const {
+  DEFAULT_UPLOAD_LIMITS,
+  UPLOAD_HARD_LIMIT_MB,
+  validateUploadLimits,
+  getCourseUploadLimits
+} = require('../utils/fileUploads');
 
 /**
  * Get all courses
  * GET /api/courses
+ * Archived courses are not listed.
  */
 const getAllCourses = async (req, res) => {
   try {
@@ -27,6 +44,7 @@ const getAllCourses = async (req, res) => {
       FROM courses c
       INNER JOIN users u ON c.instructor_id = u.user_id
       LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'active'
+      WHERE c.is_archived = FALSE
       GROUP BY c.course_id, c.course_code, c.course_name, c.description, 
                c.created_at, u.name, u.email
       ORDER BY c.course_code
@@ -61,6 +79,8 @@ const getCourseById = async (req, res) => {
         c.course_code,
         c.course_name,
         c.description,
+        c.is_archived,
+        c.archived_at,
         c.created_at,
         c.instructor_id,
         u.name as instructor_name,
@@ -71,7 +91,7 @@ const getCourseById = async (req, res) => {
       LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'active'
       WHERE c.course_id = ?
       GROUP BY c.course_id, c.course_code, c.course_name, c.description, 
-               c.created_at, c.instructor_id, u.name, u.email
+               c.is_archived, c.archived_at, c.created_at, c.instructor_id, u.name, u.email
     `, [courseId]);
     
     if (courses.length === 0) {
@@ -200,6 +220,348 @@ const createCourse = async (req, res) => {
   }
 };
 
+/**
+ * Load a course and check that the user may manage it
+ * (instructors only their own courses, admins all).
+ * Returns { course } or { status, message }.
+ */
+const findManagedCourse = async (user, courseId) => {
+  const courses = await executeQuery(
+    'SELECT course_id, course_code, course_name, instructor_id, is_archived FROM courses WHERE course_id = ?',
+    [courseId]
+  );
+  
+  if (courses.length === 0) {
+    return { status: 404, message: 'Course not found' };
+  }
+  
+  if (!canManageCourse(user, courses[0].instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+  
+  return { course: courses[0] };
+};
+
+/**
+ * Update a course
+ * PUT /api/courses/:id
+ * Body: any of { course_code, course_name, description }
+ * Requires: instructor (own course) or admin role
+ */
+const updateCourse = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const { course_code, course_name, description } = req.body;
+    
+    if (course_code === undefined && course_name === undefined && description === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: course_code, course_name, description'
+      });
+    }
+    
+    if ((course_code !== undefined && !String(course_code || '').trim()) ||
+        (course_name !== undefined && !String(course_name || '').trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course code and name cannot be empty'
+      });
+    }
+    
+    if ((course_code !== undefined && String(course_code).trim().length > 20) ||
+        (course_name !== undefined && String(course_name).trim().length > 200)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course code cannot be more than 20 characters and name more than 200'
+      });
+    }
+    
+    const { course, status, message } = await findManagedCourse(req.user, courseId);
+    
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+    
+    const changes = {};
+    if (course_code !== undefined) changes.course_code = String(course_code).trim();
+    if (course_name !== undefined) changes.course_name = String(course_name).trim();
+    if (description !== undefined) changes.description = description || null;
+    
+    if (changes.course_code && changes.course_code !== course.course_code) {
+      const existing = await executeQuery(
+        'SELECT course_id FROM courses WHERE course_code = ? AND course_id <> ?',
+        [changes.course_code, course.course_id]
+      );
+      
+      if (existing.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Course code already exists'
+        });
+      }
+    }
+    
+    const fields = Object.keys(changes);
+    
+    await executeQuery(
+      `UPDATE courses SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE course_id = ?`,
+      [...fields.map(field => changes[field]), course.course_id]
+    );
+    
+    const courses = await executeQuery(`
+      SELECT 
+        c.course_id,
+        c.course_code,
+        c.course_name,
+        c.description,
+        c.is_archived,
+        c.archived_at,
+        c.created_at,
+        c.updated_at,
+        u.name as instructor_name,
+        u.email as instructor_email
+      FROM courses c
+      INNER JOIN users u ON c.instructor_id = u.user_id
+      WHERE c.course_id = ?
+    `, [course.course_id]);
+    
+    await logManualActivity(req.user.user_id, 'UPDATE_COURSE', {
+      course_id: course.course_id,
+      resource_type: 'course',
+      resource_id: course.course_id,
+      metadata: {
+        additional_data: { fields }
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: { course: courses[0] }
+    });
+  } catch (error) {
+    // Another update took the code between the check and the write
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Course code already exists'
+      });
+    }
+    
+    console.error('Update course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Archive or unarchive a course
+ * PUT /api/courses/:id/archive
+ * Body: { is_archived: true | false }
+ * An archived course is hidden from the course list and read-only for its
+ * students; nothing is deleted.
+ * Requires: instructor (own course) or admin role
+ */
+const setCourseArchived = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const { is_archived } = req.body;
+    
+    if (typeof is_archived !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'is_archived must be true or false'
+      });
+    }
+    
+    const { course, status, message } = await findManagedCourse(req.user, courseId);
+    
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+    
+    if (!!course.is_archived === is_archived) {
+      return res.status(409).json({
+        success: false,
+        message: is_archived ? 'Course is already archived' : 'Course is not archived'
+      });
+    }
+    
+    await executeQuery(
+      `UPDATE courses SET is_archived = ?, archived_at = ${is_archived ? 'NOW()' : 'NULL'} WHERE course_id = ?`,
+      [is_archived, course.course_id]
+    );
+    
+    await logManualActivity(req.user.user_id, 'UPDATE_COURSE', {
+      course_id: course.course_id,
+      resource_type: 'course',
+      resource_id: course.course_id,
+      metadata: {
+        additional_data: { is_archived }
+      }
+    });
+    
+    const courses = await executeQuery(
+      'SELECT course_id, course_code, course_name, is_archived, archived_at FROM courses WHERE course_id = ?',
+      [course.course_id]
+    );
+    
+    res.json({
+      success: true,
+      message: is_archived ? 'Course archived successfully' : 'Course unarchived successfully',
+      data: { course: courses[0] }
+    });
+  } catch (error) {
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course archive state',
+      error: error.message
+    });
+  }
+};
+
+// Activity log entries kept when their course is deleted: audit records
+// (e.g. who revealed blind-graded identities) must outlive the course
+const AUDIT_ACTIONS = ['REVEAL_IDENTITIES', 'DELETE_ASSIGNMENT', 'DELETE_QUIZ', 'DELETE_COURSE'];
+
+/**
+ * Delete a course's MongoDB content.
+ * MySQL rows go with the course through ON DELETE CASCADE; these do not.
+ * Returns { removed } (documents removed per collection) and storedFiles,
+ * the storage keys of the course's files, which the caller removes once
+ * the course is gone for good.
+ */
+const deleteCourseContent = async (courseId) => {
+  const [assignments, drafts] = await Promise.all([
+    Assignment.find({ course_id: courseId }),
+    SubmissionDraft.find({ course_id: courseId }, { file_path: 1 })
+  ]);
+  
+  const [discussions, assignmentsDeleted, draftsDeleted, peerReviews, rubrics, activityLogs] = await Promise.all([
+    Discussion.deleteMany({ course_id: courseId }),
+    Assignment.deleteMany({ course_id: courseId }),
+    SubmissionDraft.deleteMany({ course_id: courseId }),
+    PeerReview.deleteMany({ course_id: courseId }),
+    Rubric.deleteMany({ course_id: courseId }),
+    // Route-level logs refer to the course as a resource rather than by course_id
+    ActivityLog.deleteMany({
+      action: { $nin: AUDIT_ACTIONS },
+      $or: [
+        { course_id: courseId },
+        { resource_type: 'course', resource_id: { $in: [courseId, String(courseId)] } }
+      ]
+    })
+  ]);
+  
+  const storedFiles = [
+    ...assignments.flatMap(a => a.getStoredFiles()),
+    ...drafts.map(d => d.file_path).filter(Boolean)
+  ];
+  
+  return {
+    removed: {
+      discussions: discussions.deletedCount,
+      assignments: assignmentsDeleted.deletedCount,
+      submission_drafts: draftsDeleted.deletedCount,
+      peer_reviews: peerReviews.deletedCount,
+      rubrics: rubrics.deletedCount,
+      activity_logs: activityLogs.deletedCount,
+      stored_files: storedFiles.length
+    },
+    storedFiles
+  };
+};
+
+/**
+ * Permanently delete a course with everything in it
+ * DELETE /api/courses/:id?force=true
+ * Courses with enrollments, quizzes or assignments need ?force=true;
+ * archiving is the reversible alternative.
+ * Requires: instructor (own course) or admin role
+ */
+const deleteCourse = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    
+    const { course, status, message } = await findManagedCourse(req.user, courseId);
+    
+    if (!course) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+    
+    if (req.query.force !== 'true') {
+      const [enrollments, quizzes, assignments] = await Promise.all([
+        executeQuery('SELECT COUNT(*) as count FROM enrollments WHERE course_id = ?', [course.course_id]),
+        executeQuery('SELECT COUNT(*) as count FROM quizzes WHERE course_id = ?', [course.course_id]),
+        Assignment.countDocuments({ course_id: course.course_id })
+      ]);
+      
+      if (enrollments[0].count > 0 || quizzes[0].count > 0 || assignments > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `This course has ${enrollments[0].count} enrollment(s), ${quizzes[0].count} quiz(zes) and ${assignments} assignment(s). Archive it instead, or delete with ?force=true`
+        });
+      }
+    }
+    
+    // The MySQL delete is only committed once the MongoDB cleanup has
+    // succeeded. MongoDB has no transaction spanning both databases, so if
+    // the cleanup fails part way the course row is kept (and the delete can
+    // be retried) but the documents already removed are gone.
+    const { removed, storedFiles } = await executeTransaction(async (connection) => {
+      await connection.execute('DELETE FROM courses WHERE course_id = ?', [course.course_id]);
+      return deleteCourseContent(course.course_id);
+    });
+    
+    // Files last: until the commit above the course could still come back
+    await Promise.all(storedFiles.map(key => storage.remove(key).catch(error => {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    })));
+    
+    await logManualActivity(req.user.user_id, 'DELETE_COURSE', {
+      course_id: course.course_id,
+      resource_type: 'course',
+      resource_id: course.course_id,
+      metadata: {
+        additional_data: {
+          course_code: course.course_code,
+          course_name: course.course_name,
+          removed
+        }
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Course deleted successfully',
+      data: {
+        course_id: course.course_id,
+        removed
+      }
+    });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete course',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get student's enrolled courses
  * GET /api/courses/my-courses
@@ -214,19 +576,21 @@ const getMyEnrolledCourses = async (req, res) => {
         c.course_code,
         c.course_name,
         c.description,
+        c.is_archived,
         u.name as instructor_name,
         u.email as instructor_email,
         e.enrolled_at,
         e.status as enrollment_status,
         COUNT(DISTINCT q.quiz_id) as total_quizzes,
-        COUNT(DISTINCT qs.submission_id) as quizzes_submitted
+        COUNT(DISTINCT qs.quiz_id) as quizzes_submitted
       FROM enrollments e
       INNER JOIN courses c ON e.course_id = c.course_id
       INNER JOIN users u ON c.instructor_id = u.user_id
       LEFT JOIN quizzes q ON c.course_id = q.course_id
       LEFT JOIN quiz_submissions qs ON q.quiz_id = qs.quiz_id AND qs.student_id = e.student_id
+        AND qs.status <> 'in_progress'
       WHERE e.student_id = ?
-      GROUP BY c.course_id, c.course_code, c.course_name, c.description,
+      GROUP BY c.course_id, c.course_code, c.course_name, c.description, c.is_archived,
                u.name, u.email, e.enrolled_at, e.status
       ORDER BY e.enrolled_at DESC
     `, [studentId]);
@@ -257,7 +621,7 @@ const enrollInCourse = async (req, res) => {
     
     // Check if course exists
     const courses = await executeQuery(
-      'SELECT course_id, course_name FROM courses WHERE course_id = ?',
+      'SELECT course_id, course_name, is_archived FROM courses WHERE course_id = ?',
       [courseId]
     );
     
@@ -268,6 +632,13 @@ const enrollInCourse = async (req, res) => {
       });
     }
     
+    if (courses[0].is_archived) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
     // Check if already enrolled
     const existing = await executeQuery(
       'SELECT enrollment_id, status FROM enrollments WHERE student_id = ? AND course_id = ?',
@@ -336,7 +707,7 @@ const getCourseStudents = async (req, res) => {
     }
     
     // Check authorization (instructor can only see their own courses, admin can see all)
-    if (req.user.role === 'instructor' && courses[0].instructor_id !== req.user.user_id) {
+    if (!canManageCourse(req.user, courses[0].instructor_id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -351,11 +722,11 @@ const getCourseStudents = async (req, res) => {
         u.email,
         e.enrolled_at,
         e.status,
-        COUNT(DISTINCT qs.submission_id) as quizzes_submitted,
+        COUNT(DISTINCT qs.quiz_id) as quizzes_submitted,
         ROUND(AVG((qs.marks_obtained / q.max_marks) * 100), 2) as avg_percentage
       FROM enrollments e
       INNER JOIN users u ON e.student_id = u.user_id
-      LEFT JOIN quiz_submissions qs ON u.user_id = qs.student_id
+      LEFT JOIN quiz_submissions qs ON u.user_id = qs.student_id AND qs.status <> 'in_progress'
       LEFT JOIN quizzes q ON qs.quiz_id = q.quiz_id AND q.course_id = e.course_id
       WHERE e.course_id = ? AND e.status = 'active'
       GROUP BY u.user_id, u.name, u.email, e.enrolled_at, e.status
@@ -376,11 +747,142 @@ const getCourseStudents = async (req, res) => {
   }
 };
 
+/**
+ * Get a course's file upload limits
+ * GET /api/courses/:id/upload-limits
+ */
+const getUploadLimits = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+
+    const courses = await executeQuery(
+      'SELECT course_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        limits: await getCourseUploadLimits(courseId),
+        hard_limit_mb: UPLOAD_HARD_LIMIT_MB
+      }
+    });
+  } catch (error) {
+    console.error('Get upload limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get upload limits',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a course's file upload limits
+ * PUT /api/courses/:id/upload-limits
+ * Body: { max_file_size_mb, allowed_mime_types } (allowed_mime_types: null restores the defaults)
+ * Requires: instructor or admin role
+ */
+const updateUploadLimits = async (req, res) => {
+  try {
+    const courseId = req.params.id;
+    const { max_file_size_mb, allowed_mime_types } = req.body;
+
+    if (max_file_size_mb === undefined && allowed_mime_types === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide max_file_size_mb and/or allowed_mime_types'
+      });
+    }
+
+    const validationError = validateUploadLimits(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const courses = await executeQuery(
+      'SELECT instructor_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, courses[0].instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const current = await getCourseUploadLimits(courseId);
+    const maxSize = max_file_size_mb === undefined ? current.max_file_size_mb : Number(max_file_size_mb);
+    const mimeTypes = allowed_mime_types === undefined
+      ? (current.is_default ? null : current.allowed_mime_types)
+      : allowed_mime_types;
+
+    await executeQuery(
+      `INSERT INTO course_upload_limits (course_id, max_file_size_mb, allowed_mime_types, updated_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         max_file_size_mb = VALUES(max_file_size_mb),
+         allowed_mime_types = VALUES(allowed_mime_types),
+         updated_by = VALUES(updated_by)`,
+      [courseId, maxSize, mimeTypes ? JSON.stringify(mimeTypes) : null, req.user.user_id]
+    );
+
+    await logManualActivity(req.user.user_id, 'UPDATE_COURSE', {
+      course_id: parseInt(courseId),
+      resource_type: 'course',
+      resource_id: parseInt(courseId),
+      metadata: {
+        additional_data: {
+          upload_limits: { max_file_size_mb: maxSize, allowed_mime_types: mimeTypes || DEFAULT_UPLOAD_LIMITS.allowed_mime_types }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Upload limits updated successfully',
+      data: {
+        limits: await getCourseUploadLimits(courseId)
+      }
+    });
+  } catch (error) {
+    console.error('Update upload limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update upload limits',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllCourses,
   getCourseById,
   createCourse,
+  updateCourse,
+  setCourseArchived,
+  deleteCourse,
   getMyEnrolledCourses,
   enrollInCourse,
-  getCourseStudents
+  getCourseStudents,
+  getUploadLimits,
+  updateUploadLimits
 };
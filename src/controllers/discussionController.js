@@ -5,6 +5,15 @@
  */
 
 const Discussion = require('../models/Discussion');
+const { ARCHIVED_COURSE_MESSAGE, isCourseArchived } = require('../utils/courseArchive');
+
+/**
+ * Whether a course's discussions are read-only for the user
+ * (students in an archived course)
+ */
+const isReadOnlyFor = async (user, courseId) => {
+  return user.role === 'student' && await isCourseArchived(courseId);
+};
 
 /**
  * Get all discussions for a course
@@ -85,6 +94,13 @@ const createDiscussion = async (req, res) => {
       });
     }
     
+    if (await isReadOnlyFor(req.user, parseInt(courseId))) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
     const discussion = await Discussion.createDiscussion({
       course_id: parseInt(courseId),
       author_id: req.user.user_id,
@@ -136,6 +152,13 @@ const addComment = async (req, res) => {
       });
     }
     
+    if (await isReadOnlyFor(req.user, discussion.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
     const comment = discussion.addComment(
       req.user.user_id,
       req.user.name,
@@ -187,6 +210,13 @@ const addReply = async (req, res) => {
       });
     }
     
+    if (await isReadOnlyFor(req.user, discussion.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
     const comment = discussion.comments.id(commentId);
     
     if (!comment) {
@@ -240,6 +270,13 @@ const upvoteDiscussion = async (req, res) => {
       });
     }
     
+    if (await isReadOnlyFor(req.user, discussion.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
     discussion.upvote(req.user.user_id);
     await discussion.save();
     
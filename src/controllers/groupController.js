@@ -0,0 +1,553 @@
+/**
+ * Group Controller
+ *
+ * Project teams within a course using MySQL.
+ * A student belongs to at most one group per course.
+ */
+
+const { executeQuery, executeTransaction } = require('../config/mysql');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { getCourseGroups: loadCourseGroups } = require('../utils/courseGroups');
+const { shuffle } = require('../utils/quizRandomizer');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+const MAX_GROUP_NAME_LENGTH = 100;
+
+/**
+ * Find a group the user manages.
+ * Returns { group } or { status, message }.
+ */
+const findManagedGroup = async (user, groupId) => {
+  const groups = await executeQuery(
+    `SELECT g.group_id, g.course_id, g.group_name, c.instructor_id
+     FROM course_groups g
+     INNER JOIN courses c ON g.course_id = c.course_id
+     WHERE g.group_id = ?`,
+    [groupId]
+  );
+
+  if (groups.length === 0) {
+    return { status: 404, message: 'Group not found' };
+  }
+
+  if (!canManageCourse(user, groups[0].instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { group: groups[0] };
+};
+
+/**
+ * Check that students can join a group: actively enrolled and not in
+ * another group of the course. Returns an error message or null.
+ */
+const validateMembers = async (courseId, studentIds, groupId = null) => {
+  if (!Array.isArray(studentIds) || studentIds.some(id => !Number.isInteger(Number(id)))) {
+    return 'student_ids must be a list of student ids';
+  }
+
+  if (new Set(studentIds.map(Number)).size !== studentIds.length) {
+    return 'student_ids contains duplicates';
+  }
+
+  if (studentIds.length === 0) {
+    return null;
+  }
+
+  const placeholders = studentIds.map(() => '?').join(', ');
+
+  const enrolled = await executeQuery(
+    `SELECT student_id FROM enrollments
+     WHERE course_id = ? AND status = 'active' AND student_id IN (${placeholders})`,
+    [courseId, ...studentIds]
+  );
+
+  const enrolledIds = new Set(enrolled.map(e => e.student_id));
+  const notEnrolled = studentIds.filter(id => !enrolledIds.has(Number(id)));
+
+  if (notEnrolled.length > 0) {
+    return `Not actively enrolled in this course: ${notEnrolled.join(', ')}`;
+  }
+
+  const grouped = await executeQuery(
+    `SELECT m.student_id, g.group_name
+     FROM course_group_members m
+     INNER JOIN course_groups g ON m.group_id = g.group_id
+     WHERE m.course_id = ? AND m.group_id <> ? AND m.student_id IN (${placeholders})`,
+    [courseId, groupId || 0, ...studentIds]
+  );
+
+  if (grouped.length > 0) {
+    return `Already in another group: ${grouped.map(g => `${g.student_id} (${g.group_name})`).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Replace a group's members inside a transaction
+ */
+const replaceMembers = async (connection, group, studentIds) => {
+  await connection.execute('DELETE FROM course_group_members WHERE group_id = ?', [group.group_id]);
+
+  for (const studentId of studentIds) {
+    await connection.execute(
+      'INSERT INTO course_group_members (group_id, course_id, student_id) VALUES (?, ?, ?)',
+      [group.group_id, group.course_id, studentId]
+    );
+  }
+};
+
+/**
+ * Get groups of a course
+ * GET /api/courses/:courseId/groups
+ * Instructors and admins see every group; students see their own.
+ */
+const getCourseGroups = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    let groups;
+
+    if (canManageCourse(req.user, course.instructor_id)) {
+      groups = await loadCourseGroups(course.course_id);
+    } else if (req.user.role === 'student') {
+      groups = (await loadCourseGroups(course.course_id))
+        .filter(group => group.members.some(m => m.student_id === req.user.user_id));
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Groups retrieved successfully',
+      data: {
+        groups,
+        count: groups.length,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a group (instructor/admin)
+ * POST /api/courses/:courseId/groups
+ * Body: { group_name, student_ids }
+ */
+const createGroup = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { group_name, student_ids = [] } = req.body;
+
+    if (!group_name || !String(group_name).trim() || String(group_name).trim().length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `group_name is required (up to ${MAX_GROUP_NAME_LENGTH} characters)`
+      });
+    }
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const memberError = await validateMembers(course.course_id, student_ids);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError
+      });
+    }
+
+    const groupId = await executeTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO course_groups (course_id, group_name, created_by) VALUES (?, ?, ?)',
+        [course.course_id, String(group_name).trim(), req.user.user_id]
+      );
+
+      await replaceMembers(connection, { group_id: result.insertId, course_id: course.course_id }, student_ids.map(Number));
+
+      return result.insertId;
+    });
+
+    await logManualActivity(req.user.user_id, 'CREATE_GROUP', {
+      course_id: course.course_id,
+      resource_type: 'group',
+      resource_id: groupId,
+      metadata: { additional_data: { group_name, members: student_ids.length } }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        group: (await loadCourseGroups(course.course_id, groupId))[0],
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A group with this name already exists, or a student is already in a group'
+      });
+    }
+
+    console.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Split enrolled students into random groups (instructor/admin)
+ * POST /api/courses/:courseId/groups/random
+ * Body: { group_size | group_count, name_prefix = 'Group', replace = false }
+ * Only students without a group are placed unless replace is true, which
+ * deletes the course's existing groups first. Group sizes differ by at most one.
+ */
+const createRandomGroups = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { group_size, group_count, name_prefix = 'Group', replace = false } = req.body;
+
+    if ((group_size === undefined) === (group_count === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either group_size or group_count'
+      });
+    }
+
+    const requested = Number(group_size !== undefined ? group_size : group_count);
+
+    if (!Number.isInteger(requested) || requested < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `${group_size !== undefined ? 'group_size' : 'group_count'} must be a positive whole number`
+      });
+    }
+
+    if (!String(name_prefix).trim() || String(name_prefix).length > MAX_GROUP_NAME_LENGTH - 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'name_prefix is too long or empty'
+      });
+    }
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const students = await executeQuery(
+      `SELECT e.student_id FROM enrollments e
+       WHERE e.course_id = ? AND e.status = 'active'
+       ${replace === true ? '' : `AND NOT EXISTS (
+         SELECT 1 FROM course_group_members m WHERE m.course_id = e.course_id AND m.student_id = e.student_id
+       )`}`,
+      [course.course_id]
+    );
+
+    if (students.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No ungrouped enrolled students to place'
+      });
+    }
+
+    const count = group_count !== undefined
+      ? Math.min(requested, students.length)
+      : Math.ceil(students.length / requested);
+
+    // Deal shuffled students round-robin so sizes differ by at most one
+    const buckets = Array.from({ length: count }, () => []);
+    shuffle(students.map(s => s.student_id), Math.random)
+      .forEach((studentId, index) => buckets[index % count].push(studentId));
+
+    const groupIds = await executeTransaction(async (connection) => {
+      if (replace === true) {
+        await connection.execute('DELETE FROM course_groups WHERE course_id = ?', [course.course_id]);
+      }
+
+      const [existing] = await connection.execute(
+        'SELECT group_name FROM course_groups WHERE course_id = ?',
+        [course.course_id]
+      );
+      const takenNames = new Set(existing.map(g => g.group_name));
+
+      const ids = [];
+      let number = 1;
+
+      for (const members of buckets) {
+        while (takenNames.has(`${name_prefix} ${number}`)) {
+          number++;
+        }
+        takenNames.add(`${name_prefix} ${number}`);
+
+        const [result] = await connection.execute(
+          'INSERT INTO course_groups (course_id, group_name, created_by) VALUES (?, ?, ?)',
+          [course.course_id, `${name_prefix} ${number}`, req.user.user_id]
+        );
+        await replaceMembers(connection, { group_id: result.insertId, course_id: course.course_id }, members);
+        ids.push(result.insertId);
+      }
+
+      return ids;
+    });
+
+    await logManualActivity(req.user.user_id, 'CREATE_GROUP', {
+      course_id: course.course_id,
+      resource_type: 'group',
+      metadata: {
+        additional_data: {
+          random: true,
+          groups_created: groupIds.length,
+          students_placed: students.length,
+          replaced_existing: replace === true
+        }
+      }
+    });
+
+    const groups = (await loadCourseGroups(course.course_id))
+      .filter(group => groupIds.includes(group.group_id));
+
+    res.status(201).json({
+      success: true,
+      message: `Placed ${students.length} students into ${groupIds.length} groups`,
+      data: {
+        groups,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Create random groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create groups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a group (instructor/admin)
+ * PUT /api/groups/:groupId
+ * Body: { group_name }
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const { group_name } = req.body;
+
+    if (!group_name || !String(group_name).trim() || String(group_name).trim().length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `group_name is required (up to ${MAX_GROUP_NAME_LENGTH} characters)`
+      });
+    }
+
+    const { group, status, message } = await findManagedGroup(req.user, req.params.groupId);
+
+    if (!group) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await executeQuery(
+      'UPDATE course_groups SET group_name = ? WHERE group_id = ?',
+      [String(group_name).trim(), group.group_id]
+    );
+
+    await logManualActivity(req.user.user_id, 'UPDATE_GROUP', {
+      course_id: group.course_id,
+      resource_type: 'group',
+      resource_id: group.group_id,
+      metadata: { additional_data: { group_name } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: {
+        group: (await loadCourseGroups(group.course_id, group.group_id))[0],
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A group with this name already exists'
+      });
+    }
+
+    console.error('Update group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set a group's members (instructor/admin)
+ * PUT /api/groups/:groupId/members
+ * Body: { student_ids }
+ * Existing group submissions stay with the students who were members when
+ * they were made; new members join from the group's next submission.
+ */
+const setGroupMembers = async (req, res) => {
+  try {
+    const { student_ids } = req.body;
+
+    const { group, status, message } = await findManagedGroup(req.user, req.params.groupId);
+
+    if (!group) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const memberError = await validateMembers(group.course_id, student_ids, group.group_id);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError
+      });
+    }
+
+    await executeTransaction(async (connection) => {
+      await replaceMembers(connection, group, student_ids.map(Number));
+    });
+
+    await logManualActivity(req.user.user_id, 'UPDATE_GROUP', {
+      course_id: group.course_id,
+      resource_type: 'group',
+      resource_id: group.group_id,
+      metadata: { additional_data: { student_ids } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Group members updated successfully',
+      data: {
+        group: (await loadCourseGroups(group.course_id, group.group_id))[0],
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A student is already in another group'
+      });
+    }
+
+    console.error('Set group members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group members',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a group (instructor/admin)
+ * DELETE /api/groups/:groupId
+ * Submissions already made by the group are kept on each member's record.
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const { group, status, message } = await findManagedGroup(req.user, req.params.groupId);
+
+    if (!group) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await executeQuery('DELETE FROM course_groups WHERE group_id = ?', [group.group_id]);
+
+    await logManualActivity(req.user.user_id, 'DELETE_GROUP', {
+      course_id: group.course_id,
+      resource_type: 'group',
+      resource_id: group.group_id,
+      metadata: { additional_data: { group_name: group.group_name } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully',
+      data: {
+        group_id: group.group_id,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCourseGroups,
+  createGroup,
+  createRandomGroups,
+  updateGroup,
+  setGroupMembers,
+  deleteGroup
+};
@@ -0,0 +1,827 @@
+/**
+ * Peer Review Controller
+ *
+ * Peer-reviewed assignments using MongoDB (enrollments are read from MySQL).
+ * Reviewers are allocated automatically the first time reviews are requested
+ * after the assignment's due date; instructors can also allocate on demand.
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Rubric = require('../models/Rubric');
+const PeerReview = require('../models/PeerReview');
+const { executeQuery } = require('../config/mysql');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { sendStoredFile } = require('../utils/fileUploads');
+const { toBlindSubmission, submissionReference, resolveSubmissionStudent } = require('../utils/blindGrading');
+const { allocateReviewers, aggregatePeerScores } = require('../utils/peerAllocation');
+const { ARCHIVED_COURSE_MESSAGE, isCourseArchived } = require('../utils/courseArchive');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+const MAX_REVIEWS_PER_SUBMISSION = 10;
+
+/**
+ * Find an assignment the user manages.
+ * Returns { assignment } or { status, message }.
+ */
+const findManagedAssignment = async (user, assignmentId) => {
+  const assignment = mongoose.isValidObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+
+  if (!assignment) {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  const course = await findCourse(assignment.course_id);
+
+  if (!course || !canManageCourse(user, course.instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { assignment };
+};
+
+/**
+ * Find a review the user wrote (or manages).
+ * Returns { review, assignment, isReviewer } or { status, message }.
+ */
+const findAccessibleReview = async (user, reviewId) => {
+  const review = mongoose.isValidObjectId(reviewId) ? await PeerReview.findById(reviewId) : null;
+  const assignment = review ? await Assignment.findById(review.assignment_id) : null;
+
+  if (!review || !assignment || !assignment.peer_review.enabled) {
+    return { status: 404, message: 'Peer review not found' };
+  }
+
+  if (review.reviewer_id === user.user_id) {
+    return { review, assignment, isReviewer: true };
+  }
+
+  const course = user.role === 'student' ? null : await findCourse(assignment.course_id);
+
+  if (!course || !canManageCourse(user, course.instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { review, assignment, isReviewer: false };
+};
+
+/**
+ * Allocate reviewers for every submission that has fewer than K reviews.
+ * Returns { allocated, shortfall }.
+ */
+const allocatePeerReviews = async (assignment) => {
+  const [existing, enrollments] = await Promise.all([
+    PeerReview.find({ assignment_id: assignment._id }).select('author_id reviewer_id'),
+    executeQuery(
+      `SELECT student_id FROM enrollments WHERE course_id = ? AND status = 'active'`,
+      [assignment.course_id]
+    )
+  ]);
+
+  const { pairs, shortfall } = allocateReviewers({
+    authors: assignment.submissions.map(s => s.student_id),
+    reviewers: enrollments.map(e => e.student_id),
+    perSubmission: assignment.peer_review.reviews_per_submission,
+    existing,
+    seedKey: `peer-${assignment._id}`
+  });
+
+  if (pairs.length > 0) {
+    try {
+      await PeerReview.insertMany(
+        pairs.map(pair => ({ ...pair, assignment_id: assignment._id, course_id: assignment.course_id })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // A concurrent allocation may already have created some of the pairs
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  await Assignment.updateOne(
+    { _id: assignment._id },
+    { $set: { 'peer_review.allocated_at': new Date() } }
+  );
+
+  return { allocated: pairs.length, shortfall };
+};
+
+/**
+ * Allocate peer-reviewed assignments of the given courses whose due date
+ * has passed and which have not been allocated yet
+ */
+const allocateDuePeerReviews = async (filter) => {
+  const due = await Assignment.find({
+    ...filter,
+    is_active: true,
+    'peer_review.enabled': true,
+    'peer_review.allocated_at': null,
+    is_group_assignment: { $ne: true },
+    due_date: { $lte: new Date() }
+  });
+
+  for (const assignment of due) {
+    // Claim the assignment so only one request allocates it
+    const claimedAt = new Date();
+    const claimed = await Assignment.findOneAndUpdate(
+      { _id: assignment._id, 'peer_review.allocated_at': null },
+      { $set: { 'peer_review.allocated_at': claimedAt } }
+    );
+
+    if (claimed) {
+      try {
+        await allocatePeerReviews(assignment);
+      } catch (error) {
+        // Release the claim so a later request retries the allocation
+        await Assignment.updateOne(
+          { _id: assignment._id, 'peer_review.allocated_at': claimedAt },
+          { $set: { 'peer_review.allocated_at': null } }
+        );
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * A review as its author sees it (no reviewer identity)
+ */
+const toAuthorView = (review, index) => ({
+  review_number: index + 1,
+  rubric_scores: review.rubric_scores,
+  points: review.points,
+  max_points: review.max_points,
+  comments: review.comments,
+  submitted_at: review.submitted_at
+});
+
+/**
+ * Configure peer review for an assignment (instructor/admin)
+ * PUT /api/assignments/:assignmentId/peer-review
+ * Body: { enabled, reviews_per_submission, review_due_date }
+ */
+const updatePeerReviewSettings = async (req, res) => {
+  try {
+    const { enabled, reviews_per_submission, review_due_date } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    if (reviews_per_submission !== undefined &&
+        (!Number.isInteger(Number(reviews_per_submission)) || Number(reviews_per_submission) < 1 ||
+         Number(reviews_per_submission) > MAX_REVIEWS_PER_SUBMISSION)) {
+      return res.status(400).json({
+        success: false,
+        message: `reviews_per_submission must be a whole number between 1 and ${MAX_REVIEWS_PER_SUBMISSION}`
+      });
+    }
+
+    if (review_due_date !== undefined && isNaN(Date.parse(review_due_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'review_due_date must be a valid date'
+      });
+    }
+
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const settings = assignment.peer_review;
+
+    if (assignment.peer_review.allocated_at && reviews_per_submission !== undefined &&
+        Number(reviews_per_submission) < settings.reviews_per_submission) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reviewers have already been allocated; reviews_per_submission can only increase'
+      });
+    }
+
+    if (enabled !== undefined) settings.enabled = enabled;
+    if (reviews_per_submission !== undefined) settings.reviews_per_submission = Number(reviews_per_submission);
+    if (review_due_date !== undefined) settings.review_due_date = new Date(review_due_date);
+
+    if (settings.enabled) {
+      // Every group member holds the group's submission, so allocation
+      // could hand students their own team's work
+      if (assignment.is_group_assignment) {
+        return res.status(400).json({
+          success: false,
+          message: 'Peer review is not available for group assignments'
+        });
+      }
+
+      if (!assignment.rubric_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attach a rubric before enabling peer review'
+        });
+      }
+
+      if (!settings.review_due_date || settings.review_due_date <= assignment.due_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'review_due_date must be after the assignment due date'
+        });
+      }
+    }
+
+    assignment.updated_at = new Date();
+    await assignment.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { peer_review: assignment.toObject().peer_review } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Peer review settings updated',
+      data: {
+        assignment_id: assignment._id,
+        peer_review: settings,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Update peer review settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update peer review settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Allocate reviewers now (instructor/admin)
+ * POST /api/assignments/:assignmentId/peer-reviews/allocate
+ * Submissions that are not yet allocated get reviewers; existing pairs are kept.
+ * Before the due date this needs ?force=true.
+ */
+const allocatePeerReviewsNow = async (req, res) => {
+  try {
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!assignment.peer_review.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Peer review is not enabled for this assignment'
+      });
+    }
+
+    if (assignment.is_group_assignment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Peer review is not available for group assignments'
+      });
+    }
+
+    if (new Date() < assignment.due_date && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: 'The assignment is not due yet. Allocate with ?force=true to do it anyway'
+      });
+    }
+
+    const result = await allocatePeerReviews(assignment);
+
+    res.json({
+      success: true,
+      message: `Allocated ${result.allocated} review(s)`,
+      data: {
+        ...result,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Allocate peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to allocate peer reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * All reviews of an assignment with per-submission aggregates (instructor/admin)
+ * GET /api/assignments/:assignmentId/peer-reviews
+ * While grading is blind submissions appear by code and reviewers are not named.
+ */
+const getAssignmentPeerReviews = async (req, res) => {
+  try {
+    let { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (assignment.peer_review.enabled && !assignment.peer_review.allocated_at) {
+      await allocateDuePeerReviews({ _id: assignment._id });
+      assignment = await Assignment.findById(assignment._id);
+    }
+
+    const reviews = await PeerReview.findByAssignment(assignment._id);
+
+    const submissions = assignment.submissions.map(submission => {
+      const received = reviews.filter(r => r.author_id === submission.student_id);
+
+      return {
+        ...submissionReference(req.user, assignment, submission.student_id),
+        grade: submission.grade,
+        status: submission.status,
+        peer_grade: submission.peer_grade,
+        aggregate: aggregatePeerScores(received, assignment.max_marks),
+        reviews: received.map(r => ({
+          review_id: r._id,
+          reviewer_id: assignment.isGradingBlind() ? undefined : r.reviewer_id,
+          status: r.status,
+          rubric_scores: r.rubric_scores,
+          points: r.points,
+          max_points: r.max_points,
+          comments: r.comments,
+          submitted_at: r.submitted_at
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Peer reviews retrieved successfully',
+      data: {
+        peer_review: assignment.peer_review,
+        submissions,
+        total_reviews: reviews.length,
+        completed_reviews: reviews.filter(r => r.status === 'completed').length,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve peer reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept the peer aggregate as the grade, or override it (instructor/admin)
+ * PUT /api/assignments/:assignmentId/peer-reviews/:studentId/grade
+ * Body: { grade, feedback } (omit grade to accept the suggested grade)
+ * While grading is blind the submission code takes the place of the student id.
+ */
+const finalizePeerGrade = async (req, res) => {
+  try {
+    const { grade, feedback } = req.body;
+
+    if (grade !== undefined && (isNaN(Number(grade)) || Number(grade) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'grade must be a non-negative number'
+      });
+    }
+
+    const { assignment, status, message } = await findManagedAssignment(req.user, req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const studentId = resolveSubmissionStudent(req.user, assignment, req.params.studentId);
+    const submission = studentId !== null ? assignment.getSubmissionByStudent(studentId) : null;
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found for this student'
+      });
+    }
+
+    const aggregate = aggregatePeerScores(
+      await PeerReview.find({ assignment_id: assignment._id, author_id: studentId }),
+      assignment.max_marks
+    );
+
+    if (grade === undefined && aggregate.review_count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No completed peer reviews to accept; provide a grade instead'
+      });
+    }
+
+    const finalGrade = grade === undefined ? aggregate.suggested_grade : Number(grade);
+
+    if (finalGrade > assignment.max_marks) {
+      return res.status(400).json({
+        success: false,
+        message: `Grade cannot exceed maximum marks (${assignment.max_marks})`
+      });
+    }
+
+    const decision = grade === undefined || Number(grade) === aggregate.suggested_grade ? 'accepted' : 'overridden';
+
+    submission.peer_grade = {
+      review_count: aggregate.review_count,
+      median_points: aggregate.median_points,
+      max_points: aggregate.max_points,
+      suggested_grade: aggregate.suggested_grade,
+      decision,
+      decided_at: new Date()
+    };
+
+    await assignment.gradeSubmission(studentId, {
+      grade: finalGrade,
+      feedback,
+      graded_by: req.user.user_id
+    });
+
+    await logManualActivity(req.user.user_id, 'GRADE_ASSIGNMENT', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: {
+        additional_data: {
+          ...submissionReference(req.user, assignment, studentId),
+          grade: finalGrade,
+          peer_decision: decision
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'accepted' ? 'Peer grade accepted' : 'Peer grade overridden',
+      data: {
+        submission: assignment.isGradingBlind() ? toBlindSubmission(submission) : submission,
+        aggregate,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Finalize peer grade error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade from peer reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reviews assigned to the current student
+ * GET /api/peer-reviews/my
+ */
+const getMyPeerReviews = async (req, res) => {
+  try {
+    const enrollments = await executeQuery(
+      `SELECT course_id FROM enrollments WHERE student_id = ? AND status = 'active'`,
+      [req.user.user_id]
+    );
+
+    await allocateDuePeerReviews({ course_id: { $in: enrollments.map(e => e.course_id) } });
+
+    const reviews = await PeerReview.find({ reviewer_id: req.user.user_id }).sort({ assigned_at: -1 });
+    const assignments = await Assignment.find({
+      _id: { $in: [...new Set(reviews.map(r => String(r.assignment_id)))] },
+      'peer_review.enabled': true
+    }).select('course_id assignment_title peer_review');
+
+    const byId = new Map(assignments.map(a => [String(a._id), a]));
+
+    const myReviews = reviews
+      .filter(r => byId.has(String(r.assignment_id)))
+      .map(r => {
+        const assignment = byId.get(String(r.assignment_id));
+        return {
+          review_id: r._id,
+          assignment_id: assignment._id,
+          assignment_title: assignment.assignment_title,
+          course_id: assignment.course_id,
+          review_due_date: assignment.peer_review.review_due_date,
+          status: r.status,
+          points: r.points,
+          max_points: r.max_points,
+          submitted_at: r.submitted_at
+        };
+      });
+
+    res.json({
+      success: true,
+      message: 'Your peer reviews retrieved successfully',
+      data: {
+        reviews: myReviews,
+        pending: myReviews.filter(r => r.status === 'assigned').length,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get my peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve peer reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * One review with the (anonymous) work to review and the rubric
+ * GET /api/peer-reviews/:reviewId
+ */
+const getPeerReview = async (req, res) => {
+  try {
+    const { review, assignment, isReviewer, status, message } = await findAccessibleReview(req.user, req.params.reviewId);
+
+    if (!review) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const submission = assignment.getSubmissionVersion(review.author_id);
+
+    // Graders see who wrote and reviewed the work, unless grading is blind:
+    // then only the submission code, as in the assignment's review list
+    let identities = {};
+    if (!isReviewer) {
+      identities = assignment.isGradingBlind()
+        ? submissionReference(req.user, assignment, review.author_id)
+        : { author_id: review.author_id, reviewer_id: review.reviewer_id };
+    }
+
+    res.json({
+      success: true,
+      message: 'Peer review retrieved successfully',
+      data: {
+        review: {
+          review_id: review._id,
+          ...identities,
+          status: review.status,
+          rubric_scores: review.rubric_scores,
+          points: review.points,
+          max_points: review.max_points,
+          comments: review.comments,
+          submitted_at: review.submitted_at
+        },
+        assignment: {
+          assignment_id: assignment._id,
+          assignment_title: assignment.assignment_title,
+          description: assignment.description,
+          review_due_date: assignment.peer_review.review_due_date
+        },
+        submission: submission && {
+          submission_type: submission.submission_type,
+          submission_text: submission.submission_text,
+          submission_link: submission.submission_link,
+          has_file: submission.submission_type === 'file'
+        },
+        rubric: await Rubric.findById(assignment.rubric_id),
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get peer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve peer review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the file under review (renamed so the author stays anonymous)
+ * GET /api/peer-reviews/:reviewId/file
+ */
+const downloadPeerReviewFile = async (req, res) => {
+  try {
+    const { review, assignment, status, message } = await findAccessibleReview(req.user, req.params.reviewId);
+
+    if (!review) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const submission = assignment.getSubmissionVersion(review.author_id);
+
+    if (!submission || submission.submission_type !== 'file' ||
+        !(await sendStoredFile(res, {
+          file_path: submission.file_path,
+          file_name: `submission-${String(review._id).slice(-6)}${path.extname(submission.file_name || '')}`,
+          mime_type: submission.mime_type,
+          checksum: submission.checksum
+        }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submitted file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download peer review file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Score a submission against the rubric (the assigned reviewer)
+ * PUT /api/peer-reviews/:reviewId
+ * Body: { rubric_scores: [{ criterion_id, level_id, comment }], comments }
+ * Can be revised until the review due date.
+ */
+const submitPeerReview = async (req, res) => {
+  try {
+    const { rubric_scores, comments } = req.body;
+
+    if (!Array.isArray(rubric_scores)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubric_scores must be a list of { criterion_id, level_id, comment }'
+      });
+    }
+
+    const { review, assignment, isReviewer, status, message } = await findAccessibleReview(req.user, req.params.reviewId);
+
+    if (!review) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!isReviewer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned reviewer can submit this review'
+      });
+    }
+
+    if (new Date() > assignment.peer_review.review_due_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review period has ended'
+      });
+    }
+
+    if (await isCourseArchived(assignment.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+
+    const rubric = await Rubric.findById(assignment.rubric_id);
+
+    if (!rubric) {
+      return res.status(400).json({
+        success: false,
+        message: 'This assignment has no rubric attached'
+      });
+    }
+
+    let result;
+    try {
+      result = rubric.scoreSelections(rubric_scores);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const firstSubmission = review.status === 'assigned';
+
+    review.rubric_scores = result.scores;
+    review.points = result.total;
+    review.max_points = result.max_points;
+    review.comments = comments;
+    review.status = 'completed';
+    review.submitted_at = new Date();
+    await review.save();
+
+    await logManualActivity(req.user.user_id, 'SUBMIT_PEER_REVIEW', {
+      course_id: assignment.course_id,
+      resource_type: 'assignment',
+      resource_id: assignment._id,
+      metadata: { additional_data: { review_id: review._id, points: result.total } }
+    });
+
+    res.status(firstSubmission ? 201 : 200).json({
+      success: true,
+      message: firstSubmission ? 'Peer review submitted' : 'Peer review updated',
+      data: {
+        review_id: review._id,
+        points: review.points,
+        max_points: review.max_points,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Submit peer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit peer review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reviews the current student received, once the review period is over
+ * GET /api/assignments/:assignmentId/peer-reviews/received
+ */
+const getReceivedPeerReviews = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const assignment = mongoose.isValidObjectId(assignmentId) ? await Assignment.findById(assignmentId) : null;
+
+    if (!assignment || !assignment.peer_review.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    if (!assignment.getSubmissionByStudent(req.user.user_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not submitted this assignment'
+      });
+    }
+
+    const reviewPeriodOver = new Date() > assignment.peer_review.review_due_date;
+    const reviews = reviewPeriodOver
+      ? await PeerReview.find({ assignment_id: assignment._id, author_id: req.user.user_id, status: 'completed' })
+        .sort({ submitted_at: 1 })
+      : [];
+
+    res.json({
+      success: true,
+      message: reviewPeriodOver
+        ? 'Peer reviews retrieved successfully'
+        : 'Peer reviews are shown after the review due date',
+      data: {
+        review_due_date: assignment.peer_review.review_due_date,
+        reviews: reviews.map(toAuthorView),
+        aggregate: reviewPeriodOver ? aggregatePeerScores(reviews, assignment.max_marks) : null,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get received peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve peer reviews',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  updatePeerReviewSettings,
+  allocatePeerReviewsNow,
+  getAssignmentPeerReviews,
+  finalizePeerGrade,
+  getMyPeerReviews,
+  getPeerReview,
+  downloadPeerReviewFile,
+  submitPeerReview,
+  getReceivedPeerReviews
+};
@@ -4,7 +4,592 @@
  * Handles quiz operations using MySQL
  */
 
-const mysqlPool = require('../config/mysql');
+const { executeQuery, executeTransaction } = require('../config/mysql');
+const { logManualActivity } = require('../middleware/activityLogger');
+const {
+  validateQuestion,
+  normalizeAnswers,
+  gradeSubmission,
+  scaleMarks,
+  computeFinalScore,
+  SCORING_POLICIES
+} = require('../utils/quizGrading');
+const { buildAttemptLayout } = require('../utils/quizRandomizer');
+const { analyzeItems } = require('../utils/itemAnalysis');
+const {
+  loadQuestionsWithOptions,
+  insertQuestion,
+  insertQuestionOptions,
+  saveImportedQuestions
+} = require('../utils/quizQuestionStore');
+const { FORMATS, parseQuestionBank, exportQuestionBank } = require('../utils/quizTransfer');
+const {
+  validateLatePolicy,
+  computeLatePenalty,
+  applyLatePenalty,
+  resolveCloseDate
+} = require('../utils/latePenalty');
+const { ARCHIVED_COURSE_MESSAGE, isCourseArchived } = require('../utils/courseArchive');
+const { canManageCourse } = require('../utils/courseAccess');
+
+/**
+ * Strip the answer key and pool structure from a question shown to students
+ */
+const toPublicQuestion = (question) => {
+  const { numeric_answer, numeric_tolerance, explanation, pool_tag, ...publicQuestion } = question;
+  
+  // Accepted short text answers are the key itself, so never expose them
+  publicQuestion.options = question.question_type === 'short_text'
+    ? []
+    : question.options.map(({ is_correct, ...option }) => option);
+  
+  return publicQuestion;
+};
+
+/**
+ * Load a quiz's questions with their options.
+ * The answer key is stripped unless includeAnswerKey is set.
+ */
+const getQuizQuestions = async (quizId, includeAnswerKey = false) => {
+  const questions = await loadQuestionsWithOptions(quizId);
+  
+  return includeAnswerKey ? questions : questions.map(toPublicQuestion);
+};
+
+/**
+ * Load the questions exactly as drawn and ordered for one attempt.
+ * Attempts without a stored layout fall back to the full quiz.
+ */
+const getAttemptQuestions = async (submissionId, quizId, includeAnswerKey = false) => {
+  const layout = await executeQuery(
+    `SELECT question_id, position, option_order
+     FROM quiz_attempt_questions
+     WHERE submission_id = ?
+     ORDER BY position`,
+    [submissionId]
+  );
+  
+  const questions = await getQuizQuestions(quizId, true);
+  
+  if (layout.length === 0) {
+    return includeAnswerKey ? questions : questions.map(toPublicQuestion);
+  }
+  
+  const byId = new Map(questions.map(q => [q.question_id, q]));
+  
+  return layout
+    .filter(entry => byId.has(entry.question_id))
+    .map(entry => {
+      const question = byId.get(entry.question_id);
+      const options = entry.option_order
+        ? entry.option_order
+            .map(optionId => question.options.find(o => o.option_id === optionId))
+            .filter(Boolean)
+        : question.options;
+      const arranged = { ...question, position: entry.position, options };
+      
+      return includeAnswerKey ? arranged : toPublicQuestion(arranged);
+    });
+};
+
+/**
+ * Whether a quiz draws questions from pools
+ */
+const hasPoolRules = async (quizId) => {
+  const rules = await executeQuery(
+    'SELECT COUNT(*) as count FROM quiz_pool_rules WHERE quiz_id = ?',
+    [quizId]
+  );
+  
+  return rules[0].count > 0;
+};
+
+/**
+ * Load a quiz together with its course owner
+ */
+const findQuizWithOwner = async (quizId) => {
+  const quizzes = await executeQuery(
+    `SELECT q.*, c.instructor_id
+     FROM quizzes q
+     JOIN courses c ON q.course_id = c.course_id
+     WHERE q.quiz_id = ?`,
+    [quizId]
+  );
+  
+  return quizzes[0] || null;
+};
+
+// Quiz settings instructors may set on create/update
+const QUIZ_FIELDS = [
+  'title',
+  'description',
+  'max_marks',
+  'due_date',
+  'time_limit_minutes',
+  'max_attempts',
+  'scoring_policy',
+  'shuffle_questions',
+  'shuffle_options',
+  'available_from',
+  'available_until',
+  'late_policy',
+  'late_penalty_percent'
+];
+
+const QUIZ_DATE_FIELDS = ['due_date', 'available_from', 'available_until'];
+
+/**
+ * Validate quiz settings. Returns an error message or null.
+ */
+const validateQuizFields = (fields) => {
+  if (fields.title !== undefined && !String(fields.title || '').trim()) {
+    return 'Quiz title cannot be empty';
+  }
+  
+  if (fields.max_marks !== undefined &&
+      (!Number.isInteger(Number(fields.max_marks)) || Number(fields.max_marks) <= 0)) {
+    return 'max_marks must be a positive integer';
+  }
+  
+  for (const field of QUIZ_DATE_FIELDS) {
+    if (fields[field] !== undefined && fields[field] !== null && isNaN(Date.parse(fields[field]))) {
+      return `${field} must be a valid date`;
+    }
+  }
+  
+  if (fields.time_limit_minutes !== undefined && fields.time_limit_minutes !== null &&
+      (!Number.isInteger(Number(fields.time_limit_minutes)) || Number(fields.time_limit_minutes) <= 0)) {
+    return 'time_limit_minutes must be a positive integer or null';
+  }
+  
+  if (fields.max_attempts !== undefined && fields.max_attempts !== null &&
+      (!Number.isInteger(Number(fields.max_attempts)) || Number(fields.max_attempts) <= 0)) {
+    return 'max_attempts must be a positive integer, or null for unlimited attempts';
+  }
+  
+  if (fields.scoring_policy !== undefined && !SCORING_POLICIES.includes(fields.scoring_policy)) {
+    return `scoring_policy must be one of: ${SCORING_POLICIES.join(', ')}`;
+  }
+  
+  for (const flag of ['shuffle_questions', 'shuffle_options']) {
+    if (fields[flag] !== undefined && typeof fields[flag] !== 'boolean') {
+      return `${flag} must be true or false`;
+    }
+  }
+  
+  return validateLatePolicy(fields.late_policy, fields.late_penalty_percent);
+};
+
+/**
+ * Check that the availability window is in order:
+ * available_from < due_date <= available_until.
+ * `settings` is the quiz as it will be saved. Returns an error message or null.
+ */
+const validateQuizSchedule = (settings) => {
+  const time = (value) => (value ? new Date(value).getTime() : null);
+  const opens = time(settings.available_from);
+  const due = time(settings.due_date);
+  const closes = time(settings.available_until);
+  
+  if (opens !== null && due !== null && opens >= due) {
+    return 'available_from must be before due_date';
+  }
+  
+  if (due !== null && closes !== null && closes < due) {
+    return 'available_until cannot be before due_date';
+  }
+  
+  if (opens !== null && closes !== null && opens >= closes) {
+    return 'available_from must be before available_until';
+  }
+  
+  return null;
+};
+
+/**
+ * Convert a quiz setting from the request body to its column value
+ */
+const toQuizColumnValue = (field, value) => {
+  if (QUIZ_DATE_FIELDS.includes(field)) {
+    return value ? new Date(value) : null;
+  }
+  if (field === 'late_penalty_percent') {
+    return Number(value) || 0;
+  }
+  if (field === 'max_marks') {
+    return parseInt(value);
+  }
+  if (field === 'time_limit_minutes' || field === 'max_attempts') {
+    return value === null ? null : parseInt(value);
+  }
+  return value === undefined ? null : value;
+};
+
+// Seconds allowed after the deadline to absorb network latency on submit
+const SUBMISSION_GRACE_SECONDS = 30;
+
+// Attempt columns plus deadline state computed with the database clock
+const ATTEMPT_COLUMNS = `qs.*,
+  TIMESTAMPDIFF(SECOND, NOW(), qs.expires_at) as remaining_seconds,
+  (qs.expires_at IS NOT NULL AND NOW() > qs.expires_at + INTERVAL ${SUBMISSION_GRACE_SECONDS} SECOND) as is_expired`;
+
+/**
+ * Current time according to the database clock
+ */
+const getDatabaseNow = async () => {
+  const rows = await executeQuery('SELECT NOW() as now');
+  return rows[0].now;
+};
+
+/**
+ * A student's effective schedule for a quiz, with any extension applied.
+ * closes_at is when attempts stop being accepted (null = never).
+ */
+const getQuizAccess = async (quiz, studentId) => {
+  const extensions = await executeQuery(
+    'SELECT * FROM quiz_extensions WHERE quiz_id = ? AND student_id = ?',
+    [quiz.quiz_id, studentId]
+  );
+  
+  const extension = extensions[0] || null;
+  const dueDate = (extension && extension.due_date) || quiz.due_date;
+  
+  // A later personal due date also pushes back a close date that would come first
+  let closeDate = (extension && extension.available_until) || quiz.available_until;
+  if (closeDate && extension && extension.due_date && extension.due_date > closeDate) {
+    closeDate = extension.due_date;
+  }
+  
+  return {
+    opens_at: quiz.available_from,
+    due_date: dueDate,
+    closes_at: resolveCloseDate(quiz.late_policy, dueDate, closeDate),
+    time_limit_minutes: quiz.time_limit_minutes
+      ? quiz.time_limit_minutes + (extension ? extension.extra_time_minutes : 0)
+      : null,
+    late_policy: quiz.late_policy,
+    late_penalty_percent: quiz.late_penalty_percent,
+    has_extension: !!extension
+  };
+};
+
+/**
+ * Message explaining why a new attempt cannot be started now, or null
+ */
+const availabilityMessage = (access, now) => {
+  if (access.opens_at && now < access.opens_at) {
+    return `This quiz opens at ${access.opens_at.toISOString()}`;
+  }
+  
+  if (access.closes_at && now >= access.closes_at) {
+    return 'This quiz is closed for submissions';
+  }
+  
+  return null;
+};
+
+/**
+ * Find a student's in-progress attempt for a quiz
+ */
+const findOpenAttempt = async (quizId, studentId) => {
+  const attempts = await executeQuery(
+    `SELECT ${ATTEMPT_COLUMNS}
+     FROM quiz_submissions qs
+     WHERE qs.quiz_id = ? AND qs.student_id = ? AND qs.status = 'in_progress'`,
+    [quizId, studentId]
+  );
+  
+  return attempts[0] || null;
+};
+
+/**
+ * Create a new attempt. Its deadline is the (extended) time limit, cut short
+ * by the student's close date; attempts without either never expire.
+ * The questions drawn for the attempt (and their order) are stored with it.
+ * If another request opened an attempt in the meantime, that one is returned;
+ * if the student has used all attempts by then, null is returned.
+ */
+const createAttempt = async (quiz, studentId, access) => {
+  const questions = await getQuizQuestions(quiz.quiz_id, true);
+  const rules = await executeQuery(
+    'SELECT pool_tag, draw_count FROM quiz_pool_rules WHERE quiz_id = ?',
+    [quiz.quiz_id]
+  );
+  
+  const submissionId = await executeTransaction(async (connection) => {
+    // Attempts are numbered per student, so starts by the same student are
+    // serialized: a concurrent start waits here and then resumes the attempt
+    // the first one opened instead of taking the same attempt number
+    await connection.execute('SELECT user_id FROM users WHERE user_id = ? FOR UPDATE', [studentId]);
+    
+    const [open] = await connection.execute(
+      `SELECT submission_id FROM quiz_submissions
+       WHERE quiz_id = ? AND student_id = ? AND status = 'in_progress'
+       FOR UPDATE`,
+      [quiz.quiz_id, studentId]
+    );
+    
+    if (open.length > 0) {
+      return open[0].submission_id;
+    }
+    
+    // Recount under the lock: a concurrent request may have used the last attempt
+    const [used] = await connection.execute(
+      'SELECT COUNT(*) as count FROM quiz_submissions WHERE quiz_id = ? AND student_id = ?',
+      [quiz.quiz_id, studentId]
+    );
+    
+    if (attemptLimitMessage(quiz, used[0].count)) {
+      return null;
+    }
+    
+    const [result] = await connection.execute(
+      `INSERT INTO quiz_submissions
+       (quiz_id, student_id, attempt_number, status, marks_obtained, started_at, expires_at, submitted_at)
+       SELECT ?, ?, COALESCE(MAX(attempt_number), 0) + 1, 'in_progress', NULL, NOW(),
+              CASE
+                WHEN ? IS NULL THEN ?
+                WHEN ? IS NULL THEN NOW() + INTERVAL ? MINUTE
+                ELSE LEAST(NOW() + INTERVAL ? MINUTE, ?)
+              END, NULL
+       FROM quiz_submissions
+       WHERE quiz_id = ? AND student_id = ?`,
+      [
+        quiz.quiz_id,
+        studentId,
+        access.time_limit_minutes,
+        access.closes_at,
+        access.closes_at,
+        access.time_limit_minutes,
+        access.time_limit_minutes,
+        access.closes_at,
+        quiz.quiz_id,
+        studentId
+      ]
+    );
+    
+    const layout = buildAttemptLayout(
+      questions,
+      rules,
+      quiz,
+      `${quiz.quiz_id}:${studentId}:${result.insertId}`
+    );
+    
+    for (const entry of layout) {
+      await connection.execute(
+        `INSERT INTO quiz_attempt_questions (submission_id, question_id, position, option_order)
+         VALUES (?, ?, ?, ?)`,
+        [
+          result.insertId,
+          entry.question_id,
+          entry.position,
+          entry.option_order ? JSON.stringify(entry.option_order) : null
+        ]
+      );
+    }
+    
+    return result.insertId;
+  });
+  
+  if (submissionId === null) {
+    return null;
+  }
+  
+  const attempts = await executeQuery(
+    `SELECT ${ATTEMPT_COLUMNS} FROM quiz_submissions qs WHERE qs.submission_id = ?`,
+    [submissionId]
+  );
+  
+  return attempts[0];
+};
+
+// Reply when a concurrent request closed the attempt first
+const ATTEMPT_CLOSED_MESSAGE = 'This attempt has already been submitted';
+
+/**
+ * Number of attempts a student has used on a quiz
+ */
+const countAttempts = async (quizId, studentId) => {
+  const rows = await executeQuery(
+    'SELECT COUNT(*) as count FROM quiz_submissions WHERE quiz_id = ? AND student_id = ?',
+    [quizId, studentId]
+  );
+  
+  return rows[0].count;
+};
+
+/**
+ * Message explaining why no further attempt is allowed, or null
+ */
+const attemptLimitMessage = (quiz, attemptsUsed) => {
+  if (quiz.max_attempts === null || attemptsUsed < quiz.max_attempts) {
+    return null;
+  }
+  
+  return quiz.max_attempts === 1
+    ? 'You have already submitted this quiz'
+    : `You have used all ${quiz.max_attempts} attempts for this quiz`;
+};
+
+// Letter grade bands by percentage of max_marks, highest first
+const GRADE_BANDS = [
+  { grade: 'A (90-100)', min: 0.9 },
+  { grade: 'B (80-89)', min: 0.8 },
+  { grade: 'C (70-79)', min: 0.7 },
+  { grade: 'D (60-69)', min: 0.6 },
+  { grade: 'F (0-59)', min: 0 }
+];
+
+const gradeBand = (ratio) => GRADE_BANDS.find(band => ratio >= band.min).grade;
+
+/**
+ * Group closed attempts per student and apply the quiz's scoring policy
+ */
+const summarizeAttempts = (attempts, policy) => {
+  const byStudent = new Map();
+  
+  attempts.forEach(attempt => {
+    if (!byStudent.has(attempt.student_id)) {
+      byStudent.set(attempt.student_id, {
+        student_id: attempt.student_id,
+        student_name: attempt.student_name,
+        attempts: []
+      });
+    }
+    byStudent.get(attempt.student_id).attempts.push(attempt);
+  });
+  
+  return [...byStudent.values()].map(student => ({
+    ...student,
+    attempts_used: student.attempts.length,
+    final_score: computeFinalScore(student.attempts, policy)
+  }));
+};
+
+/**
+ * Responses saved so far for an attempt, keyed by question_id
+ */
+const getSavedResponses = async (submissionId) => {
+  const rows = await executeQuery(
+    'SELECT question_id, response FROM quiz_submission_answers WHERE submission_id = ?',
+    [submissionId]
+  );
+  
+  return rows.reduce((responses, row) => {
+    responses[row.question_id] = row.response;
+    return responses;
+  }, {});
+};
+
+/**
+ * Grade an attempt and close it.
+ * Expired attempts are stamped with their deadline instead of the current time.
+ * Late attempts lose the quiz's late penalty; raw_marks keeps the mark before it.
+ * graded_at stays NULL while free-text answers await manual grading.
+ * Returns null if the attempt was already closed by another request.
+ */
+const finalizeAttempt = async (attempt, quiz, responses, status = 'submitted') => {
+  const questions = await getAttemptQuestions(attempt.submission_id, quiz.quiz_id, true);
+  const grading = gradeSubmission(questions, responses, quiz.max_marks);
+  
+  const access = await getQuizAccess(quiz, attempt.student_id);
+  const submittedAt = status === 'expired' ? attempt.expires_at : await getDatabaseNow();
+  const late = computeLatePenalty(
+    quiz.late_policy,
+    quiz.late_penalty_percent,
+    access.due_date,
+    submittedAt,
+    SUBMISSION_GRACE_SECONDS
+  );
+  
+  const closed = await executeTransaction(async (connection) => {
+    const [result] = await connection.execute(
+      `UPDATE quiz_submissions
+       SET status = ?, raw_marks = ?, marks_obtained = ?, is_late = ?, late_penalty_percent = ?,
+           graded_at = IF(? > 0, NULL, NOW()), submitted_at = ?
+       WHERE submission_id = ? AND status = 'in_progress'`,
+      [
+        status,
+        grading.marks_obtained,
+        applyLatePenalty(grading.marks_obtained, late.penalty_percent),
+        late.is_late,
+        late.penalty_percent,
+        grading.pending_count,
+        submittedAt,
+        attempt.submission_id
+      ]
+    );
+    
+    if (result.affectedRows === 0) {
+      return false;
+    }
+    
+    for (const answer of grading.results) {
+      await connection.execute(
+        `INSERT INTO quiz_submission_answers
+         (submission_id, question_id, response, is_correct, marks_awarded)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE response = VALUES(response),
+           is_correct = VALUES(is_correct), marks_awarded = VALUES(marks_awarded)`,
+        [
+          attempt.submission_id,
+          answer.question_id,
+          answer.response === null ? null : JSON.stringify(answer.response),
+          answer.is_correct,
+          answer.marks_awarded
+        ]
+      );
+    }
+    
+    return true;
+  });
+  
+  return closed ? grading : null;
+};
+
+/**
+ * Close every attempt whose deadline has passed, grading what was saved.
+ * Called lazily before reads so expired attempts never linger as in-progress.
+ */
+const closeExpiredAttempts = async (filter) => {
+  const column = filter.quizId !== undefined ? 'qs.quiz_id' : 'qs.student_id';
+  const value = filter.quizId !== undefined ? filter.quizId : filter.studentId;
+  
+  const attempts = await executeQuery(
+    `SELECT qs.submission_id, qs.quiz_id, qs.student_id, qs.expires_at
+     FROM quiz_submissions qs
+     WHERE ${column} = ? AND qs.status = 'in_progress'
+       AND qs.expires_at IS NOT NULL
+       AND NOW() > qs.expires_at + INTERVAL ${SUBMISSION_GRACE_SECONDS} SECOND`,
+    [value]
+  );
+  
+  for (const attempt of attempts) {
+    const quizzes = await executeQuery('SELECT * FROM quizzes WHERE quiz_id = ?', [attempt.quiz_id]);
+    const saved = await getSavedResponses(attempt.submission_id);
+    await finalizeAttempt(attempt, quizzes[0], saved, 'expired');
+  }
+  
+  return attempts.length;
+};
+
+/**
+ * Load a submission with quiz, student and course details
+ */
+const getSubmissionDetails = async (submissionId) => {
+  const submissions = await executeQuery(
+    `SELECT qs.*, q.title as quiz_title, q.max_marks,
+            u.name as student_name, c.course_name
+     FROM quiz_submissions qs
+     JOIN quizzes q ON qs.quiz_id = q.quiz_id
+     JOIN users u ON qs.student_id = u.user_id
+     JOIN courses c ON q.course_id = c.course_id
+     WHERE qs.submission_id = ?`,
+    [submissionId]
+  );
+  
+  return submissions[0] || null;
+};
 
 /**
  * Get all quizzes for a course
@@ -13,14 +598,15 @@ const getCourseQuizzes = async (req, res) => {
   try {
     const { courseId } = req.params;
     
-    const [quizzes] = await mysqlPool.query(
+    const quizzes = await executeQuery(
       `SELECT q.*, c.course_name, c.course_code,
-              (SELECT COUNT(*) FROM quiz_submissions WHERE quiz_id = q.quiz_id) as total_submissions
+              (SELECT COUNT(*) FROM quiz_submissions
+               WHERE quiz_id = q.quiz_id AND status <> 'in_progress') as total_submissions
        FROM quizzes q
        JOIN courses c ON q.course_id = c.course_id
-       WHERE q.course_id = ?
-       ORDER BY q.created_at DESC`,
-      [courseId]
+       WHERE q.course_id = ? AND (q.is_active = TRUE OR ? = FALSE)
+       ORDER BY q.position, q.created_at DESC`,
+      [courseId, req.user.role === 'student']
     );
     
     res.json({
@@ -49,8 +635,8 @@ const getQuizById = async (req, res) => {
   try {
     const { quizId } = req.params;
     
-    const [quizzes] = await mysqlPool.query(
-      `SELECT q.*, c.course_name, c.course_code, u.name as instructor_name
+    const quizzes = await executeQuery(
+      `SELECT q.*, c.course_name, c.course_code, c.instructor_id, u.name as instructor_name
        FROM quizzes q
        JOIN courses c ON q.course_id = c.course_id
        JOIN users u ON c.instructor_id = u.user_id
@@ -65,22 +651,100 @@ const getQuizById = async (req, res) => {
       });
     }
     
+    const quiz = quizzes[0];
+    
+    // Unpublished quizzes are hidden from students
+    if (req.user.role === 'student' && !quiz.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const isOwner = req.user.role !== 'student' && canManageCourse(req.user, quiz.instructor_id);
+    const reviewId = req.query.submission_id ? parseInt(req.query.submission_id) : null;
+    
+    if (req.user.role !== 'student') {
+      // Only the course owner (or an admin) sees the answer key
+      quiz.questions = await getQuizQuestions(quizId, isOwner);
+      
+      if (isOwner) {
+        quiz.pool_rules = await executeQuery(
+          'SELECT pool_tag, draw_count FROM quiz_pool_rules WHERE quiz_id = ? ORDER BY pool_tag',
+          [quizId]
+        );
+      }
+      
+      // Review one student's attempt exactly as it was presented
+      if (isOwner && reviewId) {
+        const reviewed = await executeQuery(
+          `SELECT qs.*, u.name as student_name
+           FROM quiz_submissions qs
+           JOIN users u ON qs.student_id = u.user_id
+           WHERE qs.submission_id = ? AND qs.quiz_id = ?`,
+          [reviewId, quizId]
+        );
+        
+        if (reviewed.length > 0) {
+          quiz.review = {
+            submission: reviewed[0],
+            questions: await getAttemptQuestions(reviewId, quizId, true),
+            answers: await executeQuery(
+              `SELECT question_id, response, is_correct, marks_awarded, feedback, graded_at
+               FROM quiz_submission_answers
+               WHERE submission_id = ?`,
+              [reviewId]
+            )
+          };
+        }
+      }
+    }
+    
     // Get student's submission if exists
     if (req.user.role === 'student') {
-      const [submissions] = await mysqlPool.query(
-        `SELECT * FROM quiz_submissions 
-         WHERE quiz_id = ? AND student_id = ?`,
+      await closeExpiredAttempts({ studentId: req.user.user_id });
+      
+      const submissions = await executeQuery(
+        `SELECT ${ATTEMPT_COLUMNS}
+         FROM quiz_submissions qs
+         WHERE qs.quiz_id = ? AND qs.student_id = ?
+         ORDER BY qs.attempt_number`,
         [quizId, req.user.user_id]
       );
       
-      quizzes[0].my_submission = submissions[0] || null;
+      // my_submission is the latest attempt (or the one asked for); my_attempts is the full history
+      quiz.my_attempts = submissions;
+      quiz.my_submission = (reviewId && submissions.find(s => s.submission_id === reviewId)) ||
+        submissions[submissions.length - 1] || null;
+      quiz.final_score = computeFinalScore(submissions, quiz.scoring_policy);
+      quiz.attempts_remaining = quiz.max_attempts === null
+        ? null
+        : Math.max(quiz.max_attempts - submissions.length, 0);
+      quiz.my_access = await getQuizAccess(quiz, req.user.user_id);
+      
+      if (quiz.my_submission) {
+        // Show the questions exactly as this student saw them
+        quiz.questions = await getAttemptQuestions(quiz.my_submission.submission_id, quizId);
+        quiz.my_submission.answers = await executeQuery(
+          `SELECT question_id, response, is_correct, marks_awarded, feedback
+           FROM quiz_submission_answers
+           WHERE submission_id = ?`,
+          [quiz.my_submission.submission_id]
+        );
+      } else if (await hasPoolRules(quizId)) {
+        // Pooled questions are drawn when the attempt starts
+        quiz.questions = [];
+        quiz.questions_drawn_on_start = true;
+      } else {
+        quiz.questions = await getQuizQuestions(quizId);
+      }
     }
     
     res.json({
       success: true,
       message: 'Quiz retrieved successfully',
       data: {
-        quiz: quizzes[0],
+        quiz,
         database: 'MySQL'
       }
     });
@@ -95,40 +759,20 @@ const getQuizById = async (req, res) => {
 };
 
 /**
- * Submit quiz answers
+ * Start (or resume) a quiz attempt
+ * POST /api/quizzes/:quizId/start
  */
-const submitQuiz = async (req, res) => {
+const startQuiz = async (req, res) => {
   try {
     const { quizId } = req.params;
-    const { answers } = req.body;
+    const studentId = req.user.user_id;
     
-    if (!answers) {
-      return res.status(400).json({
-        success: false,
-        message: 'Quiz answers are required'
-      });
-    }
-    
-    // Check if already submitted
-    const [existing] = await mysqlPool.query(
-      'SELECT * FROM quiz_submissions WHERE quiz_id = ? AND student_id = ?',
-      [quizId, req.user.user_id]
-    );
-    
-    if (existing.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already submitted this quiz'
-      });
-    }
-    
-    // Get quiz details for scoring
-    const [quizzes] = await mysqlPool.query(
+    const quizzes = await executeQuery(
       'SELECT * FROM quizzes WHERE quiz_id = ?',
       [quizId]
     );
     
-    if (quizzes.length === 0) {
+    if (quizzes.length === 0 || !quizzes[0].is_active) {
       return res.status(404).json({
         success: false,
         message: 'Quiz not found'
@@ -137,127 +781,473 @@ const submitQuiz = async (req, res) => {
     
     const quiz = quizzes[0];
     
-    // Calculate score (simplified - in real app, would compare with correct answers)
-    const score = Math.floor(Math.random() * 30) + 70; // Demo: random score 70-100
+    if (await isCourseArchived(quiz.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
     
-    // Insert submission
-    const [result] = await mysqlPool.query(
-      `INSERT INTO quiz_submissions 
-       (quiz_id, student_id, score, submitted_at) 
-       VALUES (?, ?, ?, NOW())`,
-      [quizId, req.user.user_id, score]
-    );
+    await closeExpiredAttempts({ studentId });
     
-    // Get the inserted submission
-    const [submissions] = await mysqlPool.query(
-      `SELECT qs.*, q.title as quiz_title, q.max_score,
-              u.name as student_name, c.course_name
-       FROM quiz_submissions qs
-       JOIN quizzes q ON qs.quiz_id = q.quiz_id
-       JOIN users u ON qs.student_id = u.user_id
-       JOIN courses c ON q.course_id = c.course_id
-       WHERE qs.submission_id = ?`,
-      [result.insertId]
-    );
+    let attempt = await findOpenAttempt(quizId, studentId);
+    let resumed = true;
     
-    res.status(201).json({
+    const access = await getQuizAccess(quiz, studentId);
+    
+    if (!attempt) {
+      const limitMessage = attemptLimitMessage(quiz, await countAttempts(quizId, studentId)) ||
+        availabilityMessage(access, await getDatabaseNow());
+      
+      if (limitMessage) {
+        return res.status(400).json({
+          success: false,
+          message: limitMessage
+        });
+      }
+      
+      attempt = await createAttempt(quiz, studentId, access);
+      resumed = false;
+      
+      if (!attempt) {
+        return res.status(400).json({
+          success: false,
+          message: attemptLimitMessage(quiz, quiz.max_attempts)
+        });
+      }
+    }
+    
+    res.status(resumed ? 200 : 201).json({
       success: true,
-      message: 'Quiz submitted successfully',
+      message: resumed ? 'Quiz attempt resumed' : 'Quiz attempt started',
       data: {
-        submission: submissions[0],
+        attempt: {
+          submission_id: attempt.submission_id,
+          started_at: attempt.started_at,
+          expires_at: attempt.expires_at,
+          remaining_seconds: attempt.remaining_seconds,
+          saved_answers: await getSavedResponses(attempt.submission_id)
+        },
+        access,
+        questions: await getAttemptQuestions(attempt.submission_id, quizId),
         database: 'MySQL'
       }
     });
   } catch (error) {
-    console.error('Submit quiz error:', error);
+    console.error('Start quiz error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to submit quiz',
+      message: 'Failed to start quiz',
       error: error.message
     });
   }
 };
 
 /**
- * Get student's quiz submissions
+ * Save answers to the open attempt without submitting
+ * PUT /api/quizzes/:quizId/answers
  */
-const getMySubmissions = async (req, res) => {
+const saveAnswers = async (req, res) => {
   try {
-    const [submissions] = await mysqlPool.query(
-      `SELECT qs.*, q.title as quiz_title, q.max_score,
-              c.course_name, c.course_code
-       FROM quiz_submissions qs
-       JOIN quizzes q ON qs.quiz_id = q.quiz_id
-       JOIN courses c ON q.course_id = c.course_id
-       WHERE qs.student_id = ?
-       ORDER BY qs.submitted_at DESC`,
-      [req.user.user_id]
-    );
+    const { quizId } = req.params;
+    const { answers } = req.body;
+    
+    if (!answers) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz answers are required'
+      });
+    }
+    
+    const attempt = await findOpenAttempt(quizId, req.user.user_id);
+    
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No quiz attempt in progress'
+      });
+    }
+    
+    // Saved answers count when an attempt expires, so archiving stops saving too
+    const quizzes = await executeQuery('SELECT course_id FROM quizzes WHERE quiz_id = ?', [quizId]);
+    
+    if (quizzes.length > 0 && await isCourseArchived(quizzes[0].course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
+    if (attempt.is_expired) {
+      await closeExpiredAttempts({ studentId: req.user.user_id });
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. Your attempt was closed with the answers saved before the deadline'
+      });
+    }
+    
+    // Only questions drawn for this attempt can be answered
+    const questions = await getAttemptQuestions(attempt.submission_id, quizId);
+    const questionIds = questions.map(q => q.question_id);
+    const responses = normalizeAnswers(answers);
+    
+    await executeTransaction(async (connection) => {
+      for (const [questionId, response] of responses) {
+        if (!questionIds.includes(questionId)) {
+          continue;
+        }
+        
+        await connection.execute(
+          `INSERT INTO quiz_submission_answers (submission_id, question_id, response)
+           VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE response = VALUES(response)`,
+          [attempt.submission_id, questionId, response === undefined ? null : JSON.stringify(response)]
+        );
+      }
+    });
     
     res.json({
       success: true,
-      message: 'Your submissions retrieved successfully',
+      message: 'Answers saved',
       data: {
-        submissions,
-        count: submissions.length,
+        submission_id: attempt.submission_id,
+        expires_at: attempt.expires_at,
+        remaining_seconds: attempt.remaining_seconds,
         database: 'MySQL'
       }
     });
   } catch (error) {
-    console.error('Get submissions error:', error);
+    console.error('Save answers error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve submissions',
+      message: 'Failed to save answers',
       error: error.message
     });
   }
 };
 
 /**
- * Get quiz statistics (instructor)
+ * Submit quiz answers
+ * Timed quizzes must be started first; untimed quizzes may be submitted directly.
  */
-const getQuizStats = async (req, res) => {
+const submitQuiz = async (req, res) => {
   try {
     const { quizId } = req.params;
+    const { answers } = req.body;
+    const studentId = req.user.user_id;
     
-    const [stats] = await mysqlPool.query(
-      `SELECT 
-        COUNT(*) as total_submissions,
-        AVG(score) as average_score,
-        MAX(score) as highest_score,
-        MIN(score) as lowest_score,
-        q.max_score
-       FROM quiz_submissions qs
-       JOIN quizzes q ON qs.quiz_id = q.quiz_id
-       WHERE qs.quiz_id = ?
-       GROUP BY q.max_score`,
-      [quizId]
-    );
-    
-    // Get score distribution
-    const [distribution] = await mysqlPool.query(
-      `SELECT 
-        CASE 
-          WHEN score >= 90 THEN 'A (90-100)'
-          WHEN score >= 80 THEN 'B (80-89)'
-          WHEN score >= 70 THEN 'C (70-79)'
-          WHEN score >= 60 THEN 'D (60-69)'
-          ELSE 'F (0-59)'
-        END as grade,
-        COUNT(*) as count
-       FROM quiz_submissions
-       WHERE quiz_id = ?
-       GROUP BY grade
-       ORDER BY grade`,
+    // Get quiz details for scoring
+    const quizzes = await executeQuery(
+      'SELECT * FROM quizzes WHERE quiz_id = ?',
       [quizId]
     );
     
+    if (quizzes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    const quiz = quizzes[0];
+    
+    if (!quiz.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz is not open for submissions'
+      });
+    }
+    
+    if (await isCourseArchived(quiz.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
+    let attempt = await findOpenAttempt(quizId, studentId);
+    const access = await getQuizAccess(quiz, studentId);
+    
+    // Past the deadline: close the attempt with what was saved, ignore posted answers
+    if (attempt && attempt.is_expired) {
+      const grading = await finalizeAttempt(attempt, quiz, await getSavedResponses(attempt.submission_id), 'expired');
+      
+      if (!grading) {
+        return res.status(409).json({
+          success: false,
+          message: ATTEMPT_CLOSED_MESSAGE
+        });
+      }
+      
+      const submission = await getSubmissionDetails(attempt.submission_id);
+      submission.answers = grading.results;
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded. Your attempt was closed with the answers saved before the deadline',
+        data: {
+          submission,
+          database: 'MySQL'
+        }
+      });
+    }
+    
+    if (!attempt) {
+      if (!answers) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quiz answers are required'
+        });
+      }
+      
+      // Check remaining attempts and the availability window
+      const limitMessage = attemptLimitMessage(quiz, await countAttempts(quizId, studentId)) ||
+        availabilityMessage(access, await getDatabaseNow());
+      
+      if (limitMessage) {
+        return res.status(400).json({
+          success: false,
+          message: limitMessage
+        });
+      }
+      
+      if (quiz.time_limit_minutes) {
+        return res.status(400).json({
+          success: false,
+          message: 'This quiz is timed. Start an attempt before submitting'
+        });
+      }
+      
+      if (await hasPoolRules(quizId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Questions are drawn per attempt. Start an attempt before submitting'
+        });
+      }
+    }
+    
+    const questionCount = await executeQuery(
+      'SELECT COUNT(*) as count FROM quiz_questions WHERE quiz_id = ?',
+      [quizId]
+    );
+    
+    if (questionCount[0].count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz has no questions yet'
+      });
+    }
+    
+    if (!attempt) {
+      attempt = await createAttempt(quiz, studentId, access);
+      
+      if (!attempt) {
+        return res.status(400).json({
+          success: false,
+          message: attemptLimitMessage(quiz, quiz.max_attempts)
+        });
+      }
+    }
+    
+    // Posted answers override the ones saved during the attempt
+    const responses = {
+      ...(await getSavedResponses(attempt.submission_id)),
+      ...Object.fromEntries(normalizeAnswers(answers))
+    };
+    
+    // Compare answers with the answer key
+    const grading = await finalizeAttempt(attempt, quiz, responses);
+    
+    if (!grading) {
+      return res.status(409).json({
+        success: false,
+        message: ATTEMPT_CLOSED_MESSAGE
+      });
+    }
+    
+    // Get the submitted attempt
+    const submission = await getSubmissionDetails(attempt.submission_id);
+    
+    submission.answers = grading.results;
+    submission.total_awarded = grading.total_awarded;
+    submission.total_available = grading.total_available;
+    submission.pending_grading = grading.pending_count;
+    
+    let message = grading.pending_count > 0
+      ? 'Quiz submitted successfully. Some answers are awaiting instructor grading'
+      : 'Quiz submitted successfully';
+    if (submission.is_late) {
+      message += `. Submitted late: ${Number(submission.late_penalty_percent)}% penalty applied`;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message,
+      data: {
+        submission,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get student's quiz submissions
+ * Returns every attempt plus a per-quiz summary with the final score
+ */
+const getMySubmissions = async (req, res) => {
+  try {
+    await closeExpiredAttempts({ studentId: req.user.user_id });
+    
+    const submissions = await executeQuery(
+      `SELECT qs.*, q.title as quiz_title, q.max_marks, q.max_attempts, q.scoring_policy,
+              c.course_name, c.course_code
+       FROM quiz_submissions qs
+       JOIN quizzes q ON qs.quiz_id = q.quiz_id
+       JOIN courses c ON q.course_id = c.course_id
+       WHERE qs.student_id = ?
+       ORDER BY qs.submitted_at DESC, qs.attempt_number DESC`,
+      [req.user.user_id]
+    );
+    
+    const quizzes = new Map();
+    submissions.forEach(submission => {
+      if (!quizzes.has(submission.quiz_id)) {
+        quizzes.set(submission.quiz_id, {
+          quiz_id: submission.quiz_id,
+          quiz_title: submission.quiz_title,
+          course_name: submission.course_name,
+          course_code: submission.course_code,
+          max_marks: submission.max_marks,
+          max_attempts: submission.max_attempts,
+          scoring_policy: submission.scoring_policy,
+          attempts: []
+        });
+      }
+      quizzes.get(submission.quiz_id).attempts.push(submission);
+    });
+    
+    const summaries = [...quizzes.values()].map(quiz => ({
+      ...quiz,
+      attempts_used: quiz.attempts.length,
+      final_score: computeFinalScore(quiz.attempts, quiz.scoring_policy),
+      attempts: quiz.attempts.map(a => ({
+        submission_id: a.submission_id,
+        attempt_number: a.attempt_number,
+        status: a.status,
+        marks_obtained: a.marks_obtained,
+        raw_marks: a.raw_marks,
+        is_late: !!a.is_late,
+        late_penalty_percent: a.late_penalty_percent,
+        started_at: a.started_at,
+        submitted_at: a.submitted_at
+      })).sort((a, b) => a.attempt_number - b.attempt_number)
+    }));
+    
+    res.json({
+      success: true,
+      message: 'Your submissions retrieved successfully',
+      data: {
+        submissions,
+        quizzes: summaries,
+        count: submissions.length,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve submissions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get quiz statistics (instructor)
+ * Score statistics use each student's final score under the quiz's scoring policy
+ */
+const getQuizStats = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    await closeExpiredAttempts({ quizId });
+    
+    // Attempt-level aggregates
+    const attemptStats = await executeQuery(
+      `SELECT 
+        COUNT(*) as total_attempts,
+        COUNT(DISTINCT student_id) as total_students,
+        AVG(marks_obtained) as average_attempt_score,
+        SUM(status = 'expired') as expired_attempts
+       FROM quiz_submissions
+       WHERE quiz_id = ? AND status <> 'in_progress'`,
+      [quizId]
+    );
+    
+    const attempts = await executeQuery(
+      `SELECT qs.submission_id, qs.student_id, u.name as student_name, qs.attempt_number,
+              qs.status, qs.marks_obtained, qs.is_late, qs.started_at, qs.submitted_at
+       FROM quiz_submissions qs
+       JOIN users u ON qs.student_id = u.user_id
+       WHERE qs.quiz_id = ? AND qs.status <> 'in_progress'
+       ORDER BY u.name, qs.attempt_number`,
+      [quizId]
+    );
+    
+    const students = summarizeAttempts(attempts, quiz.scoring_policy);
+    const finalScores = students.map(s => s.final_score).filter(score => score !== null);
+    
+    const stats = finalScores.length === 0 ? null : {
+      total_submissions: finalScores.length,
+      average_score: Math.round(finalScores.reduce((sum, score) => sum + score, 0) / finalScores.length * 100) / 100,
+      highest_score: Math.max(...finalScores),
+      lowest_score: Math.min(...finalScores),
+      max_marks: quiz.max_marks,
+      scoring_policy: quiz.scoring_policy
+    };
+    
+    // Get score distribution of final scores
+    const distribution = GRADE_BANDS
+      .map(band => ({
+        grade: band.grade,
+        count: finalScores.filter(score => gradeBand(score / quiz.max_marks) === band.grade).length
+      }))
+      .filter(band => band.count > 0);
+    
     res.json({
       success: true,
       message: 'Quiz statistics retrieved successfully',
       data: {
-        stats: stats[0] || null,
+        stats,
+        attempt_stats: attemptStats[0],
         distribution,
+        students,
         database: 'MySQL with Aggregation'
       }
     });
@@ -271,10 +1261,2025 @@ const getQuizStats = async (req, res) => {
   }
 };
 
+/**
+ * Per-question item analysis (instructor/admin)
+ * GET /api/quizzes/:quizId/item-analysis?attempts=first|all
+ * Uses each student's first closed attempt by default so retakes do not skew the statistics.
+ */
+const getItemAnalysis = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const scope = req.query.attempts || 'first';
+    
+    if (!['first', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'attempts must be first or all'
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    await closeExpiredAttempts({ quizId });
+    
+    const attempts = await executeQuery(
+      `SELECT qs.submission_id
+       FROM quiz_submissions qs
+       WHERE qs.quiz_id = ? AND qs.status <> 'in_progress'
+         ${scope === 'first' ? `AND qs.attempt_number = (
+           SELECT MIN(first.attempt_number) FROM quiz_submissions first
+           WHERE first.quiz_id = qs.quiz_id AND first.student_id = qs.student_id
+             AND first.status <> 'in_progress'
+         )` : ''}`,
+      [quizId]
+    );
+    
+    const answers = await executeQuery(
+      `SELECT a.submission_id, a.question_id, a.response, a.is_correct, a.marks_awarded
+       FROM quiz_submission_answers a
+       JOIN quiz_submissions qs ON a.submission_id = qs.submission_id
+       WHERE qs.quiz_id = ? AND qs.status <> 'in_progress'`,
+      [quizId]
+    );
+    
+    const answersBySubmission = new Map(attempts.map(a => [a.submission_id, []]));
+    answers.forEach(answer => {
+      if (answersBySubmission.has(answer.submission_id)) {
+        answersBySubmission.get(answer.submission_id).push(answer);
+      }
+    });
+    
+    const questions = await getQuizQuestions(quizId, true);
+    const analysis = analyzeItems(
+      questions,
+      [...answersBySubmission.entries()].map(([submissionId, attemptAnswers]) => ({
+        submission_id: submissionId,
+        answers: attemptAnswers
+      }))
+    );
+    
+    res.json({
+      success: true,
+      message: 'Item analysis retrieved successfully',
+      data: {
+        quiz_id: quiz.quiz_id,
+        attempts_scope: scope,
+        ...analysis,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get item analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve item analysis',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a question to a quiz (instructor/admin)
+ * POST /api/quizzes/:quizId/questions
+ */
+const addQuestion = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const question = req.body;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const validationError = validateQuestion(question);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const questionId = await executeTransaction(async (connection) => {
+      const [positions] = await connection.execute(
+        'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM quiz_questions WHERE quiz_id = ?',
+        [quizId]
+      );
+      
+      return insertQuestion(
+        connection,
+        quizId,
+        question,
+        question.position !== undefined ? parseInt(question.position) : positions[0].next_position
+      );
+    });
+    
+    const questions = await getQuizQuestions(quizId, true);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Question added successfully',
+      data: {
+        question: questions.find(q => q.question_id === questionId),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Add question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a quiz for a course (instructor/admin)
+ * POST /api/courses/:courseId/quizzes
+ */
+const createQuiz = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { title, is_active } = req.body;
+    
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz title is required'
+      });
+    }
+    
+    const validationError = validateQuizFields(req.body) || validateQuizSchedule(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    const courses = await executeQuery(
+      'SELECT instructor_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+    
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, courses[0].instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const fields = QUIZ_FIELDS.filter(field => req.body[field] !== undefined);
+    const values = fields.map(field => toQuizColumnValue(field, req.body[field]));
+    
+    // New quizzes stay unpublished until the instructor publishes them
+    const result = await executeQuery(
+      `INSERT INTO quizzes (course_id, ${fields.join(', ')}, is_active, position)
+       SELECT ?, ${fields.map(() => '?').join(', ')}, ?, COALESCE(MAX(position), 0) + 1
+       FROM quizzes WHERE course_id = ?`,
+      [courseId, ...values, is_active === true, courseId]
+    );
+    
+    const quiz = await findQuizWithOwner(result.insertId);
+    
+    await logManualActivity(req.user.user_id, 'CREATE_QUIZ', {
+      course_id: parseInt(courseId),
+      resource_type: 'quiz',
+      resource_id: result.insertId
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: {
+        quiz,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update quiz settings (instructor/admin)
+ * PUT /api/quizzes/:quizId
+ */
+const updateQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const fields = QUIZ_FIELDS.filter(field => req.body[field] !== undefined);
+    
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${QUIZ_FIELDS.join(', ')}`
+      });
+    }
+    
+    const validationError = validateQuizFields(req.body) ||
+      validateQuizSchedule({ ...quiz, ...req.body });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    await executeQuery(
+      `UPDATE quizzes SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE quiz_id = ?`,
+      [...fields.map(field => toQuizColumnValue(field, req.body[field])), quizId]
+    );
+    
+    await logManualActivity(req.user.user_id, 'UPDATE_QUIZ', {
+      course_id: quiz.course_id,
+      resource_type: 'quiz',
+      resource_id: quiz.quiz_id,
+      metadata: { additional_data: { fields } }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Quiz updated successfully',
+      data: {
+        quiz: await findQuizWithOwner(quizId),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Publish or unpublish a quiz (instructor/admin)
+ * PUT /api/quizzes/:quizId/publish
+ */
+const setQuizPublished = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { is_active } = req.body;
+    
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'is_active must be true or false'
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (is_active) {
+      const questions = await executeQuery(
+        'SELECT COUNT(*) as count FROM quiz_questions WHERE quiz_id = ?',
+        [quizId]
+      );
+      
+      if (questions[0].count === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add at least one question before publishing'
+        });
+      }
+    }
+    
+    await executeQuery(
+      'UPDATE quizzes SET is_active = ? WHERE quiz_id = ?',
+      [is_active, quizId]
+    );
+    
+    await logManualActivity(req.user.user_id, 'UPDATE_QUIZ', {
+      course_id: quiz.course_id,
+      resource_type: 'quiz',
+      resource_id: quiz.quiz_id,
+      metadata: { additional_data: { is_active } }
+    });
+    
+    res.json({
+      success: true,
+      message: is_active ? 'Quiz published' : 'Quiz unpublished',
+      data: {
+        quiz_id: quiz.quiz_id,
+        is_active,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Publish quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change quiz status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reorder the quizzes of a course (instructor/admin)
+ * PUT /api/courses/:courseId/quizzes/order
+ */
+const reorderQuizzes = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { quiz_ids } = req.body;
+    
+    if (!Array.isArray(quiz_ids) || quiz_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'quiz_ids must be a non-empty array'
+      });
+    }
+    
+    const courses = await executeQuery(
+      'SELECT instructor_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+    
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, courses[0].instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const quizzes = await executeQuery(
+      'SELECT quiz_id FROM quizzes WHERE course_id = ?',
+      [courseId]
+    );
+    
+    const orderedIds = quiz_ids.map(id => parseInt(id));
+    const courseQuizIds = quizzes.map(q => q.quiz_id);
+    
+    if (new Set(orderedIds).size !== courseQuizIds.length ||
+        !orderedIds.every(id => courseQuizIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'quiz_ids must list every quiz of the course exactly once'
+      });
+    }
+    
+    await executeTransaction(async (connection) => {
+      for (let i = 0; i < orderedIds.length; i++) {
+        await connection.execute(
+          'UPDATE quizzes SET position = ? WHERE quiz_id = ?',
+          [i + 1, orderedIds[i]]
+        );
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Quizzes reordered successfully',
+      data: {
+        quiz_ids: orderedIds,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Reorder quizzes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder quizzes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a quiz (instructor/admin)
+ * DELETE /api/quizzes/:quizId
+ * Quizzes with submissions require ?force=true
+ */
+const deleteQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const submissions = await executeQuery(
+      'SELECT COUNT(*) as count FROM quiz_submissions WHERE quiz_id = ?',
+      [quizId]
+    );
+    
+    if (submissions[0].count > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: `Quiz has ${submissions[0].count} submission(s). Use ?force=true to delete it with its submissions`
+      });
+    }
+    
+    // Questions, options and submissions are removed by ON DELETE CASCADE
+    await executeQuery('DELETE FROM quizzes WHERE quiz_id = ?', [quizId]);
+    
+    await logManualActivity(req.user.user_id, 'DELETE_QUIZ', {
+      course_id: quiz.course_id,
+      resource_type: 'quiz',
+      resource_id: quiz.quiz_id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Quiz deleted successfully',
+      data: {
+        quiz_id: quiz.quiz_id,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace a question (instructor/admin)
+ * PUT /api/quizzes/:quizId/questions/:questionId
+ */
+const updateQuestion = async (req, res) => {
+  try {
+    const { quizId, questionId } = req.params;
+    const question = req.body;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const existing = await executeQuery(
+      'SELECT question_id, position FROM quiz_questions WHERE question_id = ? AND quiz_id = ?',
+      [questionId, quizId]
+    );
+    
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    const validationError = validateQuestion(question);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
+    // Changing the key would silently invalidate stored answers
+    const submissions = await executeQuery(
+      'SELECT COUNT(*) as count FROM quiz_submissions WHERE quiz_id = ?',
+      [quizId]
+    );
+    
+    if (submissions[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quiz already has submissions; its questions can no longer be edited'
+      });
+    }
+    
+    await executeTransaction(async (connection) => {
+      await connection.execute(
+        `UPDATE quiz_questions
+         SET question_type = ?, question_text = ?, marks = ?, position = ?, pool_tag = ?,
+             numeric_answer = ?, numeric_tolerance = ?, explanation = ?
+         WHERE question_id = ?`,
+        [
+          question.question_type,
+          question.question_text,
+          question.marks !== undefined ? Number(question.marks) : 1,
+          question.position !== undefined ? parseInt(question.position) : existing[0].position,
+          question.pool_tag ? question.pool_tag.trim() : null,
+          question.question_type === 'numeric' ? Number(question.numeric_answer) : null,
+          question.question_type === 'numeric' ? Number(question.numeric_tolerance) || 0 : 0,
+          question.explanation || null,
+          questionId
+        ]
+      );
+      
+      await connection.execute('DELETE FROM question_options WHERE question_id = ?', [questionId]);
+      await insertQuestionOptions(connection, questionId, question);
+    });
+    
+    const questions = await getQuizQuestions(quizId, true);
+    
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      data: {
+        question: questions.find(q => q.question_id === parseInt(questionId)),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a question (instructor/admin)
+ * DELETE /api/quizzes/:quizId/questions/:questionId
+ */
+const deleteQuestion = async (req, res) => {
+  try {
+    const { quizId, questionId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const submissions = await executeQuery(
+      'SELECT COUNT(*) as count FROM quiz_submissions WHERE quiz_id = ?',
+      [quizId]
+    );
+    
+    if (submissions[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quiz already has submissions; its questions can no longer be removed'
+      });
+    }
+    
+    const result = await executeQuery(
+      'DELETE FROM quiz_questions WHERE question_id = ? AND quiz_id = ?',
+      [questionId, quizId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Question deleted successfully',
+      data: {
+        question_id: parseInt(questionId),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reorder the questions of a quiz (instructor/admin)
+ * PUT /api/quizzes/:quizId/questions/order
+ */
+const reorderQuestions = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { question_ids } = req.body;
+    
+    if (!Array.isArray(question_ids) || question_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'question_ids must be a non-empty array'
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const questions = await executeQuery(
+      'SELECT question_id FROM quiz_questions WHERE quiz_id = ?',
+      [quizId]
+    );
+    
+    const orderedIds = question_ids.map(id => parseInt(id));
+    const quizQuestionIds = questions.map(q => q.question_id);
+    
+    if (new Set(orderedIds).size !== quizQuestionIds.length ||
+        !orderedIds.every(id => quizQuestionIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'question_ids must list every question of the quiz exactly once'
+      });
+    }
+    
+    await executeTransaction(async (connection) => {
+      for (let i = 0; i < orderedIds.length; i++) {
+        await connection.execute(
+          'UPDATE quiz_questions SET position = ? WHERE question_id = ?',
+          [i + 1, orderedIds[i]]
+        );
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Questions reordered successfully',
+      data: {
+        question_ids: orderedIds,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Reorder questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder questions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace the question pool rules of a quiz (instructor/admin)
+ * PUT /api/quizzes/:quizId/pools
+ * Each rule draws draw_count questions tagged pool_tag per attempt
+ */
+const setPoolRules = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { rules } = req.body;
+    
+    if (!Array.isArray(rules)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rules must be an array of { pool_tag, draw_count }'
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const poolSizes = await executeQuery(
+      `SELECT pool_tag, COUNT(*) as size
+       FROM quiz_questions
+       WHERE quiz_id = ? AND pool_tag IS NOT NULL
+       GROUP BY pool_tag`,
+      [quizId]
+    );
+    const sizes = new Map(poolSizes.map(p => [p.pool_tag, p.size]));
+    const seen = new Set();
+    
+    for (const rule of rules) {
+      const tag = rule && typeof rule.pool_tag === 'string' ? rule.pool_tag.trim() : '';
+      const drawCount = Number(rule && rule.draw_count);
+      
+      if (!tag || seen.has(tag)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every rule needs a unique pool_tag'
+        });
+      }
+      seen.add(tag);
+      
+      if (!sizes.has(tag)) {
+        return res.status(400).json({
+          success: false,
+          message: `No questions are tagged '${tag}'`
+        });
+      }
+      
+      if (!Number.isInteger(drawCount) || drawCount <= 0 || drawCount > sizes.get(tag)) {
+        return res.status(400).json({
+          success: false,
+          message: `draw_count for '${tag}' must be between 1 and ${sizes.get(tag)}`
+        });
+      }
+    }
+    
+    // Existing attempts keep their stored layout; new rules apply to new attempts
+    await executeTransaction(async (connection) => {
+      await connection.execute('DELETE FROM quiz_pool_rules WHERE quiz_id = ?', [quizId]);
+      
+      for (const rule of rules) {
+        await connection.execute(
+          'INSERT INTO quiz_pool_rules (quiz_id, pool_tag, draw_count) VALUES (?, ?, ?)',
+          [quizId, rule.pool_tag.trim(), Number(rule.draw_count)]
+        );
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Question pool rules saved',
+      data: {
+        rules: await executeQuery(
+          'SELECT pool_tag, draw_count FROM quiz_pool_rules WHERE quiz_id = ? ORDER BY pool_tag',
+          [quizId]
+        ),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Set pool rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save question pool rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Recalculate raw_marks and marks_obtained from the stored per-question marks.
+ * Returns the number of answers still awaiting manual grading.
+ */
+const recalculateSubmission = async (connection, submissionId, quiz) => {
+  const questions = await getAttemptQuestions(submissionId, quiz.quiz_id, true);
+  const [answers] = await connection.execute(
+    'SELECT question_id, marks_awarded FROM quiz_submission_answers WHERE submission_id = ?',
+    [submissionId]
+  );
+  
+  const marksByQuestion = new Map(answers.map(a => [a.question_id, a.marks_awarded]));
+  let awarded = 0;
+  let available = 0;
+  let pending = 0;
+  
+  questions.forEach(question => {
+    const marks = marksByQuestion.get(question.question_id);
+    available += Number(question.marks);
+    
+    if (marks === null && marksByQuestion.has(question.question_id)) {
+      pending++;
+    } else if (marks !== undefined) {
+      awarded += Number(marks);
+    }
+  });
+  
+  // The late penalty decided at submission still applies to the new mark
+  const rawMarks = scaleMarks(awarded, available, quiz.max_marks);
+  await connection.execute(
+    `UPDATE quiz_submissions
+     SET raw_marks = ?, marks_obtained = ROUND(? * (100 - late_penalty_percent) / 100, 2),
+         graded_at = IF(? > 0, NULL, NOW())
+     WHERE submission_id = ?`,
+    [rawMarks, rawMarks, pending, submissionId]
+  );
+  
+  return pending;
+};
+
+/**
+ * List submissions with free-text answers awaiting grading (instructor/admin)
+ * GET /api/quizzes/:quizId/grading-queue
+ */
+const getGradingQueue = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    await closeExpiredAttempts({ quizId });
+    
+    const pending = await executeQuery(
+      `SELECT qs.submission_id, qs.student_id, u.name as student_name, qs.attempt_number,
+              qs.submitted_at, qs.marks_obtained,
+              a.question_id, qq.question_type, qq.question_text, qq.marks, a.response
+       FROM quiz_submissions qs
+       JOIN users u ON qs.student_id = u.user_id
+       JOIN quiz_submission_answers a ON a.submission_id = qs.submission_id
+       JOIN quiz_questions qq ON a.question_id = qq.question_id
+       WHERE qs.quiz_id = ? AND qs.status <> 'in_progress' AND a.marks_awarded IS NULL
+       ORDER BY qs.submitted_at, qs.submission_id, qq.position`,
+      [quizId]
+    );
+    
+    const queue = new Map();
+    pending.forEach(row => {
+      if (!queue.has(row.submission_id)) {
+        queue.set(row.submission_id, {
+          submission_id: row.submission_id,
+          student_id: row.student_id,
+          student_name: row.student_name,
+          attempt_number: row.attempt_number,
+          submitted_at: row.submitted_at,
+          provisional_marks: row.marks_obtained,
+          ungraded_answers: []
+        });
+      }
+      queue.get(row.submission_id).ungraded_answers.push({
+        question_id: row.question_id,
+        question_type: row.question_type,
+        question_text: row.question_text,
+        marks: row.marks,
+        response: row.response
+      });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Grading queue retrieved successfully',
+      data: {
+        submissions: [...queue.values()],
+        count: queue.size,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve grading queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Load a submission together with its course owner
+ */
+const findSubmissionWithOwner = async (submissionId) => {
+  const submissions = await executeQuery(
+    `SELECT qs.submission_id, qs.quiz_id, qs.student_id, qs.status, c.course_id, c.instructor_id
+     FROM quiz_submissions qs
+     JOIN quizzes q ON qs.quiz_id = q.quiz_id
+     JOIN courses c ON q.course_id = c.course_id
+     WHERE qs.submission_id = ?`,
+    [submissionId]
+  );
+  
+  return submissions[0] || null;
+};
+
+/**
+ * Validate instructor scores against the attempt's questions.
+ * Returns an error message or null.
+ */
+const validateAnswerScores = (questionsById, scores) => {
+  for (const score of scores) {
+    const question = questionsById.get(parseInt(score && score.question_id));
+    
+    if (!question) {
+      return `Question ${score && score.question_id} is not part of this attempt`;
+    }
+    
+    const marks = Number(score.marks_awarded);
+    if (score.marks_awarded === undefined || score.marks_awarded === null ||
+        isNaN(marks) || marks < 0 || marks > Number(question.marks)) {
+      return `marks_awarded for question ${question.question_id} must be between 0 and ${Number(question.marks)}`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Store instructor scores for answers inside a transaction.
+ * Answer feedback is only replaced when a score includes it.
+ */
+const saveAnswerScores = async (connection, submissionId, questionsById, scores, graderId) => {
+  for (const score of scores) {
+    const question = questionsById.get(parseInt(score.question_id));
+    const marks = Number(score.marks_awarded);
+    
+    await connection.execute(
+      `INSERT INTO quiz_submission_answers
+       (submission_id, question_id, response, is_correct, marks_awarded, feedback, graded_by, graded_at)
+       VALUES (?, ?, NULL, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE is_correct = VALUES(is_correct), marks_awarded = VALUES(marks_awarded),
+         feedback = IF(?, VALUES(feedback), feedback), graded_by = VALUES(graded_by),
+         graded_at = VALUES(graded_at)`,
+      [
+        submissionId,
+        question.question_id,
+        marks === Number(question.marks),
+        marks,
+        score.feedback || null,
+        graderId,
+        score.feedback !== undefined
+      ]
+    );
+  }
+};
+
+/**
+ * Score answers of a submission and leave feedback (instructor/admin)
+ * PUT /api/quizzes/submissions/:submissionId/grade
+ * Body: { scores: [{ question_id, marks_awarded, feedback }], feedback }
+ * Also overrides auto-graded answers; marks_obtained is recalculated.
+ */
+const gradeSubmissionAnswers = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const { scores = [], feedback } = req.body;
+    
+    if (!Array.isArray(scores) || (scores.length === 0 && feedback === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide scores and/or feedback'
+      });
+    }
+    
+    const submission = await findSubmissionWithOwner(submissionId);
+    
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, submission.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (submission.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has not been submitted yet'
+      });
+    }
+    
+    const quizzes = await executeQuery('SELECT * FROM quizzes WHERE quiz_id = ?', [submission.quiz_id]);
+    const quiz = quizzes[0];
+    const questions = await getAttemptQuestions(submission.submission_id, quiz.quiz_id, true);
+    const questionsById = new Map(questions.map(q => [q.question_id, q]));
+    
+    const scoreError = validateAnswerScores(questionsById, scores);
+    if (scoreError) {
+      return res.status(400).json({
+        success: false,
+        message: scoreError
+      });
+    }
+    
+    const pending = await executeTransaction(async (connection) => {
+      await saveAnswerScores(connection, submission.submission_id, questionsById, scores, req.user.user_id);
+      
+      if (feedback !== undefined) {
+        await connection.execute(
+          'UPDATE quiz_submissions SET feedback = ? WHERE submission_id = ?',
+          [feedback || null, submission.submission_id]
+        );
+      }
+      
+      return recalculateSubmission(connection, submission.submission_id, quiz);
+    });
+    
+    await logManualActivity(req.user.user_id, 'GRADE_QUIZ', {
+      course_id: submission.course_id,
+      resource_type: 'quiz',
+      resource_id: submission.quiz_id,
+      metadata: {
+        additional_data: {
+          submission_id: submission.submission_id,
+          student_id: submission.student_id,
+          questions_scored: scores.length
+        }
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: pending > 0
+        ? `Scores saved. ${pending} answer(s) still need grading`
+        : 'Submission graded successfully',
+      data: {
+        submission: await getSubmissionDetails(submission.submission_id),
+        pending_grading: pending,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade submission',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Import a GIFT or Moodle XML question bank into a course (instructor/admin)
+ * POST /api/courses/:courseId/quizzes/import
+ * JSON body: { format, content, title, quiz_id, dry_run }, or the raw file as a
+ * text/plain or application/xml body with the other fields in the query string.
+ * Creates a new unpublished quiz unless quiz_id names an existing one to append to.
+ */
+const importQuiz = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const rawBody = typeof req.body === 'string';
+    const options = rawBody ? req.query : req.body;
+    const content = rawBody ? req.body : req.body.content;
+    const format = options.format;
+    const dryRun = options.dry_run === true || options.dry_run === 'true';
+    const quizId = options.quiz_id ? parseInt(options.quiz_id) : null;
+    
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+    
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question bank content is required'
+      });
+    }
+    
+    if (!quizId && !dryRun && !String(options.title || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz title is required when importing into a new quiz'
+      });
+    }
+    
+    const courses = await executeQuery(
+      'SELECT instructor_id FROM courses WHERE course_id = ?',
+      [courseId]
+    );
+    
+    if (courses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, courses[0].instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (quizId) {
+      const quizzes = await executeQuery(
+        `SELECT q.quiz_id,
+                (SELECT COUNT(*) FROM quiz_submissions qs WHERE qs.quiz_id = q.quiz_id) as submission_count
+         FROM quizzes q
+         WHERE q.quiz_id = ? AND q.course_id = ?`,
+        [quizId, courseId]
+      );
+      
+      if (quizzes.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found in this course'
+        });
+      }
+      
+      if (quizzes[0].submission_count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Questions cannot be added to a quiz that already has submissions'
+        });
+      }
+    }
+    
+    let parsed;
+    try {
+      parsed = parseQuestionBank(format, content);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the question bank: ${parseError.message}`
+      });
+    }
+    
+    const { questions, report } = parsed;
+    
+    if (dryRun || questions.length === 0) {
+      return res.status(questions.length === 0 ? 400 : 200).json({
+        success: questions.length > 0,
+        message: questions.length === 0
+          ? 'No importable questions were found'
+          : 'Question bank validated; nothing was saved',
+        data: {
+          report,
+          database: 'MySQL'
+        }
+      });
+    }
+    
+    const saved = await saveImportedQuestions({
+      courseId,
+      quizId,
+      title: String(options.title || '').trim(),
+      questions
+    });
+    
+    await logManualActivity(req.user.user_id, quizId ? 'UPDATE_QUIZ' : 'CREATE_QUIZ', {
+      course_id: parseInt(courseId),
+      resource_type: 'quiz',
+      resource_id: saved.quiz_id,
+      metadata: {
+        additional_data: {
+          imported_from: format,
+          questions_imported: report.importable,
+          questions_unsupported: report.unsupported.length
+        }
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: report.unsupported.length > 0
+        ? `Imported ${report.importable} of ${report.total} questions; see the report for unsupported questions`
+        : `Imported ${report.importable} questions`,
+      data: {
+        quiz: await findQuizWithOwner(saved.quiz_id),
+        questions: await getQuizQuestions(saved.quiz_id, true),
+        report,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Import quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export a quiz's questions as GIFT or Moodle XML (instructor/admin)
+ * GET /api/quizzes/:quizId/export?format=gift|moodle_xml&download=true
+ * Returns the file with its report as JSON unless download=true.
+ */
+const exportQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const format = req.query.format || 'gift';
+    
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const questions = await getQuizQuestions(quizId, true);
+    const exported = exportQuestionBank(format, quiz, questions);
+    
+    if (req.query.download === 'true') {
+      res.set('Content-Type', exported.contentType);
+      res.set('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+      return res.send(exported.content);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Quiz exported successfully',
+      data: {
+        file_name: exported.fileName,
+        content: exported.content,
+        report: exported.report,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Export quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export quiz',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List per-student extensions for a quiz (instructor/admin)
+ * GET /api/quizzes/:quizId/extensions
+ */
+const getExtensions = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const extensions = await executeQuery(
+      `SELECT e.*, u.name as student_name, u.email as student_email, g.name as granted_by_name
+       FROM quiz_extensions e
+       JOIN users u ON e.student_id = u.user_id
+       LEFT JOIN users g ON e.granted_by = g.user_id
+       WHERE e.quiz_id = ?
+       ORDER BY u.name`,
+      [quizId]
+    );
+    
+    res.json({
+      success: true,
+      message: 'Extensions retrieved successfully',
+      data: {
+        extensions,
+        count: extensions.length,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get extensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve extensions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grant or change a student's extension (instructor/admin)
+ * PUT /api/quizzes/:quizId/extensions/:studentId
+ * Body: { due_date, available_until, extra_time_minutes, reason }
+ * Only this student's schedule changes; the quiz stays the same for everyone else.
+ */
+const setExtension = async (req, res) => {
+  try {
+    const { quizId, studentId } = req.params;
+    const { due_date, available_until, extra_time_minutes, reason } = req.body;
+    
+    for (const [field, value] of [['due_date', due_date], ['available_until', available_until]]) {
+      if (value !== undefined && value !== null && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a valid date`
+        });
+      }
+    }
+    
+    if (extra_time_minutes !== undefined && extra_time_minutes !== null &&
+        (!Number.isInteger(Number(extra_time_minutes)) || Number(extra_time_minutes) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'extra_time_minutes must be a non-negative integer'
+      });
+    }
+    
+    if (!due_date && !available_until && !Number(extra_time_minutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide due_date, available_until and/or extra_time_minutes'
+      });
+    }
+    
+    if (due_date && available_until && new Date(available_until) < new Date(due_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'available_until cannot be before due_date'
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const enrollments = await executeQuery(
+      `SELECT enrollment_id FROM enrollments
+       WHERE student_id = ? AND course_id = ? AND status = 'active'`,
+      [studentId, quiz.course_id]
+    );
+    
+    if (enrollments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this course'
+      });
+    }
+    
+    await executeQuery(
+      `INSERT INTO quiz_extensions
+       (quiz_id, student_id, due_date, available_until, extra_time_minutes, reason, granted_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE due_date = VALUES(due_date), available_until = VALUES(available_until),
+         extra_time_minutes = VALUES(extra_time_minutes), reason = VALUES(reason),
+         granted_by = VALUES(granted_by)`,
+      [
+        quizId,
+        studentId,
+        due_date ? new Date(due_date) : null,
+        available_until ? new Date(available_until) : null,
+        parseInt(extra_time_minutes) || 0,
+        reason || null,
+        req.user.user_id
+      ]
+    );
+    
+    await logManualActivity(req.user.user_id, 'UPDATE_QUIZ', {
+      course_id: quiz.course_id,
+      resource_type: 'quiz',
+      resource_id: quiz.quiz_id,
+      metadata: {
+        additional_data: {
+          extension_for: parseInt(studentId),
+          due_date: due_date || null,
+          available_until: available_until || null,
+          extra_time_minutes: parseInt(extra_time_minutes) || 0
+        }
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Extension saved successfully',
+      data: {
+        access: await getQuizAccess(quiz, parseInt(studentId)),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Set extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save extension',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a student's extension (instructor/admin)
+ * DELETE /api/quizzes/:quizId/extensions/:studentId
+ */
+const deleteExtension = async (req, res) => {
+  try {
+    const { quizId, studentId } = req.params;
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const result = await executeQuery(
+      'DELETE FROM quiz_extensions WHERE quiz_id = ? AND student_id = ?',
+      [quizId, studentId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extension not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Extension removed successfully',
+      data: {
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Delete extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove extension',
+      error: error.message
+    });
+  }
+};
+
+const REGRADE_STATUSES = ['open', 'accepted', 'rejected'];
+
+// Regrade requests with quiz, student and question details
+const REGRADE_REQUEST_COLUMNS = `r.*, q.quiz_id, q.title as quiz_title, q.course_id,
+  u.name as student_name, qq.question_text, qs.attempt_number, qs.marks_obtained, q.max_marks`;
+
+const REGRADE_REQUEST_JOINS = `FROM quiz_regrade_requests r
+  JOIN quiz_submissions qs ON r.submission_id = qs.submission_id
+  JOIN quizzes q ON qs.quiz_id = q.quiz_id
+  JOIN users u ON r.student_id = u.user_id
+  LEFT JOIN quiz_questions qq ON r.question_id = qq.question_id`;
+
+const findRegradeRequest = async (requestId) => {
+  const requests = await executeQuery(
+    `SELECT ${REGRADE_REQUEST_COLUMNS}, c.instructor_id
+     ${REGRADE_REQUEST_JOINS}
+     JOIN courses c ON q.course_id = c.course_id
+     WHERE r.request_id = ?`,
+    [requestId]
+  );
+  
+  return requests[0] || null;
+};
+
+/**
+ * File a regrade request for a submission or one of its questions (student)
+ * POST /api/quizzes/submissions/:submissionId/regrade-requests
+ * Body: { question_id (optional), reason }
+ */
+const createRegradeRequest = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const { question_id, reason } = req.body;
+    
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the regrade request is required'
+      });
+    }
+    
+    if (String(reason).length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason cannot be more than 2000 characters'
+      });
+    }
+    
+    const submission = await findSubmissionWithOwner(submissionId);
+    
+    if (!submission || submission.student_id !== req.user.user_id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    if (await isCourseArchived(submission.course_id)) {
+      return res.status(403).json({
+        success: false,
+        message: ARCHIVED_COURSE_MESSAGE
+      });
+    }
+    
+    if (submission.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has not been submitted yet'
+      });
+    }
+    
+    const questionId = question_id !== undefined && question_id !== null ? parseInt(question_id) : null;
+    
+    if (questionId !== null) {
+      const questions = await getAttemptQuestions(submission.submission_id, submission.quiz_id);
+      
+      if (!questions.some(q => q.question_id === questionId)) {
+        return res.status(400).json({
+          success: false,
+          message: `Question ${question_id} is not part of this attempt`
+        });
+      }
+    }
+    
+    const existing = await executeQuery(
+      `SELECT request_id FROM quiz_regrade_requests
+       WHERE submission_id = ? AND question_id <=> ? AND status = 'open'`,
+      [submission.submission_id, questionId]
+    );
+    
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open regrade request for this'
+      });
+    }
+    
+    const result = await executeQuery(
+      `INSERT INTO quiz_regrade_requests (submission_id, question_id, student_id, reason)
+       VALUES (?, ?, ?, ?)`,
+      [submission.submission_id, questionId, req.user.user_id, String(reason).trim()]
+    );
+    
+    await logManualActivity(req.user.user_id, 'REQUEST_REGRADE', {
+      course_id: submission.course_id,
+      resource_type: 'quiz',
+      resource_id: submission.quiz_id,
+      metadata: {
+        additional_data: {
+          request_id: result.insertId,
+          submission_id: submission.submission_id,
+          question_id: questionId
+        }
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Regrade request submitted successfully',
+      data: {
+        request: await findRegradeRequest(result.insertId),
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Create regrade request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit regrade request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the current student's regrade requests
+ * GET /api/quizzes/my/regrade-requests
+ */
+const getMyRegradeRequests = async (req, res) => {
+  try {
+    const requests = await executeQuery(
+      `SELECT ${REGRADE_REQUEST_COLUMNS}
+       ${REGRADE_REQUEST_JOINS}
+       WHERE r.student_id = ?
+       ORDER BY r.created_at DESC`,
+      [req.user.user_id]
+    );
+    
+    res.json({
+      success: true,
+      message: 'Regrade requests retrieved successfully',
+      data: {
+        requests,
+        count: requests.length,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get my regrade requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve regrade requests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List regrade requests for a quiz (instructor/admin)
+ * GET /api/quizzes/:quizId/regrade-requests?status=open
+ */
+const getQuizRegradeRequests = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { status } = req.query;
+    
+    if (status !== undefined && !REGRADE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${REGRADE_STATUSES.join(', ')}`
+      });
+    }
+    
+    const quiz = await findQuizWithOwner(quizId);
+    
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, quiz.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const requests = await executeQuery(
+      `SELECT ${REGRADE_REQUEST_COLUMNS}
+       ${REGRADE_REQUEST_JOINS}
+       WHERE qs.quiz_id = ? ${status ? 'AND r.status = ?' : ''}
+       ORDER BY r.status = 'open' DESC, r.created_at`,
+      status ? [quizId, status] : [quizId]
+    );
+    
+    res.json({
+      success: true,
+      message: 'Regrade requests retrieved successfully',
+      data: {
+        requests,
+        count: requests.length,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Get quiz regrade requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve regrade requests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept or reject a regrade request (instructor/admin)
+ * PUT /api/quizzes/regrade-requests/:requestId
+ * Body: { status: 'accepted' | 'rejected', response, marks_awarded }
+ * Accepting a question-level request needs marks_awarded; accepting a request
+ * about the whole submission needs scores: [{ question_id, marks_awarded }].
+ * marks_obtained is recalculated (late penalties still apply).
+ */
+const resolveRegradeRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { status, response, marks_awarded } = req.body;
+    
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be accepted or rejected'
+      });
+    }
+    
+    if (status === 'rejected' && (!response || !String(response).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Explain why the request is rejected in response'
+      });
+    }
+    
+    const request = await findRegradeRequest(requestId);
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regrade request not found'
+      });
+    }
+    
+    if (!canManageCourse(req.user, request.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (request.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `This request was already ${request.status}`
+      });
+    }
+    
+    let scores = [];
+    let questionsById = new Map();
+    const quizzes = await executeQuery('SELECT * FROM quizzes WHERE quiz_id = ?', [request.quiz_id]);
+    const quiz = quizzes[0];
+    
+    if (status === 'accepted') {
+      scores = request.question_id !== null
+        ? [{ question_id: request.question_id, marks_awarded }]
+        : req.body.scores;
+      
+      if (!Array.isArray(scores) || scores.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide scores: [{ question_id, marks_awarded }] to accept this request'
+        });
+      }
+      
+      const questions = await getAttemptQuestions(request.submission_id, quiz.quiz_id, true);
+      questionsById = new Map(questions.map(q => [q.question_id, q]));
+      
+      const scoreError = validateAnswerScores(questionsById, scores);
+      if (scoreError) {
+        return res.status(400).json({
+          success: false,
+          message: scoreError
+        });
+      }
+    }
+    
+    const resolvedStatus = await executeTransaction(async (connection) => {
+      // Check again under the lock so concurrent resolutions apply only once
+      const [[current]] = await connection.execute(
+        'SELECT status FROM quiz_regrade_requests WHERE request_id = ? FOR UPDATE',
+        [request.request_id]
+      );
+      
+      if (current.status !== 'open') {
+        return current.status;
+      }
+      
+      const [[previous]] = await connection.execute(
+        'SELECT marks_obtained FROM quiz_submissions WHERE submission_id = ? FOR UPDATE',
+        [request.submission_id]
+      );
+      
+      if (status === 'accepted') {
+        await saveAnswerScores(connection, request.submission_id, questionsById, scores, req.user.user_id);
+        await recalculateSubmission(connection, request.submission_id, quiz);
+      }
+      
+      const [[updated]] = await connection.execute(
+        'SELECT marks_obtained FROM quiz_submissions WHERE submission_id = ?',
+        [request.submission_id]
+      );
+      
+      await connection.execute(
+        `UPDATE quiz_regrade_requests
+         SET status = ?, instructor_response = ?, previous_marks = ?, resulting_marks = ?,
+             resolved_by = ?, resolved_at = NOW()
+         WHERE request_id = ?`,
+        [
+          status,
+          response ? String(response).trim() : null,
+          previous.marks_obtained,
+          updated.marks_obtained,
+          req.user.user_id,
+          request.request_id
+        ]
+      );
+      
+      return null;
+    });
+    
+    if (resolvedStatus) {
+      return res.status(409).json({
+        success: false,
+        message: `This request was already ${resolvedStatus}`
+      });
+    }
+    
+    const resolved = await findRegradeRequest(request.request_id);
+    
+    await logManualActivity(req.user.user_id, 'RESOLVE_REGRADE', {
+      course_id: request.course_id,
+      resource_type: 'quiz',
+      resource_id: request.quiz_id,
+      metadata: {
+        additional_data: {
+          request_id: request.request_id,
+          submission_id: request.submission_id,
+          student_id: request.student_id,
+          status,
+          previous_marks: resolved.previous_marks,
+          resulting_marks: resolved.resulting_marks
+        }
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: status === 'accepted' ? 'Regrade request accepted' : 'Regrade request rejected',
+      data: {
+        request: resolved,
+        database: 'MySQL'
+      }
+    });
+  } catch (error) {
+    console.error('Resolve regrade request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve regrade request',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getCourseQuizzes,
   getQuizById,
+  startQuiz,
+  saveAnswers,
   submitQuiz,
   getMySubmissions,
-  getQuizStats
+  getQuizStats,
+  getItemAnalysis,
+  addQuestion,
+  createQuiz,
+  updateQuiz,
+  setQuizPublished,
+  reorderQuizzes,
+  deleteQuiz,
+  updateQuestion,
+  deleteQuestion,
+  reorderQuestions,
+  setPoolRules,
+  getGradingQueue,
+  gradeSubmissionAnswers,
+  importQuiz,
+  exportQuiz,
+  getExtensions,
+  setExtension,
+  deleteExtension,
+  createRegradeRequest,
+  getMyRegradeRequests,
+  getQuizRegradeRequests,
+  resolveRegradeRequest
 };
@@ -0,0 +1,448 @@
+/**
+ * Rubric Controller
+ *
+ * Reusable per-course grading rubrics using MongoDB
+ * (course ownership is checked against MySQL)
+ */
+
+const mongoose = require('mongoose');
+const Rubric = require('../models/Rubric');
+const Assignment = require('../models/Assignment');
+const { logManualActivity } = require('../middleware/activityLogger');
+const { canManageCourse, findCourse } = require('../utils/courseAccess');
+
+/**
+ * Find a rubric the user may manage.
+ * Returns { rubric } or { status, message } when it is missing or not theirs.
+ */
+const findManagedRubric = async (user, rubricId) => {
+  const rubric = mongoose.isValidObjectId(rubricId) ? await Rubric.findById(rubricId) : null;
+
+  if (!rubric) {
+    return { status: 404, message: 'Rubric not found' };
+  }
+
+  const course = await findCourse(rubric.course_id);
+
+  if (!course || !canManageCourse(user, course.instructor_id)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  return { rubric };
+};
+
+/**
+ * Validate rubric fields. Returns an error message or null.
+ */
+const validateRubric = ({ title, criteria }, isCreate) => {
+  if ((isCreate || title !== undefined) && !String(title || '').trim()) {
+    return 'title is required';
+  }
+
+  if (!isCreate && criteria === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return 'criteria must be a non-empty list';
+  }
+
+  for (const [i, criterion] of criteria.entries()) {
+    if (!criterion || !String(criterion.title || '').trim()) {
+      return `Criterion ${i + 1} needs a title`;
+    }
+
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return `Criterion "${criterion.title}" needs at least one level`;
+    }
+
+    for (const level of criterion.levels) {
+      if (!level || !String(level.title || '').trim()) {
+        return `Every level of "${criterion.title}" needs a title`;
+      }
+
+      if (level.points === undefined || level.points === null || isNaN(Number(level.points)) || Number(level.points) < 0) {
+        return `Level "${level.title}" of "${criterion.title}" needs non-negative points`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keep only known fields of criteria/levels (existing _ids are preserved)
+ */
+const normalizeCriteria = (criteria) => criteria.map(criterion => ({
+  ...(mongoose.isValidObjectId(criterion._id) ? { _id: criterion._id } : {}),
+  title: criterion.title,
+  description: criterion.description,
+  levels: criterion.levels.map(level => ({
+    ...(mongoose.isValidObjectId(level._id) ? { _id: level._id } : {}),
+    title: level.title,
+    description: level.description,
+    points: Number(level.points)
+  }))
+}));
+
+/**
+ * Get rubrics for a course (instructor/admin)
+ * GET /api/courses/:courseId/rubrics
+ */
+const getCourseRubrics = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const rubrics = await Rubric.findByCourse(course.course_id);
+
+    res.json({
+      success: true,
+      message: 'Rubrics retrieved successfully',
+      data: {
+        rubrics,
+        count: rubrics.length,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve rubrics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a rubric (instructor/admin)
+ * POST /api/courses/:courseId/rubrics
+ * Body: { title, description, criteria: [{ title, description, levels: [{ title, description, points }] }] }
+ */
+const createRubric = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { title, description, criteria } = req.body;
+
+    const validationError = validateRubric(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const course = await findCourse(courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canManageCourse(req.user, course.instructor_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const rubric = await Rubric.create({
+      course_id: course.course_id,
+      title,
+      description,
+      criteria: normalizeCriteria(criteria),
+      created_by: req.user.user_id
+    });
+
+    await logManualActivity(req.user.user_id, 'CREATE_RUBRIC', {
+      course_id: course.course_id,
+      resource_type: 'rubric',
+      resource_id: rubric._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric created successfully',
+      data: {
+        rubric,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create rubric',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a rubric with the assignments using it (instructor/admin)
+ * GET /api/rubrics/:rubricId
+ */
+const getRubricById = async (req, res) => {
+  try {
+    const { rubric, status, message } = await findManagedRubric(req.user, req.params.rubricId);
+
+    if (!rubric) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const assignments = await Assignment.find({ rubric_id: rubric._id })
+      .select('assignment_title due_date is_active');
+
+    res.json({
+      success: true,
+      message: 'Rubric retrieved successfully',
+      data: {
+        rubric,
+        assignments,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve rubric',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a rubric (instructor/admin)
+ * PUT /api/rubrics/:rubricId
+ * Criteria of a rubric that has been used for grading cannot change; copy it instead.
+ */
+const updateRubric = async (req, res) => {
+  try {
+    const { title, description, criteria } = req.body;
+
+    if (title === undefined && description === undefined && criteria === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: title, description, criteria'
+      });
+    }
+
+    const validationError = validateRubric(req.body, false);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { rubric, status, message } = await findManagedRubric(req.user, req.params.rubricId);
+
+    if (!rubric) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (criteria !== undefined) {
+      const usedForGrading = await Assignment.exists({
+        rubric_id: rubric._id,
+        'submissions.rubric_scores.0': { $exists: true }
+      });
+
+      if (usedForGrading) {
+        return res.status(409).json({
+          success: false,
+          message: 'This rubric has been used for grading, so its criteria cannot change. Copy it and edit the copy instead'
+        });
+      }
+
+      rubric.criteria = normalizeCriteria(criteria);
+    }
+
+    if (title !== undefined) rubric.title = title;
+    if (description !== undefined) rubric.description = description;
+
+    await rubric.save();
+
+    await logManualActivity(req.user.user_id, 'UPDATE_RUBRIC', {
+      course_id: rubric.course_id,
+      resource_type: 'rubric',
+      resource_id: rubric._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Rubric updated successfully',
+      data: {
+        rubric,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rubric',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Copy a rubric, optionally into another course (instructor/admin)
+ * POST /api/rubrics/:rubricId/copy
+ * Body: { course_id, title }
+ */
+const copyRubric = async (req, res) => {
+  try {
+    const { rubric, status, message } = await findManagedRubric(req.user, req.params.rubricId);
+
+    if (!rubric) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    let courseId = rubric.course_id;
+
+    if (req.body.course_id) {
+      const targetCourse = await findCourse(req.body.course_id);
+
+      if (!targetCourse) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+
+      if (!canManageCourse(req.user, targetCourse.instructor_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      courseId = targetCourse.course_id;
+    }
+
+    const source = rubric.toObject();
+
+    const copy = await Rubric.create({
+      course_id: courseId,
+      title: req.body.title || `${rubric.title} (copy)`,
+      description: rubric.description,
+      criteria: source.criteria.map(({ _id, levels, ...criterion }) => ({
+        ...criterion,
+        levels: levels.map(({ _id: levelId, ...level }) => level)
+      })),
+      created_by: req.user.user_id
+    });
+
+    await logManualActivity(req.user.user_id, 'CREATE_RUBRIC', {
+      course_id: copy.course_id,
+      resource_type: 'rubric',
+      resource_id: copy._id,
+      metadata: { additional_data: { copied_from: rubric._id } }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric copied successfully',
+      data: {
+        rubric: copy,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Copy rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy rubric',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a rubric that no assignment uses (instructor/admin)
+ * DELETE /api/rubrics/:rubricId
+ */
+const deleteRubric = async (req, res) => {
+  try {
+    const { rubric, status, message } = await findManagedRubric(req.user, req.params.rubricId);
+
+    if (!rubric) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const inUse = await Assignment.countDocuments({ rubric_id: rubric._id });
+
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This rubric is attached to ${inUse} assignment(s); detach it first`
+      });
+    }
+
+    await Rubric.deleteOne({ _id: rubric._id });
+
+    await logManualActivity(req.user.user_id, 'DELETE_RUBRIC', {
+      course_id: rubric.course_id,
+      resource_type: 'rubric',
+      resource_id: rubric._id,
+      metadata: { additional_data: { title: rubric.title } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Rubric deleted successfully',
+      data: {
+        rubric_id: rubric._id,
+        database: 'MongoDB'
+      }
+    });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete rubric',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCourseRubrics,
+  createRubric,
+  getRubricById,
+  updateRubric,
+  copyRubric,
+  deleteRubric
+};
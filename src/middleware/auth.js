@@ -77,10 +77,13 @@ const requireRole = (...roles) => {
       });
     }
     
-    if (!roles.includes(req.user.role)) {
+    // Accept both requireRole('a', 'b') and requireRole(['a', 'b'])
+    const allowedRoles = roles.flat();
+    
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. Required role: ${roles.join(' or ')}`
+        message: `Access denied. Required role: ${allowedRoles.join(' or ')}`
       });
     }
     
@@ -0,0 +1,49 @@
+/**
+ * Upload Middleware
+ *
+ * Parses multipart/form-data uploads into memory (req.file) with multer.
+ * Requests that are not multipart pass through untouched. Course-specific
+ * size and type limits are checked by the controllers, which know the course.
+ */
+
+const multer = require('multer');
+const { BYTES_PER_MB, UPLOAD_HARD_LIMIT_MB } = require('../utils/fileUploads');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_HARD_LIMIT_MB * BYTES_PER_MB,
+    files: 1
+  }
+});
+
+/**
+ * Accept a single file in the given form field
+ */
+const uploadSingle = (fieldName) => {
+  const handler = upload.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `File exceeds the ${UPLOAD_HARD_LIMIT_MB} MB upload limit`
+            : `Upload error: ${error.message}${error.field ? ` (${error.field})` : ''}`
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
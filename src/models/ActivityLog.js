@@ -34,11 +34,25 @@ const activityLogSchema = new mongoose.Schema({
       'VIEW_QUIZ',
       'SUBMIT_QUIZ',
       'CREATE_QUIZ',
+      'UPDATE_QUIZ',
+      'DELETE_QUIZ',
       'GRADE_QUIZ',
+      'REQUEST_REGRADE',
+      'RESOLVE_REGRADE',
       'VIEW_ASSIGNMENT',
       'SUBMIT_ASSIGNMENT',
       'CREATE_ASSIGNMENT',
+      'UPDATE_ASSIGNMENT',
+      'DELETE_ASSIGNMENT',
       'GRADE_ASSIGNMENT',
+      'REVEAL_IDENTITIES',
+      'CREATE_RUBRIC',
+      'UPDATE_RUBRIC',
+      'DELETE_RUBRIC',
+      'SUBMIT_PEER_REVIEW',
+      'CREATE_GROUP',
+      'UPDATE_GROUP',
+      'DELETE_GROUP',
       'CREATE_DISCUSSION',
       'POST_COMMENT',
       'EDIT_COMMENT',
@@ -59,7 +73,7 @@ const activityLogSchema = new mongoose.Schema({
   },
   resource_type: {
     type: String,
-    enum: ['course', 'quiz', 'assignment', 'discussion', 'user', 'enrollment', null],
+    enum: ['course', 'quiz', 'assignment', 'rubric', 'group', 'discussion', 'user', 'enrollment', null],
     default: null
   },
   resource_id: {
@@ -10,7 +10,160 @@
  * orphaned submissions.
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { computeLatePenalty, applyLatePenalty } = require('../utils/latePenalty');
+
+// Fields that make up the content of one submitted version
+const SUBMISSION_CONTENT_FIELDS = [
+  'submission_type',
+  'file_path',
+  'file_name',
+  'file_size',
+  'mime_type',
+  'checksum',
+  'submission_link',
+  'submission_text',
+  'remarks'
+];
+
+// One submitted version, kept when a student resubmits
+const submissionVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  submitted_at: {
+    type: Date,
+    required: true
+  },
+  is_late: {
+    type: Boolean,
+    default: false
+  },
+  submission_type: {
+    type: String,
+    enum: ['file', 'link', 'text']
+  },
+  file_path: String,
+  file_name: String,
+  file_size: Number,
+  mime_type: String,
+  checksum: String,
+  submission_link: String,
+  submission_text: String,
+  remarks: String
+}, { _id: false });
+
+// Level chosen for one rubric criterion (copied so later rubric edits don't change it)
+const rubricScoreSchema = new mongoose.Schema({
+  criterion_id: mongoose.Schema.Types.ObjectId,
+  criterion_title: String,
+  level_id: mongoose.Schema.Types.ObjectId,
+  level_title: String,
+  points: Number,
+  max_points: Number,
+  comment: String
+}, { _id: false });
+
+// Instructor comment on a character range of one text version
+const annotationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+    // Offset into the version's submission_text
+  },
+  end: {
+    type: Number,
+    required: true
+    // Exclusive
+  },
+  comment: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  deduction: {
+    type: Number,
+    min: 0,
+    default: 0
+    // Points taken off the grade of this version
+  },
+  created_by: {
+    type: Number
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date
+  }
+});
+
+// A student's personal deadline, overriding the assignment's
+const extensionSchema = new mongoose.Schema({
+  student_id: {
+    type: Number,
+    required: true,
+    // References MySQL users.user_id
+  },
+  due_date: {
+    type: Date,
+    required: true
+  },
+  close_date: {
+    type: Date
+    // Overrides the assignment's close_date for this student
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  granted_by: {
+    type: Number
+  },
+  granted_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Result of one autograder test
+const autogradeTestSchema = new mongoose.Schema({
+  name: String,
+  passed: Boolean,
+  points: Number,
+  max_points: Number,
+  message: String,
+  output: String,
+  duration_ms: Number
+}, { _id: false });
+
+// Hidden test run against code submissions
+const autograderTestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true
+    // JavaScript run after the student's code; fails by throwing (e.g. assert)
+  },
+  points: {
+    type: Number,
+    min: 0,
+    default: 1
+  }
+}, { _id: false });
 
 const submissionSchema = new mongoose.Schema({
   student_id: {
@@ -18,10 +171,31 @@ const submissionSchema = new mongoose.Schema({
     required: true,
     // References MySQL users.user_id
   },
+  group_id: {
+    type: Number,
+    // References MySQL course_groups.group_id (group assignments only)
+  },
+  submitted_by: {
+    type: Number,
+    // Group member who made the submission (group assignments only)
+  },
+  anonymous_code: {
+    type: String
+    // Opaque code graders see instead of the student while grading is blind
+  },
   submitted_at: {
     type: Date,
     default: Date.now
   },
+  first_submitted_at: {
+    type: Date
+  },
+  // The fields below mirror the latest version; every version is in `versions`
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [submissionVersionSchema],
   submission_type: {
     type: String,
     enum: ['file', 'link', 'text'],
@@ -30,6 +204,22 @@ const submissionSchema = new mongoose.Schema({
   file_path: {
     type: String,
     trim: true
+    // Storage key of the uploaded file (see config/storage.js)
+  },
+  file_name: {
+    type: String,
+    trim: true
+  },
+  file_size: {
+    type: Number,
+    min: 0
+  },
+  mime_type: {
+    type: String
+  },
+  checksum: {
+    type: String
+    // SHA-256 of the file contents
   },
   submission_link: {
     type: String,
@@ -54,6 +244,69 @@ const submissionSchema = new mongoose.Schema({
     type: Number,
     // References MySQL users.user_id (instructor)
   },
+  graded_version: {
+    type: Number
+    // The version the grade was given for
+  },
+  rubric_scores: [rubricScoreSchema],
+  rubric_points: {
+    type: Number
+  },
+  rubric_max_points: {
+    type: Number
+  },
+  raw_grade: {
+    type: Number
+    // Grade as given, before annotation deductions and any late penalty
+  },
+  annotations: [annotationSchema],
+  annotation_deduction: {
+    type: Number
+    // Sum of the deductions of the graded version's annotations
+  },
+  late_penalty_percent: {
+    type: Number
+  },
+  days_late: {
+    type: Number
+  },
+  late_penalty_waived: {
+    type: Boolean
+  },
+  group_grade: {
+    type: Number
+    // Grade given to the whole group; raw_grade = group_grade + grade_adjustment
+  },
+  grade_adjustment: {
+    type: Number
+  },
+  autograde: {
+    // Latest autograder run for this submission
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'timeout', 'error']
+    },
+    version: Number,
+    score: Number,
+    max_score: Number,
+    suggested_grade: Number,
+    tests: [autogradeTestSchema],
+    error: String,
+    queued_at: Date,
+    run_at: Date
+  },
+  peer_grade: {
+    // Peer review aggregate the instructor accepted or overrode
+    review_count: Number,
+    median_points: Number,
+    max_points: Number,
+    suggested_grade: Number,
+    decision: {
+      type: String,
+      enum: ['accepted', 'overridden']
+    },
+    decided_at: Date
+  },
   feedback: {
     type: String,
     trim: true
@@ -117,9 +370,100 @@ const assignmentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Penalty for late work when it is allowed; refusing late work is
+  // allow_late_submission: false (the 'reject' policy)
+  late_policy: {
+    type: String,
+    enum: ['flat', 'percent_per_day'],
+    default: 'flat'
+  },
+  late_penalty_percent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  grace_period_minutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  close_date: {
+    type: Date
+    // No late work is accepted after this (unset = no cut-off)
+  },
+  extensions: [extensionSchema],
+  is_group_assignment: {
+    type: Boolean,
+    default: false
+  },
+  blind_grading: {
+    type: Boolean,
+    default: false
+    // Graders see submission codes instead of students until grades are released
+  },
+  grades_released_at: {
+    type: Date
+    // Blind grading: when grades (and student identities) were released
+  },
+  grades_released_by: {
+    type: Number
+  },
+  rubric_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    default: null
+  },
+  autograder: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    language: {
+      type: String,
+      enum: ['javascript'],
+      default: 'javascript'
+    },
+    tests: [autograderTestSchema],
+    test_timeout_ms: {
+      type: Number,
+      min: 1,
+      default: 2000
+    },
+    memory_limit_mb: {
+      type: Number,
+      min: 16,
+      default: 64
+    },
+    updated_at: {
+      type: Date
+    }
+  },
+  peer_review: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    reviews_per_submission: {
+      type: Number,
+      min: 1,
+      default: 3
+    },
+    review_due_date: {
+      type: Date
+    },
+    allocated_at: {
+      type: Date
+      // Set once reviewers have been allocated (after the due date)
+    }
+  },
   attachments: [{
     filename: String,
     file_path: String,
+    file_size: Number,
+    mime_type: String,
+    checksum: String,
+    uploaded_by: Number,
     uploaded_at: {
       type: Date,
       default: Date.now
@@ -146,71 +490,448 @@ assignmentSchema.virtual('is_overdue').get(function() {
   return new Date() > this.due_date;
 });
 
+// Snapshot of a submission's current content as a version entry
+const toVersion = (submission, version, submittedAt, isLate) => {
+  const entry = { version, submitted_at: submittedAt, is_late: isLate };
+  SUBMISSION_CONTENT_FIELDS.forEach(field => {
+    entry[field] = submission[field];
+  });
+  return entry;
+};
+
+// A submission code not yet used in the assignment, e.g. "S-3F9A1C2B"
+const newAnonymousCode = (assignment) => {
+  const used = new Set(assignment.submissions.map(s => s.anonymous_code));
+  let code;
+  
+  do {
+    code = `S-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  } while (used.has(code));
+  
+  return code;
+};
+
+// Record new content as a student's latest version (does not save)
+const recordSubmission = (assignment, studentId, content, now, isLate, extra = {}) => {
+  const existing = assignment.submissions.find(s => s.student_id === studentId);
+  
+  if (existing) {
+    // Submissions made before versioning have no history yet
+    if (existing.versions.length === 0) {
+      existing.versions.push(toVersion(existing, existing.version || 1, existing.submitted_at, existing.status === 'late'));
+    }
+    
+    const version = Math.max(...existing.versions.map(v => v.version)) + 1;
+    
+    existing.versions.push(toVersion(content, version, now, isLate));
+    existing.set({
+      ...content,
+      ...extra,
+      first_submitted_at: existing.first_submitted_at || existing.versions[0].submitted_at,
+      anonymous_code: existing.anonymous_code || newAnonymousCode(assignment),
+      submitted_at: now,
+      version,
+      status: isLate ? 'late' : 'submitted'
+    });
+  } else {
+    assignment.submissions.push({
+      ...content,
+      ...extra,
+      student_id: studentId,
+      anonymous_code: newAnonymousCode(assignment),
+      submitted_at: now,
+      first_submitted_at: now,
+      version: 1,
+      versions: [toVersion(content, 1, now, isLate)],
+      status: isLate ? 'late' : 'submitted'
+    });
+    assignment.submission_count = assignment.submissions.length;
+  }
+};
+
+// Check the submission window and pick the content fields out of submission data
+const prepareSubmission = (assignment, submissionData, studentId) => {
+  const now = new Date();
+  const window = assignment.getSubmissionWindow(studentId, now);
+  
+  if (window.reason) {
+    const error = new Error(window.reason);
+    error.code = 'SUBMISSION_WINDOW_CLOSED';
+    throw error;
+  }
+  
+  const isLate = window.is_late;
+  const content = {};
+  SUBMISSION_CONTENT_FIELDS.forEach(field => {
+    content[field] = submissionData[field];
+  });
+  content.submission_type = submissionData.submission_type || 'file';
+  
+  return { now, isLate, content };
+};
+
 // Method to add a submission
+// Resubmissions become a new version; earlier versions and any grade are kept
 assignmentSchema.methods.addSubmission = function(studentId, submissionData) {
-  // Check if student has already submitted
-  const existingIndex = this.submissions.findIndex(
-    s => s.student_id === studentId
-  );
+  const { now, isLate, content } = prepareSubmission(this, submissionData, studentId);
   
-  const now = new Date();
-  const isLate = now > this.due_date;
+  recordSubmission(this, studentId, content, now, isLate);
+  
+  this.updated_at = now;
+  return this.save();
+};
+
+// Method to add one submission on behalf of a whole group
+// Every member gets the same content as a new version of their own submission
+// The submitter's deadline (with any extension) decides whether it is late
+assignmentSchema.methods.addGroupSubmission = function(memberIds, submissionData, groupData) {
+  const { now, isLate, content } = prepareSubmission(this, submissionData, groupData.submitted_by);
+  
+  memberIds.forEach(memberId => {
+    recordSubmission(this, memberId, content, now, isLate, {
+      group_id: groupData.group_id,
+      submitted_by: groupData.submitted_by
+    });
+  });
+  
+  this.updated_at = now;
+  return this.save();
+};
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+// Total points deducted by the annotations on one version
+const annotationDeduction = (submission, version) => roundMarks(submission.annotations
+  .filter(a => a.version === version)
+  .reduce((sum, a) => sum + (a.deduction || 0), 0));
+
+// The late penalty of work a student submitted at submittedAt,
+// against the student's current deadline
+const latePenaltyFor = (assignment, studentId, submittedAt) => {
+  const deadline = assignment.getStudentDeadline(studentId);
   
-  if (!this.allow_late_submission && isLate) {
-    throw new Error('Late submissions are not allowed for this assignment');
+  return computeLatePenalty(
+    assignment.allow_late_submission ? assignment.late_policy : 'reject',
+    assignment.late_penalty_percent,
+    deadline.due_date,
+    submittedAt,
+    (assignment.grace_period_minutes || 0) * 60
+  );
+};
+
+// Apply a grade to one submission (does not save)
+// The late penalty is worked out from the graded version's submission time
+// against the student's current deadline; see refreshLatePenalty for
+// grades given before the deadline changed
+const applyGrade = (assignment, submission, gradeData) => {
+  const version = gradeData.version || submission.version || 1;
+  const graded = assignment.getSubmissionVersion(submission.student_id, version);
+  
+  if (!graded) {
+    throw new Error(`Version ${version} not found for this submission`);
   }
   
-  const submission = {
-    student_id: studentId,
-    submitted_at: now,
-    submission_type: submissionData.submission_type || 'file',
-    file_path: submissionData.file_path,
-    submission_link: submissionData.submission_link,
-    submission_text: submissionData.submission_text,
-    remarks: submissionData.remarks,
-    status: isLate ? 'late' : 'submitted'
-  };
+  const late = latePenaltyFor(assignment, submission.student_id, graded.submitted_at);
+  const penaltyPercent = gradeData.waive_late_penalty ? 0 : late.penalty_percent;
+  const deduction = annotationDeduction(submission, version);
   
-  if (existingIndex !== -1) {
-    // Update existing submission (resubmission)
-    this.submissions[existingIndex] = submission;
+  submission.raw_grade = gradeData.grade;
+  submission.annotation_deduction = deduction;
+  submission.grade = applyLatePenalty(Math.max(0, roundMarks(gradeData.grade - deduction)), penaltyPercent);
+  submission.late_penalty_percent = penaltyPercent;
+  submission.days_late = late.days_late;
+  submission.late_penalty_waived = late.is_late && !!gradeData.waive_late_penalty;
+  submission.feedback = gradeData.feedback;
+  submission.graded_by = gradeData.graded_by;
+  submission.graded_at = new Date();
+  submission.graded_version = version;
+  submission.rubric_scores = gradeData.rubric_scores || [];
+  submission.rubric_points = gradeData.rubric_scores ? gradeData.rubric_points : undefined;
+  submission.rubric_max_points = gradeData.rubric_scores ? gradeData.rubric_max_points : undefined;
+  submission.group_grade = gradeData.group_grade;
+  submission.grade_adjustment = gradeData.grade_adjustment;
+  // Grading an older version leaves the newer one waiting for review
+  if (version === (submission.version || 1)) {
+    submission.status = 'graded';
   } else {
-    // Add new submission
-    this.submissions.push(submission);
-    this.submission_count = this.submissions.length;
+    const latest = submission.versions.find(v => v.version === submission.version);
+    submission.status = latest && latest.is_late ? 'late' : 'submitted';
   }
+};
+
+// Find the submission a grade is for and check the grade fits
+const findGradableSubmission = (assignment, studentId, grade) => {
+  const submission = assignment.submissions.find(s => s.student_id === studentId);
   
-  this.updated_at = now;
-  return this.save();
+  if (!submission) {
+    throw new Error('Submission not found for this student');
+  }
+  
+  if (grade > assignment.max_marks) {
+    throw new Error(`Grade cannot exceed maximum marks (${assignment.max_marks})`);
+  }
+  
+  return submission;
 };
 
 // Method to grade a submission
 assignmentSchema.methods.gradeSubmission = function(studentId, gradeData) {
-  const submission = this.submissions.find(s => s.student_id === studentId);
+  const submission = findGradableSubmission(this, studentId, gradeData.grade);
   
-  if (!submission) {
-    throw new Error('Submission not found for this student');
+  applyGrade(this, submission, gradeData);
+  
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Method to check a grade without applying it
+// Returns the reason gradeSubmission would refuse it, or null
+assignmentSchema.methods.validateGrade = function(studentId, grade) {
+  try {
+    findGradableSubmission(this, studentId, grade);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Method to grade many submissions at once (entries: [{ student_id, ...gradeData }])
+// Every entry is checked before any is applied, and the document is saved once
+assignmentSchema.methods.gradeSubmissions = function(entries) {
+  const targets = entries.map(entry => [findGradableSubmission(this, entry.student_id, entry.grade), entry]);
+  
+  targets.forEach(([submission, entry]) => applyGrade(this, submission, entry));
+  
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Method to grade a group's submission
+// The group grade fans out to every member, plus their own adjustment
+// (adjustments: { [student_id]: points }), kept between 0 and max_marks
+assignmentSchema.methods.gradeGroupSubmission = function(memberIds, gradeData) {
+  const submissions = memberIds
+    .map(memberId => this.submissions.find(s => s.student_id === memberId))
+    .filter(Boolean);
+  
+  if (submissions.length === 0) {
+    throw new Error('Submission not found for this group');
   }
   
   if (gradeData.grade > this.max_marks) {
     throw new Error(`Grade cannot exceed maximum marks (${this.max_marks})`);
   }
   
-  submission.grade = gradeData.grade;
-  submission.feedback = gradeData.feedback;
-  submission.graded_by = gradeData.graded_by;
-  submission.graded_at = new Date();
-  submission.status = 'graded';
+  const adjustments = gradeData.adjustments || {};
+  
+  submissions.forEach(submission => {
+    const adjustment = Number(adjustments[submission.student_id]) || 0;
+    
+    applyGrade(this, submission, {
+      ...gradeData,
+      version: null,
+      grade: Math.min(this.max_marks, Math.max(0, Math.round((gradeData.grade + adjustment) * 100) / 100)),
+      group_grade: gradeData.grade,
+      grade_adjustment: adjustment
+    });
+  });
+  
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Bring a graded submission in line with its annotations (does not save):
+// the given grade stays, the deduction and late penalty are applied again
+const refreshAnnotationDeduction = (submission) => {
+  if (submission.grade === undefined || submission.grade === null) {
+    return;
+  }
+  
+  const mark = submission.raw_grade !== undefined && submission.raw_grade !== null
+    ? submission.raw_grade
+    : submission.grade;
+  const deduction = annotationDeduction(submission, submission.graded_version || 1);
+  
+  submission.raw_grade = mark;
+  submission.annotation_deduction = deduction;
+  submission.grade = applyLatePenalty(Math.max(0, roundMarks(mark - deduction)), submission.late_penalty_percent);
+};
+
+// Method to work a student's late penalty out again after their deadline
+// changed (an extension granted, changed or removed), keeping the grade
+// given, any waiver and annotation deductions (does not save)
+// Returns the submission if its grade was recalculated, otherwise null
+assignmentSchema.methods.refreshLatePenalty = function(studentId) {
+  const submission = this.submissions.find(s => s.student_id === studentId);
+  
+  if (!submission || submission.grade === undefined || submission.grade === null) {
+    return null;
+  }
+  
+  const graded = this.getSubmissionVersion(studentId, submission.graded_version || 1);
+  
+  if (!graded) {
+    return null;
+  }
+  
+  const late = latePenaltyFor(this, studentId, graded.submitted_at);
+  
+  submission.late_penalty_percent = submission.late_penalty_waived ? 0 : late.penalty_percent;
+  submission.days_late = late.days_late;
+  refreshAnnotationDeduction(submission);
+  
+  return submission;
+};
+
+// Find an annotation on a student's submission
+const findAnnotation = (assignment, studentId, annotationId) => {
+  const submission = assignment.submissions.find(s => s.student_id === studentId);
+  const annotation = submission && submission.annotations.id(annotationId);
+  
+  if (!annotation) {
+    throw new Error('Annotation not found');
+  }
+  
+  return { submission, annotation };
+};
+
+// Method to annotate one version of a student's text submission
+// (annotationData: { version, start, end, comment, deduction, created_by })
+// If that version is graded its grade takes the deduction straight away
+assignmentSchema.methods.addAnnotation = function(studentId, annotationData) {
+  const submission = this.submissions.find(s => s.student_id === studentId);
+  
+  if (!submission) {
+    throw new Error('Submission not found for this student');
+  }
+  
+  submission.annotations.push({ ...annotationData, created_at: new Date() });
+  refreshAnnotationDeduction(submission);
   
   this.updated_at = new Date();
   return this.save();
 };
 
+// Method to change an annotation's range, comment or deduction
+assignmentSchema.methods.updateAnnotation = function(studentId, annotationId, changes) {
+  const { submission, annotation } = findAnnotation(this, studentId, annotationId);
+  
+  annotation.set({ ...changes, updated_at: new Date() });
+  refreshAnnotationDeduction(submission);
+  
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Method to remove an annotation (its deduction is given back)
+assignmentSchema.methods.removeAnnotation = function(studentId, annotationId) {
+  const { submission } = findAnnotation(this, studentId, annotationId);
+  
+  submission.annotations.pull({ _id: annotationId });
+  refreshAnnotationDeduction(submission);
+  
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Method to get a student's effective deadline, with any extension applied
+assignmentSchema.methods.getStudentDeadline = function(studentId) {
+  const extension = this.extensions.find(e => e.student_id === studentId);
+  const dueDate = extension ? extension.due_date : this.due_date;
+  
+  let closeDate = (extension && extension.close_date) || this.close_date || null;
+  if (closeDate && closeDate < dueDate) {
+    closeDate = dueDate;
+  }
+  
+  return {
+    due_date: dueDate,
+    close_date: closeDate,
+    has_extension: !!extension
+  };
+};
+
+// Method to check whether a student may submit now
+// Returns { due_date, close_date, is_late, reason } where reason explains a refusal
+assignmentSchema.methods.getSubmissionWindow = function(studentId, now = new Date()) {
+  const deadline = this.getStudentDeadline(studentId);
+  const graceMs = (this.grace_period_minutes || 0) * 60 * 1000;
+  const isLate = now.getTime() > deadline.due_date.getTime() + graceMs;
+  
+  let reason = null;
+  if (isLate && !this.allow_late_submission) {
+    reason = 'Late submissions are not allowed for this assignment';
+  } else if (deadline.close_date && now.getTime() > deadline.close_date.getTime() + graceMs) {
+    reason = 'Submissions for this assignment are closed';
+  }
+  
+  return { ...deadline, is_late: isLate, reason };
+};
+
 // Method to get submission by student
 assignmentSchema.methods.getSubmissionByStudent = function(studentId) {
   return this.submissions.find(s => s.student_id === studentId);
 };
 
+// Method to get a submission by its anonymous code
+assignmentSchema.methods.getSubmissionByCode = function(code) {
+  return this.submissions.find(s => s.anonymous_code && s.anonymous_code === code);
+};
+
+// Method to give submissions made before codes existed one (does not save)
+assignmentSchema.methods.assignAnonymousCodes = function() {
+  this.submissions
+    .filter(s => !s.anonymous_code)
+    .forEach(s => {
+      s.anonymous_code = newAnonymousCode(this);
+    });
+};
+
+// Whether graders must not see who submitted what yet
+assignmentSchema.methods.isGradingBlind = function() {
+  return this.blind_grading && !this.grades_released_at;
+};
+
+// Method to release the grades of a blind-graded assignment,
+// revealing to graders which student each submission belongs to
+assignmentSchema.methods.releaseGrades = function(releasedBy) {
+  this.grades_released_at = new Date();
+  this.grades_released_by = releasedBy;
+  this.updated_at = this.grades_released_at;
+  return this.save();
+};
+
+// Method to list the storage keys of the assignment's files
+// (attachments and every submitted file version), without duplicates
+assignmentSchema.methods.getStoredFiles = function() {
+  return [
+    ...this.attachments.map(a => a.file_path),
+    ...this.submissions.flatMap(s => [s, ...s.versions])
+      .filter(s => s.submission_type === 'file')
+      .map(s => s.file_path)
+  ].filter((key, index, keys) => key && keys.indexOf(key) === index);
+};
+
+// Method to get one version of a student's submission (latest by default)
+assignmentSchema.methods.getSubmissionVersion = function(studentId, version = null) {
+  const submission = this.getSubmissionByStudent(studentId);
+  
+  if (!submission) {
+    return null;
+  }
+  
+  // Submissions made before versioning only have their top-level content
+  if (submission.versions.length === 0) {
+    const current = submission.version || 1;
+    return !version || version === current
+      ? toVersion(submission, current, submission.submitted_at, submission.status === 'late')
+      : null;
+  }
+  
+  const wanted = version || submission.version;
+  return submission.versions.find(v => v.version === wanted) || null;
+};
+
 // Static method to get assignments by course
 assignmentSchema.statics.findByCourse = function(courseId, options = {}) {
   const { includeInactive = false } = options;
@@ -249,15 +970,15 @@ assignmentSchema.statics.findUpcoming = function(courseId = null) {
 // Method to calculate submission statistics
 assignmentSchema.methods.getStatistics = function() {
   const totalSubmissions = this.submissions.length;
-  const gradedSubmissions = this.submissions.filter(s => s.status === 'graded').length;
+  // A resubmission goes back to submitted but keeps its old grade, so only
+  // submissions currently graded count toward the average
+  const graded = this.submissions.filter(s => s.status === 'graded' && typeof s.grade === 'number');
+  const gradedSubmissions = graded.length;
   const lateSubmissions = this.submissions.filter(s => s.status === 'late').length;
   
   let avgGrade = 0;
   if (gradedSubmissions > 0) {
-    const totalGrades = this.submissions
-      .filter(s => s.grade !== undefined)
-      .reduce((sum, s) => sum + s.grade, 0);
-    avgGrade = totalGrades / gradedSubmissions;
+    avgGrade = graded.reduce((sum, s) => sum + s.grade, 0) / gradedSubmissions;
   }
   
   return {
@@ -0,0 +1,85 @@
+/**
+ * PEER REVIEW MODEL (MongoDB)
+ *
+ * Purpose: One student's review of another student's assignment submission
+ * Why MongoDB?: Reviews belong to MongoDB assignments and carry the same
+ * rubric score snapshot as instructor grading.
+ *
+ * Design Decision: Reviews live in their own collection rather than inside
+ * the assignment, so reviewers can save concurrently without rewriting the
+ * (large) assignment document. Authors and reviewers never see each other's
+ * ids; the API refers to reviews by their _id only.
+ */
+
+const mongoose = require('mongoose');
+
+const peerScoreSchema = new mongoose.Schema({
+  criterion_id: mongoose.Schema.Types.ObjectId,
+  criterion_title: String,
+  level_id: mongoose.Schema.Types.ObjectId,
+  level_title: String,
+  points: Number,
+  max_points: Number,
+  comment: String
+}, { _id: false });
+
+const peerReviewSchema = new mongoose.Schema({
+  assignment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course_id: {
+    type: Number,
+    required: true,
+    // References MySQL courses.course_id
+  },
+  author_id: {
+    type: Number,
+    required: true,
+    // References MySQL users.user_id (student whose work is reviewed)
+  },
+  reviewer_id: {
+    type: Number,
+    required: true,
+    // References MySQL users.user_id (student reviewing)
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'completed'],
+    default: 'assigned'
+  },
+  rubric_scores: [peerScoreSchema],
+  points: {
+    type: Number
+  },
+  max_points: {
+    type: Number
+  },
+  comments: {
+    type: String,
+    trim: true
+  },
+  assigned_at: {
+    type: Date,
+    default: Date.now
+  },
+  submitted_at: {
+    type: Date
+  }
+}, {
+  collection: 'peer_reviews'
+});
+
+// One review per author/reviewer pair
+peerReviewSchema.index({ assignment_id: 1, author_id: 1, reviewer_id: 1 }, { unique: true });
+peerReviewSchema.index({ reviewer_id: 1, status: 1 });
+
+// Static method to get all reviews for one assignment
+peerReviewSchema.statics.findByAssignment = function(assignmentId) {
+  return this.find({ assignment_id: assignmentId }).sort({ author_id: 1, assigned_at: 1 });
+};
+
+const PeerReview = mongoose.model('PeerReview', peerReviewSchema);
+
+module.exports = PeerReview;
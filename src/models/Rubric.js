@@ -0,0 +1,140 @@
+/**
+ * RUBRIC MODEL (MongoDB)
+ *
+ * Purpose: Reusable per-course grading rubrics (criteria with scored levels)
+ * Why MongoDB?: A rubric is a small nested document (criteria -> levels) that is
+ * always read and written as a whole, and it is attached to MongoDB assignments.
+ *
+ * Design Decision: Graded submissions keep a snapshot of the selected levels
+ * (see Assignment rubric_scores), so marks never change when a rubric is edited.
+ */
+
+const mongoose = require('mongoose');
+
+const levelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  levels: {
+    type: [levelSchema],
+    validate: [levels => levels.length > 0, 'A criterion needs at least one level']
+  }
+});
+
+const rubricSchema = new mongoose.Schema({
+  course_id: {
+    type: Number,
+    required: true,
+    index: true,
+    // References MySQL courses.course_id
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: [criteria => criteria.length > 0, 'A rubric needs at least one criterion']
+  },
+  created_by: {
+    type: Number,
+    required: true,
+    // References MySQL users.user_id (instructor)
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  collection: 'rubrics'
+});
+
+// Highest score the rubric can give
+rubricSchema.virtual('max_points').get(function() {
+  return this.criteria.reduce(
+    (sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => level.points)),
+    0
+  );
+});
+
+rubricSchema.set('toJSON', { virtuals: true });
+
+// Method to score a set of level selections
+// selections: [{ criterion_id, level_id, comment }], one per criterion
+// Returns { scores, total, max_points } with a snapshot of each selected level
+rubricSchema.methods.scoreSelections = function(selections) {
+  const byCriterion = new Map((selections || []).map(s => [String(s.criterion_id), s]));
+
+  if (byCriterion.size !== (selections || []).length) {
+    throw new Error('Each criterion can only be scored once');
+  }
+
+  const scores = this.criteria.map(criterion => {
+    const selection = byCriterion.get(String(criterion._id));
+
+    if (!selection) {
+      throw new Error(`Select a level for "${criterion.title}"`);
+    }
+    byCriterion.delete(String(criterion._id));
+
+    const level = criterion.levels.find(l => String(l._id) === String(selection.level_id));
+
+    if (!level) {
+      throw new Error(`Level ${selection.level_id} does not belong to "${criterion.title}"`);
+    }
+
+    return {
+      criterion_id: criterion._id,
+      criterion_title: criterion.title,
+      level_id: level._id,
+      level_title: level.title,
+      points: level.points,
+      max_points: Math.max(0, ...criterion.levels.map(l => l.points)),
+      comment: selection.comment
+    };
+  });
+
+  if (byCriterion.size > 0) {
+    throw new Error(`Unknown criterion ${[...byCriterion.keys()][0]}`);
+  }
+
+  return {
+    scores,
+    total: scores.reduce((sum, score) => sum + score.points, 0),
+    max_points: this.max_points
+  };
+};
+
+// Static method to get rubrics by course
+rubricSchema.statics.findByCourse = function(courseId) {
+  return this.find({ course_id: courseId }).sort({ title: 1 });
+};
+
+const Rubric = mongoose.model('Rubric', rubricSchema);
+
+module.exports = Rubric;
@@ -0,0 +1,85 @@
+/**
+ * SUBMISSION DRAFT MODEL (MongoDB)
+ *
+ * Purpose: A student's unsubmitted work on an assignment, autosaved while
+ * they write it
+ * Why MongoDB?: Drafts have the same flexible content as assignment
+ * submissions (file, link or text).
+ *
+ * Design Decision: Drafts live in their own collection rather than inside
+ * the assignment, so frequent autosaves never rewrite the (large)
+ * assignment document or race with grading. A draft is never a submission:
+ * it is not versioned, graded or checked against the deadline until the
+ * student submits it, which turns it into a regular submission and
+ * removes the draft.
+ */
+
+const mongoose = require('mongoose');
+
+const submissionDraftSchema = new mongoose.Schema({
+  assignment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course_id: {
+    type: Number,
+    required: true,
+    // References MySQL courses.course_id
+  },
+  student_id: {
+    type: Number,
+    required: true,
+    // References MySQL users.user_id
+  },
+  submission_type: {
+    type: String,
+    enum: ['file', 'link', 'text'],
+    default: 'text'
+  },
+  submission_text: {
+    type: String
+  },
+  submission_link: {
+    type: String,
+    trim: true
+  },
+  remarks: {
+    type: String,
+    trim: true
+  },
+  file_path: {
+    type: String
+    // Storage key of the draft's uploaded file; it becomes the submission's on submit
+  },
+  file_name: String,
+  file_size: Number,
+  mime_type: String,
+  checksum: String,
+  save_count: {
+    type: Number,
+    default: 0
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  saved_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'submission_drafts'
+});
+
+// One draft per student and assignment
+submissionDraftSchema.index({ assignment_id: 1, student_id: 1 }, { unique: true });
+
+// Static method to get a student's draft for an assignment
+submissionDraftSchema.statics.findForStudent = function(assignmentId, studentId) {
+  return this.findOne({ assignment_id: assignmentId, student_id: studentId });
+};
+
+const SubmissionDraft = mongoose.model('SubmissionDraft', submissionDraftSchema);
+
+module.exports = SubmissionDraft;
@@ -0,0 +1,43 @@
+/**
+ * Annotation Routes
+ *
+ * MongoDB-based inline feedback on text submissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const annotationController = require('../controllers/annotationController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Get a submission with its annotations (the student or the course instructor)
+router.get(
+  '/assignments/:assignmentId/submissions/:studentId/annotations',
+  authenticateToken,
+  annotationController.getAnnotations
+);
+
+// Annotate a submission (instructor only)
+router.post(
+  '/assignments/:assignmentId/submissions/:studentId/annotations',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  annotationController.addAnnotation
+);
+
+// Change an annotation (instructor only)
+router.put(
+  '/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  annotationController.updateAnnotation
+);
+
+// Remove an annotation (instructor only)
+router.delete(
+  '/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  annotationController.deleteAnnotation
+);
+
+module.exports = router;
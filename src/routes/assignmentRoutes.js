@@ -9,6 +9,7 @@ const router = express.Router();
 const assignmentController = require('../controllers/assignmentController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { logActivity } = require('../middleware/activityLogger');
+const { uploadSingle } = require('../middleware/upload');
 
 // Get assignments for a course
 router.get(
@@ -35,15 +36,192 @@ router.get(
   assignmentController.getAssignmentById
 );
 
-// Submit assignment
+// Create assignment for a course (instructor/admin)
 router.post(
   '/courses/:courseId/assignments',
   authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.createAssignment
+);
+
+// Update assignment (instructor/admin)
+router.put(
+  '/assignments/:assignmentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.updateAssignment
+);
+
+// Attach or detach a rubric (instructor/admin)
+router.put(
+  '/assignments/:assignmentId/rubric',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.setAssignmentRubric
+);
+
+// Activate or deactivate assignment (instructor/admin)
+router.put(
+  '/assignments/:assignmentId/active',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.setAssignmentActive
+);
+
+// Delete assignment (instructor/admin)
+router.delete(
+  '/assignments/:assignmentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.deleteAssignment
+);
+
+// Submit assignment
+router.post(
+  '/assignments/:assignmentId/submissions',
+  authenticateToken,
   requireRole(['student']),
+  uploadSingle('file'),
   logActivity('submit_assignment', { resourceType: 'assignment' }),
   assignmentController.submitAssignment
 );
 
+// Get the student's draft
+router.get(
+  '/assignments/:assignmentId/draft',
+  authenticateToken,
+  requireRole(['student']),
+  assignmentController.getDraft
+);
+
+// Save (autosave) the student's draft
+router.put(
+  '/assignments/:assignmentId/draft',
+  authenticateToken,
+  requireRole(['student']),
+  uploadSingle('file'),
+  assignmentController.saveDraft
+);
+
+// Download the file saved in the student's draft
+router.get(
+  '/assignments/:assignmentId/draft/file',
+  authenticateToken,
+  requireRole(['student']),
+  assignmentController.downloadDraftFile
+);
+
+// Discard the student's draft
+router.delete(
+  '/assignments/:assignmentId/draft',
+  authenticateToken,
+  requireRole(['student']),
+  assignmentController.deleteDraft
+);
+
+// Submit the student's draft
+router.post(
+  '/assignments/:assignmentId/draft/submit',
+  authenticateToken,
+  requireRole(['student']),
+  logActivity('submit_assignment', { resourceType: 'assignment' }),
+  assignmentController.submitDraft
+);
+
+// Download all latest submissions as a ZIP (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/submissions/download',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.downloadAllSubmissions
+);
+
+// Download a submitted file (submitting student or course instructor)
+router.get(
+  '/assignments/:assignmentId/submissions/:studentId/file',
+  authenticateToken,
+  assignmentController.downloadSubmissionFile
+);
+
+// List versions of a student's submission (the student or course instructor)
+router.get(
+  '/assignments/:assignmentId/submissions/:studentId/versions',
+  authenticateToken,
+  assignmentController.getSubmissionVersions
+);
+
+// Compare two versions of a text submission (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/submissions/:studentId/diff',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.diffSubmissionVersions
+);
+
+// Similarity report across text submissions (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/similarity',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.getSubmissionSimilarity
+);
+
+// Matching passages between two submissions (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/similarity/:studentA/:studentB',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.getSimilarityMatches
+);
+
+// Upload an attachment (instructor/admin)
+router.post(
+  '/assignments/:assignmentId/attachments',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  uploadSingle('file'),
+  assignmentController.uploadAttachment
+);
+
+// Download an attachment (course instructor or enrolled students)
+router.get(
+  '/assignments/:assignmentId/attachments/:attachmentId/download',
+  authenticateToken,
+  assignmentController.downloadAttachment
+);
+
+// Delete an attachment (instructor/admin)
+router.delete(
+  '/assignments/:assignmentId/attachments/:attachmentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.deleteAttachment
+);
+
+// List per-student extensions (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/extensions',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.getAssignmentExtensions
+);
+
+// Grant or change a student's extension (instructor/admin)
+router.put(
+  '/assignments/:assignmentId/extensions/:studentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.setAssignmentExtension
+);
+
+// Remove a student's extension (instructor/admin)
+router.delete(
+  '/assignments/:assignmentId/extensions/:studentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.deleteAssignmentExtension
+);
+
 // Grade assignment (instructor only)
 router.post(
   '/assignments/:assignmentId/grade',
@@ -53,6 +231,39 @@ router.post(
   assignmentController.gradeAssignment
 );
 
+// Grade a group's submission (instructor only)
+router.post(
+  '/assignments/:assignmentId/groups/:groupId/grade',
+  authenticateToken,
+  requireRole(['instructor', 'admin']),
+  assignmentController.gradeGroup
+);
+
+// Download grading sheet as CSV (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/grades/export',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.exportGradeSheet
+);
+
+// Upload grading sheet (instructor/admin, ?dry_run=true to preview)
+router.post(
+  '/assignments/:assignmentId/grades/import',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  uploadSingle('file'),
+  assignmentController.importGradeSheet
+);
+
+// Release blind-graded grades and reveal student identities (instructor/admin)
+router.post(
+  '/assignments/:assignmentId/grades/release',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  assignmentController.releaseGrades
+);
+
 // Get assignment statistics
 router.get(
   '/courses/:courseId/assignments/stats',
@@ -0,0 +1,44 @@
+/**
+ * Autograder Routes
+ *
+ * MongoDB-based code assignment autograder endpoints (instructor/admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const autograderController = require('../controllers/autograderController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Get test suite and results
+router.get(
+  '/assignments/:assignmentId/autograder',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  autograderController.getAutograder
+);
+
+// Configure test suite
+router.put(
+  '/assignments/:assignmentId/autograder',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  autograderController.updateAutograder
+);
+
+// Try the tests on some code without storing results
+router.post(
+  '/assignments/:assignmentId/autograder/try',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  autograderController.tryAutograder
+);
+
+// Rerun the tests on the latest submissions
+router.post(
+  '/assignments/:assignmentId/autograder/run',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  autograderController.runAutograder
+);
+
+module.exports = router;
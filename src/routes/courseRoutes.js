@@ -34,10 +34,39 @@ router.post('/',
   courseController.createCourse
 );
 
+router.put('/:id',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  courseController.updateCourse
+);
+
+router.put('/:id/archive',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  courseController.setCourseArchived
+);
+
+router.delete('/:id',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  courseController.deleteCourse
+);
+
 router.get('/:id/students', 
   authenticateToken, 
   requireRole('instructor', 'admin'),
   courseController.getCourseStudents
 );
 
+router.get('/:id/upload-limits',
+  authenticateToken,
+  courseController.getUploadLimits
+);
+
+router.put('/:id/upload-limits',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  courseController.updateUploadLimits
+);
+
 module.exports = router;
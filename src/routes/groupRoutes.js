@@ -0,0 +1,59 @@
+/**
+ * Group Routes
+ *
+ * MySQL-based course group (project team) endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Get groups for a course (students see their own group)
+router.get(
+  '/courses/:courseId/groups',
+  authenticateToken,
+  groupController.getCourseGroups
+);
+
+// Create group for a course
+router.post(
+  '/courses/:courseId/groups',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  groupController.createGroup
+);
+
+// Split enrolled students into random groups
+router.post(
+  '/courses/:courseId/groups/random',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  groupController.createRandomGroups
+);
+
+// Rename group
+router.put(
+  '/groups/:groupId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  groupController.updateGroup
+);
+
+// Set group members
+router.put(
+  '/groups/:groupId/members',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  groupController.setGroupMembers
+);
+
+// Delete group
+router.delete(
+  '/groups/:groupId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  groupController.deleteGroup
+);
+
+module.exports = router;
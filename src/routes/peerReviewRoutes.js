@@ -0,0 +1,82 @@
+/**
+ * Peer Review Routes
+ *
+ * MongoDB-based peer review endpoints for assignments
+ */
+
+const express = require('express');
+const router = express.Router();
+const peerReviewController = require('../controllers/peerReviewController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Configure peer review for an assignment (instructor/admin)
+router.put(
+  '/assignments/:assignmentId/peer-review',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  peerReviewController.updatePeerReviewSettings
+);
+
+// Allocate reviewers now (instructor/admin)
+router.post(
+  '/assignments/:assignmentId/peer-reviews/allocate',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  peerReviewController.allocatePeerReviewsNow
+);
+
+// Reviews received on the student's own submission
+router.get(
+  '/assignments/:assignmentId/peer-reviews/received',
+  authenticateToken,
+  requireRole('student'),
+  peerReviewController.getReceivedPeerReviews
+);
+
+// All reviews and aggregates for an assignment (instructor/admin)
+router.get(
+  '/assignments/:assignmentId/peer-reviews',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  peerReviewController.getAssignmentPeerReviews
+);
+
+// Accept or override the peer grade (instructor/admin)
+router.put(
+  '/assignments/:assignmentId/peer-reviews/:studentId/grade',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  peerReviewController.finalizePeerGrade
+);
+
+// Reviews assigned to the current student (before /peer-reviews/:reviewId)
+router.get(
+  '/peer-reviews/my',
+  authenticateToken,
+  requireRole('student'),
+  peerReviewController.getMyPeerReviews
+);
+
+// Get a review with the work to review
+router.get(
+  '/peer-reviews/:reviewId',
+  authenticateToken,
+  peerReviewController.getPeerReview
+);
+
+// Download the file under review
+router.get(
+  '/peer-reviews/:reviewId/file',
+  authenticateToken,
+  peerReviewController.downloadPeerReviewFile
+);
+
+// Submit or revise a review (assigned reviewer)
+router.put(
+  '/peer-reviews/:reviewId',
+  authenticateToken,
+  requireRole('student'),
+  peerReviewController.submitPeerReview
+);
+
+module.exports = router;
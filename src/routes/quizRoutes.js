@@ -18,6 +18,23 @@ router.get(
   quizController.getCourseQuizzes
 );
 
+// Get student's submissions (registered before /quizzes/:quizId)
+router.get(
+  '/quizzes/my/submissions',
+  authenticateToken,
+  requireRole(['student']),
+  logActivity('view_my_submissions', { resourceType: 'quiz_submission' }),
+  quizController.getMySubmissions
+);
+
+// Get student's regrade requests (registered before /quizzes/:quizId)
+router.get(
+  '/quizzes/my/regrade-requests',
+  authenticateToken,
+  requireRole('student'),
+  quizController.getMyRegradeRequests
+);
+
 // Get single quiz
 router.get(
   '/quizzes/:quizId',
@@ -26,6 +43,22 @@ router.get(
   quizController.getQuizById
 );
 
+// Start or resume a quiz attempt
+router.post(
+  '/quizzes/:quizId/start',
+  authenticateToken,
+  requireRole('student'),
+  quizController.startQuiz
+);
+
+// Save answers to the attempt in progress
+router.put(
+  '/quizzes/:quizId/answers',
+  authenticateToken,
+  requireRole('student'),
+  quizController.saveAnswers
+);
+
 // Submit quiz
 router.post(
   '/quizzes/:quizId/submit',
@@ -35,15 +68,6 @@ router.post(
   quizController.submitQuiz
 );
 
-// Get student's submissions
-router.get(
-  '/quizzes/my/submissions',
-  authenticateToken,
-  requireRole(['student']),
-  logActivity('view_my_submissions', { resourceType: 'quiz_submission' }),
-  quizController.getMySubmissions
-);
-
 // Get quiz statistics
 router.get(
   '/quizzes/:quizId/stats',
@@ -53,4 +77,172 @@ router.get(
   quizController.getQuizStats
 );
 
+// Per-question item analysis (instructor/admin)
+router.get(
+  '/quizzes/:quizId/item-analysis',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.getItemAnalysis
+);
+
+// Create quiz for a course (instructor/admin)
+router.post(
+  '/courses/:courseId/quizzes',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.createQuiz
+);
+
+// Import a GIFT or Moodle XML question bank (instructor/admin)
+// Accepts JSON or the raw file as text/plain or XML
+router.post(
+  '/courses/:courseId/quizzes/import',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  express.text({ type: ['text/plain', 'application/xml', 'text/xml'], limit: '5mb' }),
+  quizController.importQuiz
+);
+
+// Export a quiz as GIFT or Moodle XML (instructor/admin)
+router.get(
+  '/quizzes/:quizId/export',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.exportQuiz
+);
+
+// Reorder quizzes of a course (instructor/admin)
+router.put(
+  '/courses/:courseId/quizzes/order',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.reorderQuizzes
+);
+
+// Update quiz settings (instructor/admin)
+router.put(
+  '/quizzes/:quizId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.updateQuiz
+);
+
+// Publish or unpublish quiz (instructor/admin)
+router.put(
+  '/quizzes/:quizId/publish',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.setQuizPublished
+);
+
+// Delete quiz (instructor/admin)
+router.delete(
+  '/quizzes/:quizId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.deleteQuiz
+);
+
+// Add question to quiz (instructor/admin)
+router.post(
+  '/quizzes/:quizId/questions',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.addQuestion
+);
+
+// Reorder questions (instructor/admin) - registered before :questionId
+router.put(
+  '/quizzes/:quizId/questions/order',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.reorderQuestions
+);
+
+// Replace question (instructor/admin)
+router.put(
+  '/quizzes/:quizId/questions/:questionId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.updateQuestion
+);
+
+// Delete question (instructor/admin)
+router.delete(
+  '/quizzes/:quizId/questions/:questionId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.deleteQuestion
+);
+
+// Replace question pool rules (instructor/admin)
+router.put(
+  '/quizzes/:quizId/pools',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.setPoolRules
+);
+
+// Submissions with free-text answers awaiting grading (instructor/admin)
+router.get(
+  '/quizzes/:quizId/grading-queue',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.getGradingQueue
+);
+
+// Score answers and leave feedback on a submission (instructor/admin)
+router.put(
+  '/quizzes/submissions/:submissionId/grade',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.gradeSubmissionAnswers
+);
+
+// Per-student extensions and accommodations (instructor/admin)
+router.get(
+  '/quizzes/:quizId/extensions',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.getExtensions
+);
+
+router.put(
+  '/quizzes/:quizId/extensions/:studentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.setExtension
+);
+
+router.delete(
+  '/quizzes/:quizId/extensions/:studentId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.deleteExtension
+);
+
+// Dispute a mark on a submission or one of its questions (student)
+router.post(
+  '/quizzes/submissions/:submissionId/regrade-requests',
+  authenticateToken,
+  requireRole('student'),
+  quizController.createRegradeRequest
+);
+
+// Regrade requests for a quiz (instructor/admin)
+router.get(
+  '/quizzes/:quizId/regrade-requests',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.getQuizRegradeRequests
+);
+
+// Accept or reject a regrade request (instructor/admin)
+router.put(
+  '/quizzes/regrade-requests/:requestId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  quizController.resolveRegradeRequest
+);
+
 module.exports = router;
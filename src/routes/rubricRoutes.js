@@ -0,0 +1,60 @@
+/**
+ * Rubric Routes
+ *
+ * MongoDB-based grading rubric endpoints (instructor/admin)
+ */
+
+const express = require('express');
+const router = express.Router();
+const rubricController = require('../controllers/rubricController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+// Get rubrics for a course
+router.get(
+  '/courses/:courseId/rubrics',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.getCourseRubrics
+);
+
+// Create rubric for a course
+router.post(
+  '/courses/:courseId/rubrics',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.createRubric
+);
+
+// Get single rubric
+router.get(
+  '/rubrics/:rubricId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.getRubricById
+);
+
+// Update rubric
+router.put(
+  '/rubrics/:rubricId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.updateRubric
+);
+
+// Copy rubric (optionally into another course)
+router.post(
+  '/rubrics/:rubricId/copy',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.copyRubric
+);
+
+// Delete rubric
+router.delete(
+  '/rubrics/:rubricId',
+  authenticateToken,
+  requireRole('instructor', 'admin'),
+  rubricController.deleteRubric
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Autograder Sandbox Check
+ *
+ * Runs known submissions through the autograder sandbox and checks the
+ * outcome, so a Node upgrade or a sandbox change that breaks grading (or
+ * lets a submission grade itself) shows up before students notice.
+ *
+ *   npm run check-autograder
+ *
+ * Exits with code 1 if any case does not behave as expected.
+ */
+
+const { runTestSuite } = require('../utils/autograder');
+
+const AUTOGRADER = {
+  tests: [
+    { name: 'adds numbers', code: 'assert.strictEqual(add(2, 3), 5);' },
+    { name: 'builds pairs', code: 'assert.deepStrictEqual(pair(1, 2), [1, 2]);' }
+  ]
+};
+
+const WRONG_FUNCTIONS = `
+function add(a, b) { return 0; }
+function pair(a, b) { return []; }
+`;
+
+// [description, submission code, expected score]
+const CASES = [
+  ['correct submission passes', `
+function add(a, b) { return a + b; }
+function pair(a, b) { return [a, b]; }
+`, 2],
+  ['wrong submission fails', WRONG_FUNCTIONS, 0],
+  ['overriding assert methods fails', `${WRONG_FUNCTIONS}
+assert.strictEqual = function() {};
+assert.deepStrictEqual = function() {};
+`, 0],
+  ['replacing the assert global fails', `${WRONG_FUNCTIONS}
+assert = function() {};
+assert.strictEqual = function() {};
+assert.deepStrictEqual = function() {};
+`, 0],
+  ['replacing built-ins used by assert fails', `${WRONG_FUNCTIONS}
+Object.is = function() { return true; };
+Object.keys = function() { return []; };
+Array.isArray = function() { return true; };
+`, 0],
+  ['replacing the test runner fails', `${WRONG_FUNCTIONS}
+__runTest = function() {};
+Object.defineProperty(this, '__runTest', { value: function() {} });
+`, 0],
+  ['changing assert from inside a tested function fails', `
+function add(a, b) {
+  try { assert.strictEqual = function() {}; } catch (error) {}
+  return 0;
+}
+function pair(a, b) { return []; }
+`, 0],
+  ['loading modules is not possible', `
+var http = require('http');
+function add(a, b) { return a + b; }
+function pair(a, b) { return [a, b]; }
+`, 0]
+];
+
+const checkAutograder = async () => {
+  let failures = 0;
+
+  for (const [description, code, expectedScore] of CASES) {
+    const result = await runTestSuite(code, AUTOGRADER);
+    const ok = result.status === 'completed' && result.score === expectedScore;
+
+    if (!ok) {
+      failures++;
+    }
+
+    console.log(`${ok ? '✓' : '✗'} ${description}` +
+      (ok ? '' : ` (status ${result.status}, score ${result.score}, expected ${expectedScore}${result.error ? `: ${result.error}` : ''})`));
+  }
+
+  return failures;
+};
+
+// Run if executed directly
+if (require.main === module) {
+  checkAutograder()
+    .then((failures) => {
+      console.log(failures === 0 ? '\n✓ Autograder sandbox OK' : `\n✗ ${failures} check(s) failed`);
+      process.exit(failures === 0 ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('✗ Autograder check failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { checkAutograder };
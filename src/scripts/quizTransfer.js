@@ -0,0 +1,146 @@
+/**
+ * Quiz Import/Export Script
+ *
+ * Moves question banks between the portal and Moodle from the command line.
+ *
+ *   npm run quiz-transfer -- import --course 1 --file bank.gift --title "Week 1"
+ *   npm run quiz-transfer -- import --course 1 --file bank.xml --quiz 4 --dry-run
+ *   npm run quiz-transfer -- export --quiz 4 --format moodle_xml --out week1.xml
+ *
+ * The format defaults to Moodle XML for .xml files and GIFT otherwise.
+ */
+
+const fs = require('fs');
+const { executeQuery, closeConnection } = require('../config/mysql');
+const { loadQuestionsWithOptions, saveImportedQuestions } = require('../utils/quizQuestionStore');
+const {
+  FORMATS,
+  formatFromFileName,
+  parseQuestionBank,
+  exportQuestionBank
+} = require('../utils/quizTransfer');
+
+/**
+ * Parse "--name value" and "--flag" arguments
+ */
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].slice(2);
+      const next = rest[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    }
+  }
+
+  return { command, options };
+};
+
+const printReport = (report) => {
+  console.log(`  Format: ${report.format}`);
+  console.log(`  Questions found: ${report.total}`);
+  if (report.importable !== undefined) {
+    console.log(`  Importable: ${report.importable}`);
+  }
+
+  report.unsupported.forEach(entry => {
+    console.log(`  ✗ #${entry.position} ${entry.name || ''} (${entry.type}): ${entry.reason}`);
+  });
+  report.warnings.forEach(entry => {
+    console.log(`  ! #${entry.position} ${entry.name || ''} (${entry.type}): ${entry.message}`);
+  });
+};
+
+const importBank = async (options) => {
+  if (!options.course || !options.file) {
+    throw new Error('import needs --course <id> and --file <path>');
+  }
+
+  const format = options.format || formatFromFileName(options.file);
+  const { questions, report } = parseQuestionBank(format, fs.readFileSync(options.file, 'utf8'));
+
+  console.log(`\nValidated ${options.file}`);
+  printReport(report);
+
+  if (options['dry-run'] || questions.length === 0) {
+    console.log(questions.length === 0 ? '\nNo importable questions found.' : '\nDry run: nothing was saved.');
+    return;
+  }
+
+  const courses = await executeQuery('SELECT course_id FROM courses WHERE course_id = ?', [options.course]);
+  if (courses.length === 0) {
+    throw new Error(`Course ${options.course} not found`);
+  }
+
+  if (options.quiz) {
+    const quizzes = await executeQuery(
+      'SELECT quiz_id FROM quizzes WHERE quiz_id = ? AND course_id = ?',
+      [options.quiz, options.course]
+    );
+    if (quizzes.length === 0) {
+      throw new Error(`Quiz ${options.quiz} not found in course ${options.course}`);
+    }
+  } else if (!options.title || options.title === true) {
+    throw new Error('import into a new quiz needs --title "<quiz title>"');
+  }
+
+  const saved = await saveImportedQuestions({
+    courseId: parseInt(options.course),
+    quizId: options.quiz ? parseInt(options.quiz) : null,
+    title: options.title,
+    questions
+  });
+
+  console.log(`\n✓ Imported ${saved.question_ids.length} questions into quiz ${saved.quiz_id}`);
+};
+
+const exportBank = async (options) => {
+  if (!options.quiz) {
+    throw new Error('export needs --quiz <id>');
+  }
+
+  const format = options.format || (options.out ? formatFromFileName(options.out) : 'gift');
+  const quizzes = await executeQuery('SELECT quiz_id, title FROM quizzes WHERE quiz_id = ?', [options.quiz]);
+  if (quizzes.length === 0) {
+    throw new Error(`Quiz ${options.quiz} not found`);
+  }
+
+  const questions = await loadQuestionsWithOptions(options.quiz);
+  const exported = exportQuestionBank(format, quizzes[0], questions);
+  const outFile = options.out || exported.fileName;
+
+  fs.writeFileSync(outFile, exported.content);
+
+  console.log(`\n✓ Exported quiz ${options.quiz} to ${outFile}`);
+  printReport(exported.report);
+};
+
+// Run if executed directly
+if (require.main === module) {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const commands = { import: importBank, export: exportBank };
+
+  if (!commands[command] || (options.format && !FORMATS[options.format])) {
+    console.error('Usage: quizTransfer.js import|export [options]');
+    console.error(`Formats: ${Object.keys(FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command](options)
+    .then(() => closeConnection())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('✗ Quiz transfer failed:', error.message);
+      await closeConnection();
+      process.exit(1);
+    });
+}
+
+module.exports = { importBank, exportBank };
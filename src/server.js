@@ -20,6 +20,11 @@ const courseRoutes = require('./routes/courseRoutes');
 const quizRoutes = require('./routes/quizRoutes');
 const discussionRoutes = require('./routes/discussionRoutes');
 const assignmentRoutes = require('./routes/assignmentRoutes');
+const rubricRoutes = require('./routes/rubricRoutes');
+const peerReviewRoutes = require('./routes/peerReviewRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const autograderRoutes = require('./routes/autograderRoutes');
+const annotationRoutes = require('./routes/annotationRoutes');
 const activityRoutes = require('./routes/activityRoutes');
 
 // Initialize Express app
@@ -59,6 +64,11 @@ app.use('/api/courses', courseRoutes);
 app.use('/api', quizRoutes);
 app.use('/api', discussionRoutes);
 app.use('/api', assignmentRoutes);
+app.use('/api', rubricRoutes);
+app.use('/api', peerReviewRoutes);
+app.use('/api', groupRoutes);
+app.use('/api', autograderRoutes);
+app.use('/api', annotationRoutes);
 app.use('/api', activityRoutes);
 
 // API documentation endpoint
@@ -79,17 +89,46 @@ app.get('/api', (req, res) => {
         getAll: 'GET /api/courses',
         getById: 'GET /api/courses/:id',
         create: 'POST /api/courses (instructor/admin)',
+        update: 'PUT /api/courses/:id (instructor/admin)',
+        archive: 'PUT /api/courses/:id/archive (instructor/admin)',
+        delete: 'DELETE /api/courses/:id?force=true (instructor/admin)',
         myEnrolled: 'GET /api/courses/my/courses (student)',
         enroll: 'POST /api/courses/:id/enroll (student)',
         getStudents: 'GET /api/courses/:id/students (instructor/admin)',
+        getUploadLimits: 'GET /api/courses/:id/upload-limits',
+        setUploadLimits: 'PUT /api/courses/:id/upload-limits (instructor/admin)',
         database: 'MySQL'
       },
       quizzes: {
         getCourse: 'GET /api/courses/:courseId/quizzes',
         getById: 'GET /api/quizzes/:quizId',
+        start: 'POST /api/quizzes/:quizId/start (student)',
+        saveAnswers: 'PUT /api/quizzes/:quizId/answers (student)',
         submit: 'POST /api/quizzes/:quizId/submit (student)',
         getMy: 'GET /api/quizzes/my/submissions (student)',
         stats: 'GET /api/quizzes/:quizId/stats (instructor)',
+        itemAnalysis: 'GET /api/quizzes/:quizId/item-analysis (instructor)',
+        create: 'POST /api/courses/:courseId/quizzes (instructor)',
+        import: 'POST /api/courses/:courseId/quizzes/import (instructor)',
+        export: 'GET /api/quizzes/:quizId/export?format=gift|moodle_xml (instructor)',
+        reorder: 'PUT /api/courses/:courseId/quizzes/order (instructor)',
+        update: 'PUT /api/quizzes/:quizId (instructor)',
+        publish: 'PUT /api/quizzes/:quizId/publish (instructor)',
+        delete: 'DELETE /api/quizzes/:quizId (instructor)',
+        addQuestion: 'POST /api/quizzes/:quizId/questions (instructor)',
+        updateQuestion: 'PUT /api/quizzes/:quizId/questions/:questionId (instructor)',
+        deleteQuestion: 'DELETE /api/quizzes/:quizId/questions/:questionId (instructor)',
+        reorderQuestions: 'PUT /api/quizzes/:quizId/questions/order (instructor)',
+        pools: 'PUT /api/quizzes/:quizId/pools (instructor)',
+        gradingQueue: 'GET /api/quizzes/:quizId/grading-queue (instructor)',
+        grade: 'PUT /api/quizzes/submissions/:submissionId/grade (instructor)',
+        extensions: 'GET /api/quizzes/:quizId/extensions (instructor)',
+        setExtension: 'PUT /api/quizzes/:quizId/extensions/:studentId (instructor)',
+        deleteExtension: 'DELETE /api/quizzes/:quizId/extensions/:studentId (instructor)',
+        requestRegrade: 'POST /api/quizzes/submissions/:submissionId/regrade-requests (student)',
+        myRegradeRequests: 'GET /api/quizzes/my/regrade-requests (student)',
+        regradeRequests: 'GET /api/quizzes/:quizId/regrade-requests (instructor)',
+        resolveRegrade: 'PUT /api/quizzes/regrade-requests/:requestId (instructor)',
         database: 'MySQL'
       },
       discussions: {
@@ -105,11 +144,81 @@ app.get('/api', (req, res) => {
         getCourse: 'GET /api/courses/:courseId/assignments',
         getMy: 'GET /api/assignments/my (student)',
         getById: 'GET /api/assignments/:assignmentId',
-        submit: 'POST /api/courses/:courseId/assignments (student)',
+        create: 'POST /api/courses/:courseId/assignments (instructor)',
+        update: 'PUT /api/assignments/:assignmentId (instructor)',
+        setRubric: 'PUT /api/assignments/:assignmentId/rubric (instructor)',
+        setActive: 'PUT /api/assignments/:assignmentId/active (instructor)',
+        delete: 'DELETE /api/assignments/:assignmentId (instructor)',
+        submit: 'POST /api/assignments/:assignmentId/submissions (student, multipart for files)',
+        getDraft: 'GET /api/assignments/:assignmentId/draft (student)',
+        saveDraft: 'PUT /api/assignments/:assignmentId/draft (student, autosave, multipart for files)',
+        downloadDraftFile: 'GET /api/assignments/:assignmentId/draft/file (student)',
+        deleteDraft: 'DELETE /api/assignments/:assignmentId/draft (student)',
+        submitDraft: 'POST /api/assignments/:assignmentId/draft/submit (student)',
+        downloadSubmission: 'GET /api/assignments/:assignmentId/submissions/:studentId/file?version=',
+        downloadAll: 'GET /api/assignments/:assignmentId/submissions/download (instructor, ZIP)',
+        submissionVersions: 'GET /api/assignments/:assignmentId/submissions/:studentId/versions',
+        diffVersions: 'GET /api/assignments/:assignmentId/submissions/:studentId/diff?from=&to= (instructor)',
+        similarity: 'GET /api/assignments/:assignmentId/similarity?min_similarity= (instructor)',
+        similarityMatches: 'GET /api/assignments/:assignmentId/similarity/:studentA/:studentB (instructor)',
+        uploadAttachment: 'POST /api/assignments/:assignmentId/attachments (instructor, multipart)',
+        downloadAttachment: 'GET /api/assignments/:assignmentId/attachments/:attachmentId/download',
+        deleteAttachment: 'DELETE /api/assignments/:assignmentId/attachments/:attachmentId (instructor)',
+        extensions: 'GET /api/assignments/:assignmentId/extensions (instructor)',
+        setExtension: 'PUT /api/assignments/:assignmentId/extensions/:studentId (instructor)',
+        deleteExtension: 'DELETE /api/assignments/:assignmentId/extensions/:studentId (instructor)',
         grade: 'POST /api/assignments/:assignmentId/grade (instructor)',
+        gradeGroup: 'POST /api/assignments/:assignmentId/groups/:groupId/grade (instructor)',
+        exportGrades: 'GET /api/assignments/:assignmentId/grades/export (instructor, CSV)',
+        importGrades: 'POST /api/assignments/:assignmentId/grades/import?dry_run=true (instructor, CSV)',
+        releaseGrades: 'POST /api/assignments/:assignmentId/grades/release (instructor, blind grading)',
         stats: 'GET /api/courses/:courseId/assignments/stats (instructor)',
         database: 'MongoDB'
       },
+      rubrics: {
+        getCourse: 'GET /api/courses/:courseId/rubrics (instructor)',
+        create: 'POST /api/courses/:courseId/rubrics (instructor)',
+        getById: 'GET /api/rubrics/:rubricId (instructor)',
+        update: 'PUT /api/rubrics/:rubricId (instructor)',
+        copy: 'POST /api/rubrics/:rubricId/copy (instructor)',
+        delete: 'DELETE /api/rubrics/:rubricId (instructor)',
+        database: 'MongoDB'
+      },
+      peerReviews: {
+        configure: 'PUT /api/assignments/:assignmentId/peer-review (instructor)',
+        allocate: 'POST /api/assignments/:assignmentId/peer-reviews/allocate (instructor)',
+        getAssignment: 'GET /api/assignments/:assignmentId/peer-reviews (instructor)',
+        finalizeGrade: 'PUT /api/assignments/:assignmentId/peer-reviews/:studentId/grade (instructor)',
+        received: 'GET /api/assignments/:assignmentId/peer-reviews/received (student)',
+        getMy: 'GET /api/peer-reviews/my (student)',
+        getById: 'GET /api/peer-reviews/:reviewId',
+        downloadFile: 'GET /api/peer-reviews/:reviewId/file',
+        submit: 'PUT /api/peer-reviews/:reviewId (reviewer)',
+        database: 'MongoDB'
+      },
+      autograder: {
+        get: 'GET /api/assignments/:assignmentId/autograder (instructor)',
+        configure: 'PUT /api/assignments/:assignmentId/autograder (instructor)',
+        try: 'POST /api/assignments/:assignmentId/autograder/try (instructor)',
+        rerun: 'POST /api/assignments/:assignmentId/autograder/run (instructor)',
+        database: 'MongoDB'
+      },
+      annotations: {
+        get: 'GET /api/assignments/:assignmentId/submissions/:studentId/annotations?version=',
+        add: 'POST /api/assignments/:assignmentId/submissions/:studentId/annotations (instructor)',
+        update: 'PUT /api/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId (instructor)',
+        delete: 'DELETE /api/assignments/:assignmentId/submissions/:studentId/annotations/:annotationId (instructor)',
+        database: 'MongoDB'
+      },
+      groups: {
+        getCourse: 'GET /api/courses/:courseId/groups',
+        create: 'POST /api/courses/:courseId/groups (instructor)',
+        createRandom: 'POST /api/courses/:courseId/groups/random (instructor)',
+        update: 'PUT /api/groups/:groupId (instructor)',
+        setMembers: 'PUT /api/groups/:groupId/members (instructor)',
+        delete: 'DELETE /api/groups/:groupId (instructor)',
+        database: 'MySQL'
+      },
       activity: {
         getMy: 'GET /api/activity/me',
         getMyStats: 'GET /api/activity/me/stats',
@@ -0,0 +1,90 @@
+/**
+ * Submission Annotations
+ *
+ * Instructor comments on character ranges ({ start, end }, end exclusive)
+ * of one version of a text submission, each optionally taking points off
+ * that version's grade. Ranges may overlap; segmentText splits the text at
+ * every range boundary so a client can render highlights without working
+ * out the overlaps itself.
+ */
+
+const MAX_ANNOTATIONS = 200;
+const MAX_COMMENT_LENGTH = 2000;
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate an annotation against the text it belongs to.
+ * Returns an error message or null.
+ */
+const validateAnnotation = ({ start, end, comment, deduction }, text, maxMarks) => {
+  const length = String(text || '').length;
+
+  if (!Number.isInteger(Number(start)) || !Number.isInteger(Number(end)) ||
+      Number(start) < 0 || Number(end) <= Number(start) || Number(end) > length) {
+    return `start and end must be whole numbers with 0 <= start < end <= ${length} (the text length)`;
+  }
+
+  if (!String(comment || '').trim()) {
+    return 'comment is required';
+  }
+
+  if (String(comment).length > MAX_COMMENT_LENGTH) {
+    return `comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`;
+  }
+
+  if (deduction !== undefined && deduction !== null &&
+      (isNaN(Number(deduction)) || Number(deduction) < 0 || Number(deduction) > maxMarks)) {
+    return `deduction must be between 0 and ${maxMarks}`;
+  }
+
+  return null;
+};
+
+/**
+ * Count and total of a set of annotations
+ */
+const summarizeAnnotations = (annotations) => ({
+  count: annotations.length,
+  with_deduction: annotations.filter(a => a.deduction > 0).length,
+  total_deduction: roundMarks(annotations.reduce((sum, a) => sum + (a.deduction || 0), 0))
+});
+
+/**
+ * Split a text at every annotation boundary.
+ * Returns [{ start, end, text, annotation_ids }] covering the whole text in
+ * order; annotation_ids lists the annotations covering that piece.
+ */
+const segmentText = (text, annotations) => {
+  const source = String(text || '');
+  const boundaries = [...new Set([
+    0,
+    source.length,
+    ...annotations.flatMap(a => [a.start, a.end])
+  ])]
+    .filter(offset => offset >= 0 && offset <= source.length)
+    .sort((a, b) => a - b);
+
+  const segments = [];
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+
+    segments.push({
+      start,
+      end,
+      text: source.slice(start, end),
+      annotation_ids: annotations.filter(a => a.start <= start && a.end >= end).map(a => a._id)
+    });
+  }
+
+  return segments;
+};
+
+module.exports = {
+  MAX_ANNOTATIONS,
+  validateAnnotation,
+  summarizeAnnotations,
+  segmentText
+};
@@ -0,0 +1,326 @@
+/**
+ * Autograder
+ *
+ * Runs an assignment's hidden JavaScript test suite against student code
+ * in a local sandbox (see autograderSandbox.js): a separate Node process
+ * per run with no environment, a heap cap, the permission model on (no
+ * file, child process or worker access), a per-test time limit and a hard
+ * kill for the whole run. Inside it the code runs in vm contexts without
+ * require or eval, so it cannot load modules to reach the network.
+ *
+ * The permission model needs Node.js 20 or later, and it does not restrict
+ * network access: the sandbox process itself can still open connections.
+ * Only the vm contexts stand between student code and the network, so on
+ * servers where that matters run the portal on a host (or in a container)
+ * without outbound network access.
+ *
+ * Submissions are graded in the background through a small in-process
+ * queue so a submit request never waits for the tests. Results are
+ * written onto the submission they were run for; a newer version is
+ * queued again when it arrives.
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+const Assignment = require('../models/Assignment');
+const { storage } = require('../config/storage');
+
+const SANDBOX_PATH = path.join(__dirname, 'autograderSandbox.js');
+
+// Submission types the autograder can read code from
+const GRADABLE_TYPES = ['text', 'file'];
+
+const DEFAULT_TEST_TIMEOUT_MS = 2000;
+const MAX_TEST_TIMEOUT_MS = 10000;
+const DEFAULT_MEMORY_LIMIT_MB = 64;
+const MAX_MEMORY_LIMIT_MB = 512;
+const MAX_TESTS = 100;
+const MAX_CODE_BYTES = 256 * 1024;
+const MAX_RESULT_BYTES = 1024 * 1024;
+// Time for the sandbox process to start and report, on top of the tests
+const STARTUP_ALLOWANCE_MS = 5000;
+
+const CONCURRENCY = parseInt(process.env.AUTOGRADER_CONCURRENCY) || 1;
+
+/**
+ * Validate autograder settings. Returns an error message or null.
+ */
+const validateAutograderSettings = ({ tests, test_timeout_ms, memory_limit_mb }) => {
+  if (tests !== undefined) {
+    if (!Array.isArray(tests) || tests.length > MAX_TESTS) {
+      return `tests must be a list of at most ${MAX_TESTS} tests`;
+    }
+
+    const names = new Set();
+
+    for (const [i, test] of tests.entries()) {
+      if (!test || !String(test.name || '').trim()) {
+        return `Test ${i + 1} needs a name`;
+      }
+
+      if (names.has(test.name)) {
+        return `Test names must be unique ("${test.name}")`;
+      }
+      names.add(test.name);
+
+      if (!String(test.code || '').trim()) {
+        return `Test "${test.name}" needs code`;
+      }
+
+      // Compiling checks the syntax without running anything
+      try {
+        new vm.Script(test.code, { filename: `test:${test.name}` });
+      } catch (error) {
+        return `Test "${test.name}" does not compile: ${error.message}`;
+      }
+
+      if (test.points !== undefined && (isNaN(Number(test.points)) || Number(test.points) < 0)) {
+        return `Test "${test.name}" needs non-negative points`;
+      }
+    }
+  }
+
+  if (test_timeout_ms !== undefined &&
+      (!Number.isInteger(Number(test_timeout_ms)) || Number(test_timeout_ms) < 1 ||
+       Number(test_timeout_ms) > MAX_TEST_TIMEOUT_MS)) {
+    return `test_timeout_ms must be between 1 and ${MAX_TEST_TIMEOUT_MS}`;
+  }
+
+  if (memory_limit_mb !== undefined &&
+      (!Number.isInteger(Number(memory_limit_mb)) || Number(memory_limit_mb) < 16 ||
+       Number(memory_limit_mb) > MAX_MEMORY_LIMIT_MB)) {
+    return `memory_limit_mb must be between 16 and ${MAX_MEMORY_LIMIT_MB}`;
+  }
+
+  return null;
+};
+
+/**
+ * Run the sandbox process and collect its JSON answer.
+ * Resolves { tests } or { error, status: 'timeout'|'error' }.
+ */
+const runSandbox = (payload, memoryLimitMb, timeLimitMs) => new Promise((resolve) => {
+  const child = spawn(process.execPath, [
+    `--max-old-space-size=${memoryLimitMb}`,
+    '--experimental-permission',
+    `--allow-fs-read=${SANDBOX_PATH}`,
+    '--no-warnings',
+    SANDBOX_PATH
+  ], {
+    env: {},
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  let stdout = '';
+  let stderr = '';
+  let settled = false;
+
+  const finish = (result) => {
+    if (!settled) {
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    }
+  };
+
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    finish({ status: 'timeout', error: 'Time limit exceeded for the test run' });
+  }, timeLimitMs);
+
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    if (stdout.length > MAX_RESULT_BYTES) {
+      child.kill('SIGKILL');
+      finish({ status: 'error', error: 'Test output too large' });
+    }
+  });
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-MAX_RESULT_BYTES);
+  });
+
+  child.on('error', (error) => finish({ status: 'error', error: error.message }));
+  child.on('close', (code) => {
+    if (code !== 0) {
+      let error = `Sandbox exited with code ${code}`;
+
+      if (/heap out of memory|allocation failed/i.test(stderr)) {
+        error = 'Memory limit exceeded';
+      } else if (/bad option/i.test(stderr)) {
+        // Older Node versions do not know the permission flags
+        error = `The autograder sandbox needs Node.js 20 or later (running ${process.version})`;
+      }
+
+      return finish({ status: 'error', error });
+    }
+
+    try {
+      finish(JSON.parse(stdout));
+    } catch (error) {
+      finish({ status: 'error', error: 'Sandbox returned an unreadable result' });
+    }
+  });
+
+  // The child may already be gone (e.g. killed); ignore broken pipes
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(payload));
+});
+
+/**
+ * Run an autograder configuration against a piece of code.
+ * Returns { status: 'completed'|'timeout'|'error', score, max_score, tests, error }.
+ */
+const runTestSuite = async (code, autograder) => {
+  const tests = autograder.tests || [];
+  const timeout = autograder.test_timeout_ms || DEFAULT_TEST_TIMEOUT_MS;
+  const maxScore = tests.reduce((sum, test) => sum + (test.points !== undefined ? Number(test.points) : 1), 0);
+
+  const run = await runSandbox(
+    {
+      code: String(code || ''),
+      tests: tests.map(test => ({ name: test.name, code: test.code })),
+      test_timeout_ms: timeout
+    },
+    autograder.memory_limit_mb || DEFAULT_MEMORY_LIMIT_MB,
+    tests.length * timeout * 3 + STARTUP_ALLOWANCE_MS
+  );
+
+  if (!run.tests) {
+    return { status: run.status, score: 0, max_score: maxScore, tests: [], error: run.error };
+  }
+
+  const results = run.tests.map((result, index) => {
+    const points = tests[index].points !== undefined ? Number(tests[index].points) : 1;
+
+    return {
+      ...result,
+      points: result.passed ? points : 0,
+      max_points: points
+    };
+  });
+
+  return {
+    status: 'completed',
+    score: Math.round(results.reduce((sum, r) => sum + r.points, 0) * 100) / 100,
+    max_score: maxScore,
+    tests: results
+  };
+};
+
+/**
+ * The code of one submitted version: the text, or the uploaded file
+ * (up to MAX_CODE_BYTES). Throws when there is nothing to run.
+ */
+const loadSubmissionCode = async (version) => {
+  if (version.submission_type === 'text') {
+    return version.submission_text || '';
+  }
+
+  if (version.submission_type !== 'file' || !version.file_path) {
+    throw new Error('Only text and file submissions can be autograded');
+  }
+
+  if (version.file_size > MAX_CODE_BYTES) {
+    throw new Error(`Submitted file is larger than ${MAX_CODE_BYTES / 1024} KB`);
+  }
+
+  const chunks = [];
+  for await (const chunk of storage.createReadStream(version.file_path)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Save an autograde result on a submission, but only if the student has not
+ * submitted a newer version in the meantime
+ */
+const saveResult = (assignmentId, studentId, version, result) => {
+  // Submissions made before versioning have no version field
+  const versionMatch = version === 1 ? { $in: [1, null] } : version;
+
+  return Assignment.updateOne(
+    { _id: assignmentId, submissions: { $elemMatch: { student_id: studentId, version: versionMatch } } },
+    { $set: { 'submissions.$.autograde': { ...result, version } } }
+  );
+};
+
+/**
+ * Grade one submission now
+ */
+const autogradeSubmission = async ({ assignmentId, studentId, version }) => {
+  const assignment = await Assignment.findById(assignmentId);
+
+  if (!assignment || !assignment.autograder || !assignment.autograder.enabled) {
+    return;
+  }
+
+  const submitted = assignment.getSubmissionVersion(studentId, version);
+
+  if (!submitted) {
+    return;
+  }
+
+  let result;
+
+  try {
+    result = await runTestSuite(await loadSubmissionCode(submitted), assignment.autograder);
+  } catch (error) {
+    result = { status: 'error', score: 0, max_score: 0, tests: [], error: error.message };
+  }
+
+  result.suggested_grade = result.max_score > 0
+    ? Math.round(result.score / result.max_score * assignment.max_marks * 100) / 100
+    : 0;
+  result.run_at = new Date();
+
+  await saveResult(assignment._id, studentId, version, result);
+};
+
+const queue = [];
+let running = 0;
+
+const drainQueue = () => {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    running++;
+
+    autogradeSubmission(job)
+      .catch(error => console.error('Autograde error:', error))
+      .finally(() => {
+        running--;
+        drainQueue();
+      });
+  }
+};
+
+/**
+ * Queue submissions for grading and mark them pending.
+ * jobs: [{ studentId, version }] of one assignment.
+ */
+const queueAutograde = async (assignmentId, jobs) => {
+  for (const { studentId, version } of jobs) {
+    await saveResult(assignmentId, studentId, version, { status: 'pending', queued_at: new Date() });
+
+    // A newer request for the same submission replaces one still waiting
+    const waiting = queue.findIndex(job => String(job.assignmentId) === String(assignmentId) && job.studentId === studentId);
+    if (waiting !== -1) {
+      queue.splice(waiting, 1);
+    }
+
+    queue.push({ assignmentId, studentId, version });
+  }
+
+  drainQueue();
+};
+
+module.exports = {
+  GRADABLE_TYPES,
+  DEFAULT_TEST_TIMEOUT_MS,
+  DEFAULT_MEMORY_LIMIT_MB,
+  validateAutograderSettings,
+  runTestSuite,
+  queueAutograde
+};
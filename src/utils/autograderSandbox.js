@@ -0,0 +1,164 @@
+/**
+ * Autograder Sandbox (child process entry point)
+ *
+ * Started by utils/autograder.js as a separate Node process with an empty
+ * environment, a capped heap and the permission model switched on (no
+ * file system, child process or worker access). Reads
+ * { code, tests: [{ name, code }], test_timeout_ms } as JSON on stdin and
+ * writes { tests: [{ name, passed, message, duration_ms, output }] } to stdout.
+ *
+ * Every test gets a fresh vm context holding only the student's code, a
+ * small assert and a captured console. Only strings cross into a context,
+ * so sandboxed code never holds a reference to an object of this process.
+ *
+ * The student's code runs in the same context as the test, so the assert a
+ * test uses must be out of its reach: the prelude builds it (from built-ins
+ * captured before the student's code can replace them), freezes it and only
+ * hands it to the test function through __runTest, a non-writable,
+ * non-configurable global defined before the student's code runs.
+ */
+
+const vm = require('vm');
+
+const MAX_OUTPUT_CHARS = 2000;
+
+// Defined inside each context so nothing from this realm leaks in
+const PRELUDE = `
+var __output = [];
+var console = (function() {
+  var write = function() {
+    __output.push(Array.prototype.map.call(arguments, function(value) {
+      if (typeof value === 'string') return value;
+      try { return JSON.stringify(value); } catch (error) { return String(value); }
+    }).join(' '));
+  };
+  return { log: write, info: write, warn: write, error: write, debug: write };
+})();
+var module = { exports: {} };
+var exports = module.exports;
+(function(global) {
+  // Captured now: the student's code may overwrite the globals later
+  var is = Object.is;
+  var keys = Object.keys;
+  var freeze = Object.freeze;
+  var defineProperty = Object.defineProperty;
+  var isArray = Array.isArray;
+  var hasOwn = Object.prototype.hasOwnProperty;
+  var apply = Reflect.apply;
+  var stringify = JSON.stringify;
+  var toString = String;
+
+  function AssertionError(message) {
+    this.name = 'AssertionError';
+    this.message = message;
+  }
+  AssertionError.prototype = Object.create(Error.prototype);
+
+  var show = function(value) {
+    try { return stringify(value); } catch (error) { return toString(value); }
+  };
+  var fail = function(message, fallback) {
+    throw new AssertionError(message || fallback);
+  };
+  var deepEqual = function(a, b) {
+    if (is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (isArray(a) !== isArray(b)) return false;
+    var keysA = keys(a);
+    var keysB = keys(b);
+    if (keysA.length !== keysB.length) return false;
+    for (var i = 0; i < keysA.length; i++) {
+      if (!apply(hasOwn, b, [keysA[i]]) || !deepEqual(a[keysA[i]], b[keysA[i]])) return false;
+    }
+    return true;
+  };
+
+  var assert = function(value, message) {
+    if (!value) fail(message, 'Expected ' + show(value) + ' to be truthy');
+  };
+  assert.ok = assert;
+  assert.fail = function(message) { fail(message, 'Failed'); };
+  assert.equal = function(actual, expected, message) {
+    if (actual != expected) fail(message, 'Expected ' + show(actual) + ' == ' + show(expected));
+  };
+  assert.strictEqual = function(actual, expected, message) {
+    if (!is(actual, expected)) fail(message, 'Expected ' + show(actual) + ' to be ' + show(expected));
+  };
+  assert.notStrictEqual = function(actual, expected, message) {
+    if (is(actual, expected)) fail(message, 'Expected ' + show(actual) + ' not to be ' + show(expected));
+  };
+  assert.deepStrictEqual = function(actual, expected, message) {
+    if (!deepEqual(actual, expected)) fail(message, 'Expected ' + show(actual) + ' to deeply equal ' + show(expected));
+  };
+  assert.throws = function(fn, message) {
+    try { fn(); } catch (error) { return; }
+    fail(message, 'Expected function to throw');
+  };
+  freeze(assert);
+
+  defineProperty(global, '__runTest', {
+    value: freeze(function(test) { test(assert); }),
+    writable: false,
+    configurable: false,
+    enumerable: false
+  });
+})(this);
+`;
+
+const describeError = (error) => {
+  if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return 'Time limit exceeded';
+  }
+
+  try {
+    return `${error && error.name ? `${error.name}: ` : ''}${String(error && error.message !== undefined ? error.message : error)}`;
+  } catch (describeFailure) {
+    return 'Test threw an error';
+  }
+};
+
+const runTest = (code, test, timeout) => {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false }
+  });
+  const started = Date.now();
+  const result = { name: test.name, passed: false };
+
+  try {
+    vm.runInContext(PRELUDE, context, { timeout });
+    vm.runInContext(code, context, { filename: 'submission.js', timeout });
+    // The test's assert is a parameter, so no global the student set can shadow it
+    vm.runInContext(`__runTest(function(assert) {\n${test.code}\n});`, context, {
+      filename: `test:${test.name}`,
+      lineOffset: -1,
+      timeout
+    });
+    result.passed = true;
+  } catch (error) {
+    result.message = describeError(error).slice(0, MAX_OUTPUT_CHARS);
+  }
+
+  result.duration_ms = Date.now() - started;
+
+  try {
+    result.output = vm.runInContext('__output.join("\\n")', context, { timeout }).slice(0, MAX_OUTPUT_CHARS);
+  } catch (error) {
+    result.output = '';
+  }
+
+  return result;
+};
+
+let input = '';
+
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  const { code, tests, test_timeout_ms } = JSON.parse(input);
+
+  process.stdout.write(JSON.stringify({
+    tests: tests.map(test => runTest(code, test, test_timeout_ms))
+  }));
+});
@@ -0,0 +1,100 @@
+/**
+ * Blind Grading
+ *
+ * While an assignment is graded blind (blind_grading on and grades not yet
+ * released) graders see each submission under its opaque anonymous_code
+ * instead of the student, and students do not see their grade yet. Once
+ * the instructor releases grades both views return to normal.
+ */
+
+// What a student does not see until grades are released
+const GRADE_FIELDS = [
+  'grade',
+  'raw_grade',
+  'graded_at',
+  'graded_by',
+  'graded_version',
+  'rubric_scores',
+  'rubric_points',
+  'rubric_max_points',
+  'late_penalty_percent',
+  'days_late',
+  'late_penalty_waived',
+  'group_grade',
+  'grade_adjustment',
+  'peer_grade',
+  'annotations',
+  'annotation_deduction',
+  'feedback'
+];
+
+const toPlain = (submission) => (submission.toObject ? submission.toObject() : { ...submission });
+
+/**
+ * A submission as a grader sees it while grading is blind: the student is
+ * replaced by the submission code, and stored file paths (which contain the
+ * student id) are left out; files are downloaded through the API instead.
+ */
+const toBlindSubmission = (submission) => {
+  const { student_id, submitted_by, group_id, file_path, anonymous_code, ...view } = toPlain(submission);
+
+  return {
+    submission_code: anonymous_code,
+    ...view,
+    versions: (view.versions || []).map(({ file_path: versionPath, ...version }) => version)
+  };
+};
+
+/**
+ * A student's own submission with the grade held back until release.
+ * A graded submission shows as submitted (or late) again.
+ */
+const withholdGrade = (view) => {
+  GRADE_FIELDS.forEach(field => {
+    delete view[field];
+  });
+
+  if (view.status === 'graded') {
+    const latest = (view.versions || []).find(v => v.version === view.version);
+    view.status = latest && latest.is_late ? 'late' : 'submitted';
+  }
+
+  return view;
+};
+
+/**
+ * How a response refers to a student: { submission_code } for graders while
+ * grading is blind, { student_id } otherwise
+ */
+const submissionReference = (user, assignment, studentId) => {
+  if (user.role === 'student' || !assignment.isGradingBlind()) {
+    return { student_id: studentId };
+  }
+
+  const submission = assignment.getSubmissionByStudent(studentId);
+
+  return { submission_code: submission ? submission.anonymous_code : null };
+};
+
+/**
+ * The student a grader's reference points at: a submission code while
+ * grading is blind (student ids are not accepted then), a student id
+ * otherwise. Students always refer to themselves by id.
+ * Returns the student id or null.
+ */
+const resolveSubmissionStudent = (user, assignment, reference) => {
+  if (user.role !== 'student' && assignment.isGradingBlind()) {
+    const submission = assignment.getSubmissionByCode(String(reference || '').trim().toUpperCase());
+    return submission ? submission.student_id : null;
+  }
+
+  const studentId = parseInt(reference);
+  return isNaN(studentId) ? null : studentId;
+};
+
+module.exports = {
+  toBlindSubmission,
+  withholdGrade,
+  submissionReference,
+  resolveSubmissionStudent
+};
@@ -0,0 +1,34 @@
+/**
+ * Course Access
+ *
+ * Who may manage a course's content (assignments, quizzes, rubrics, groups,
+ * ...): the instructor who owns the course, and admins. Shared by every
+ * controller that checks course ownership.
+ */
+
+const { executeQuery } = require('../config/mysql');
+
+/**
+ * Check whether the user may manage a course
+ * (instructors only their own courses, admins all)
+ */
+const canManageCourse = (user, instructorId) => {
+  return user.role === 'admin' || instructorId === user.user_id;
+};
+
+/**
+ * Load a course's owner from MySQL
+ */
+const findCourse = async (courseId) => {
+  const courses = await executeQuery(
+    'SELECT course_id, instructor_id FROM courses WHERE course_id = ?',
+    [courseId]
+  );
+
+  return courses[0] || null;
+};
+
+module.exports = {
+  canManageCourse,
+  findCourse
+};
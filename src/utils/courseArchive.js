@@ -0,0 +1,29 @@
+/**
+ * Archived Courses
+ *
+ * An archived course is hidden from the course catalogue and read-only for
+ * its students: they can still open everything they had access to, but
+ * cannot enroll, submit, take quizzes, review or post. Its instructor and
+ * admins keep full access and can unarchive it.
+ */
+
+const { executeQuery } = require('../config/mysql');
+
+const ARCHIVED_COURSE_MESSAGE = 'This course is archived and read-only';
+
+/**
+ * Whether a course is archived (false for unknown courses)
+ */
+const isCourseArchived = async (courseId) => {
+  const courses = await executeQuery(
+    'SELECT is_archived FROM courses WHERE course_id = ?',
+    [courseId]
+  );
+
+  return courses.length > 0 && !!courses[0].is_archived;
+};
+
+module.exports = {
+  ARCHIVED_COURSE_MESSAGE,
+  isCourseArchived
+};
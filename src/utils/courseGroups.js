@@ -0,0 +1,70 @@
+/**
+ * Course Group Lookups
+ *
+ * Shared by the group and assignment controllers.
+ */
+
+const { executeQuery } = require('../config/mysql');
+
+/**
+ * Groups of a course with their members.
+ * Returns [{ group_id, group_name, members: [{ student_id, name, email }] }].
+ */
+const getCourseGroups = async (courseId, groupId = null) => {
+  const groups = await executeQuery(
+    `SELECT group_id, course_id, group_name, created_by, created_at
+     FROM course_groups
+     WHERE course_id = ?${groupId ? ' AND group_id = ?' : ''}
+     ORDER BY group_name`,
+    groupId ? [courseId, groupId] : [courseId]
+  );
+
+  if (groups.length === 0) {
+    return [];
+  }
+
+  const members = await executeQuery(
+    `SELECT m.group_id, u.user_id AS student_id, u.name, u.email
+     FROM course_group_members m
+     INNER JOIN users u ON m.student_id = u.user_id
+     WHERE m.course_id = ?
+     ORDER BY u.name`,
+    [courseId]
+  );
+
+  return groups.map(group => ({
+    ...group,
+    members: members
+      .filter(m => m.group_id === group.group_id)
+      .map(({ group_id, ...member }) => member)
+  }));
+};
+
+/**
+ * The group a student belongs to in a course, with member ids, or null
+ */
+const findStudentGroup = async (courseId, studentId) => {
+  const rows = await executeQuery(
+    `SELECT g.group_id, g.group_name
+     FROM course_group_members m
+     INNER JOIN course_groups g ON m.group_id = g.group_id
+     WHERE m.course_id = ? AND m.student_id = ?`,
+    [courseId, studentId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const members = await executeQuery(
+    'SELECT student_id FROM course_group_members WHERE group_id = ? ORDER BY student_id',
+    [rows[0].group_id]
+  );
+
+  return { ...rows[0], member_ids: members.map(m => m.student_id) };
+};
+
+module.exports = {
+  getCourseGroups,
+  findStudentGroup
+};
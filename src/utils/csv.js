@@ -0,0 +1,143 @@
+/**
+ * CSV Utilities
+ *
+ * RFC 4180 output for spreadsheet exports and parsing for uploads. Cells
+ * that a spreadsheet would run as a formula (=, +, -, @) are prefixed with
+ * a quote on the way out, and the quote is dropped again on the way in.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with trailing CRLF) from a list of values
+ */
+const toCsvRow = (values) => values.map(escapeCell).join(',') + '\r\n';
+
+/**
+ * A whole CSV document.
+ * columns: header names; rows: objects keyed by those names
+ */
+const toCsv = (columns, rows) => {
+  return toCsvRow(columns) + rows.map(row => toCsvRow(columns.map(column => row[column]))).join('');
+};
+
+/**
+ * Split CSV text into rows: [{ cells, line }] where line is the
+ * (1-based) line of the file the row starts on
+ */
+const readCsvRows = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ cells: row, line: rowLine });
+    }
+    row = [];
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      // Line breaks inside a quoted cell still count as lines of the file
+      if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) {
+        line++;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell in CSV');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into rows of cells.
+ * Handles quoted cells (with "" escapes and line breaks), CRLF or LF line
+ * endings and a leading byte order mark. Blank lines are dropped.
+ * Throws on an unterminated quoted cell.
+ */
+const parseCsv = (text) => readCsvRows(text).map(row => row.cells);
+
+/**
+ * Parse CSV with a header row into objects keyed by lowercased header names.
+ * lines[i] is the line of the file that records[i] starts on.
+ */
+const parseCsvRecords = (text) => {
+  const [header = { cells: [] }, ...rows] = readCsvRows(text);
+  const columns = header.cells.map(name => name.trim().toLowerCase());
+
+  return {
+    columns,
+    records: rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row.cells[index]]))),
+    lines: rows.map(row => row.line)
+  };
+};
+
+module.exports = {
+  toCsvRow,
+  toCsv,
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,163 @@
+/**
+ * File Upload Utilities
+ *
+ * Per-course upload limits, checksums and streaming of stored files.
+ * Courses without a row in course_upload_limits use the defaults below.
+ */
+
+const crypto = require('crypto');
+const { executeQuery } = require('../config/mysql');
+const { storage } = require('../config/storage');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Nothing larger is ever accepted, whatever a course allows
+const UPLOAD_HARD_LIMIT_MB = Number(process.env.UPLOAD_HARD_LIMIT_MB) || 50;
+
+const DEFAULT_UPLOAD_LIMITS = {
+  max_file_size_mb: Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10,
+  allowed_mime_types: [
+    'application/pdf',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.*',
+    'text/*',
+    'image/*'
+  ]
+};
+
+/**
+ * Whether a MIME type matches one of the allowed patterns ("image/*" style wildcards)
+ */
+const mimeTypeAllowed = (mimeType, patterns) => {
+  const type = String(mimeType || '').toLowerCase();
+
+  return patterns.some(pattern => {
+    const allowed = String(pattern).toLowerCase();
+    return allowed.endsWith('*')
+      ? type.startsWith(allowed.slice(0, -1))
+      : type === allowed;
+  });
+};
+
+/**
+ * Validate instructor-supplied limits. Returns an error message or null.
+ */
+const validateUploadLimits = ({ max_file_size_mb, allowed_mime_types }) => {
+  if (max_file_size_mb !== undefined &&
+      (isNaN(Number(max_file_size_mb)) || Number(max_file_size_mb) <= 0 ||
+       Number(max_file_size_mb) > UPLOAD_HARD_LIMIT_MB)) {
+    return `max_file_size_mb must be between 0 and ${UPLOAD_HARD_LIMIT_MB}`;
+  }
+
+  if (allowed_mime_types !== undefined && allowed_mime_types !== null &&
+      (!Array.isArray(allowed_mime_types) || allowed_mime_types.length === 0 ||
+       allowed_mime_types.some(type => !/^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+\*?)$/i.test(String(type))))) {
+    return 'allowed_mime_types must be a non-empty list like ["application/pdf", "image/*"]';
+  }
+
+  return null;
+};
+
+/**
+ * Effective upload limits for a course
+ */
+const getCourseUploadLimits = async (courseId) => {
+  const rows = await executeQuery(
+    'SELECT max_file_size_mb, allowed_mime_types, updated_at FROM course_upload_limits WHERE course_id = ?',
+    [courseId]
+  );
+
+  if (rows.length === 0) {
+    return { ...DEFAULT_UPLOAD_LIMITS, is_default: true };
+  }
+
+  return {
+    max_file_size_mb: Number(rows[0].max_file_size_mb),
+    allowed_mime_types: rows[0].allowed_mime_types || DEFAULT_UPLOAD_LIMITS.allowed_mime_types,
+    is_default: false,
+    updated_at: rows[0].updated_at
+  };
+};
+
+/**
+ * Check an uploaded file against a course's limits. Returns an error message or null.
+ */
+const checkUploadAgainstLimits = (file, limits) => {
+  if (file.size > limits.max_file_size_mb * BYTES_PER_MB) {
+    return `File exceeds this course's ${limits.max_file_size_mb} MB limit`;
+  }
+
+  if (!mimeTypeAllowed(file.mimetype, limits.allowed_mime_types)) {
+    return `File type ${file.mimetype || 'unknown'} is not allowed in this course`;
+  }
+
+  return null;
+};
+
+/**
+ * Save an uploaded file under a key prefix and describe it.
+ * Returns { file_path, file_name, file_size, mime_type, checksum }.
+ */
+const storeUpload = async (file, keyPrefix) => {
+  const safeName = String(file.originalname || 'file')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .slice(-100);
+  const key = `${keyPrefix}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeName}`;
+
+  await storage.save(key, file.buffer);
+
+  return {
+    file_path: key,
+    file_name: file.originalname,
+    file_size: file.size,
+    mime_type: file.mimetype,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex')
+  };
+};
+
+/**
+ * Stream a stored file as a download.
+ * Returns false (without responding) when the file is missing from storage.
+ */
+const sendStoredFile = async (res, { file_path, file_name, mime_type, checksum }) => {
+  if (!file_path || !(await storage.exists(file_path))) {
+    return false;
+  }
+
+  res.attachment(file_name || file_path.split('/').pop());
+  res.type(mime_type || 'application/octet-stream');
+  if (checksum) {
+    res.set('X-Checksum-SHA256', checksum);
+  }
+
+  await new Promise((resolve, reject) => {
+    const stream = storage.createReadStream(file_path);
+    stream.on('error', (error) => {
+      // Once bytes are out the only option is to cut the connection
+      if (res.headersSent) {
+        res.destroy(error);
+        resolve();
+      } else {
+        reject(error);
+      }
+    });
+    stream.on('end', resolve);
+    stream.pipe(res);
+  });
+
+  return true;
+};
+
+module.exports = {
+  BYTES_PER_MB,
+  UPLOAD_HARD_LIMIT_MB,
+  DEFAULT_UPLOAD_LIMITS,
+  mimeTypeAllowed,
+  validateUploadLimits,
+  getCourseUploadLimits,
+  checkUploadAgainstLimits,
+  storeUpload,
+  sendStoredFile
+};
@@ -0,0 +1,345 @@
+/**
+ * Moodle GIFT Format
+ *
+ * Converts between GIFT question bank text and the portal's question
+ * shape ({ question_type, question_text, options, correct_answer, ... }).
+ * Parsed items are { name, source_type, question, warnings } for
+ * supported questions or { name, source_type, unsupported } otherwise.
+ */
+
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+// Longest pool tag the quiz_questions table stores
+const MAX_POOL_TAG_LENGTH = 50;
+
+/**
+ * Map a Moodle category path ("$course$/top/Unit 1") to a pool tag.
+ * The course's top category means no pool; only the last segment is kept.
+ */
+const categoryToPoolTag = (path) => {
+  const segments = String(path || '').split('/').map(s => s.trim())
+    .filter(s => s && s !== 'top' && !/^\$\w+\$$/.test(s));
+
+  return segments.length > 0 ? segments[segments.length - 1].slice(0, MAX_POOL_TAG_LENGTH) : null;
+};
+
+/**
+ * Remove GIFT escapes (\~ \= \# \{ \} \: \\ and \n)
+ */
+const unescapeGift = (text) => {
+  return text.replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char)).trim();
+};
+
+const escapeGift = (text) => {
+  return String(text).replace(SPECIAL_CHARACTERS, '\\$&').replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Index of the first unescaped occurrence of any character in `chars`, from `start`
+ */
+const findUnescaped = (text, chars, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Split on every unescaped occurrence of a single character
+ */
+const splitUnescaped = (text, char) => {
+  const parts = [];
+  let start = 0;
+  let index = findUnescaped(text, char);
+  while (index !== -1) {
+    parts.push(text.slice(start, index));
+    start = index + 1;
+    index = findUnescaped(text, char, start);
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+/**
+ * Split an answer block into [{ marker, weight, text, feedback }]
+ */
+const splitAnswers = (body) => {
+  const answers = [];
+  let index = findUnescaped(body, '=~');
+
+  while (index !== -1) {
+    const next = findUnescaped(body, '=~', index + 1);
+    const raw = body.slice(index + 1, next === -1 ? body.length : next);
+    const [answerText, ...feedback] = splitUnescaped(raw, '#');
+    const weightMatch = answerText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+
+    answers.push({
+      marker: body[index],
+      weight: weightMatch ? Number(weightMatch[1]) : null,
+      text: unescapeGift(weightMatch ? answerText.slice(weightMatch[0].length) : answerText),
+      feedback: feedback.join('#').trim()
+    });
+    index = next;
+  }
+
+  return answers;
+};
+
+/**
+ * Parse a numeric answer: "value", "value:tolerance" or "min..max"
+ */
+const parseNumericAnswer = (text) => {
+  const range = text.match(/^\s*(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)\s*$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { numeric_answer: (min + max) / 2, numeric_tolerance: Math.abs(max - min) / 2 };
+  }
+
+  const [value, tolerance] = text.split(':');
+  return { numeric_answer: Number(value), numeric_tolerance: tolerance !== undefined ? Number(tolerance) : 0 };
+};
+
+/**
+ * Interpret the text between { } for one question
+ */
+const parseAnswerBlock = (body, item) => {
+  const warnings = item.warnings;
+  let content = body.trim();
+
+  // General feedback: ####text at the end of the block
+  const generalFeedback = content.match(/(^|[^\\])####([\s\S]*)$/);
+  if (generalFeedback) {
+    item.question.explanation = unescapeGift(generalFeedback[2]);
+    content = content.slice(0, generalFeedback.index + generalFeedback[1].length).trim();
+  }
+
+  if (content === '') {
+    item.source_type = 'essay';
+    item.question.question_type = 'essay';
+    return;
+  }
+
+  const trueFalse = content.match(/^(T|TRUE|F|FALSE)\s*(#[\s\S]*)?$/i);
+  if (trueFalse) {
+    item.source_type = 'truefalse';
+    item.question.question_type = 'true_false';
+    item.question.correct_answer = trueFalse[1].toUpperCase().startsWith('T');
+    if (trueFalse[2]) {
+      warnings.push('Answer feedback is not supported and was dropped');
+    }
+    return;
+  }
+
+  if (content.startsWith('#')) {
+    item.source_type = 'numerical';
+    const numericBody = content.slice(1).trim();
+    let answers;
+    if (/^[=~]/.test(numericBody)) {
+      answers = splitAnswers(numericBody);
+    } else {
+      const [text, ...feedback] = splitUnescaped(numericBody, '#');
+      answers = [{ marker: '=', weight: null, text, feedback: feedback.join('#').trim() }];
+    }
+    const full = answers.find(a => a.marker === '=' && (a.weight === null || a.weight === 100));
+
+    if (!full) {
+      item.unsupported = 'Numeric question has no answer worth full marks';
+      return;
+    }
+    if (answers.length > 1) {
+      warnings.push('Only the full-mark numeric answer was kept; partial credit answers were dropped');
+    }
+
+    item.question.question_type = 'numeric';
+    Object.assign(item.question, parseNumericAnswer(unescapeGift(full.text)));
+    return;
+  }
+
+  if (/(^|[^\\])->/.test(content)) {
+    item.source_type = 'matching';
+    item.unsupported = 'Matching questions are not supported';
+    return;
+  }
+
+  const answers = splitAnswers(content);
+
+  if (answers.length === 0) {
+    item.unsupported = 'Answer block could not be parsed';
+    return;
+  }
+
+  if (answers.some(a => a.feedback)) {
+    warnings.push('Answer feedback is not supported and was dropped');
+  }
+
+  // Only "=" answers: short answer with accepted responses
+  if (answers.every(a => a.marker === '=')) {
+    item.source_type = 'shortanswer';
+    const accepted = answers.filter(a => a.weight === null || a.weight === 100);
+    if (accepted.length < answers.length) {
+      warnings.push('Partial credit answers are not supported and were dropped');
+    }
+    item.question.question_type = 'short_text';
+    item.question.options = accepted.map(a => ({ option_text: a.text }));
+    return;
+  }
+
+  item.source_type = 'multichoice';
+  const isCorrect = (a) => a.marker === '=' || (a.weight !== null && a.weight > 0);
+  const correctCount = answers.filter(isCorrect).length;
+  const partialCredit = answers.some(a => a.weight !== null && a.weight !== 0 && a.weight !== 100);
+
+  // Moodle marks single-answer questions with "="; weighted "~" answers mean multiple answers
+  const singleAnswer = correctCount === 1 && answers.some(a => a.marker === '=');
+  item.question.question_type = singleAnswer ? 'multiple_choice' : 'multi_select';
+  item.question.options = answers.map(a => ({ option_text: a.text, is_correct: isCorrect(a) }));
+
+  if (partialCredit) {
+    warnings.push('Partial credit weights were converted to all-or-nothing scoring');
+  }
+};
+
+/**
+ * Parse GIFT text into question items
+ */
+const parseGift = (content) => {
+  const lines = String(content).replace(/\r\n?/g, '\n').split('\n')
+    .filter(line => !line.trim().startsWith('//'));
+
+  const blocks = [];
+  let current = [];
+  let category = null;
+
+  const flush = () => {
+    if (current.length > 0) {
+      blocks.push({ text: current.join('\n'), category });
+      current = [];
+    }
+  };
+
+  lines.forEach(line => {
+    const categoryMatch = line.trim().match(/^\$CATEGORY:\s*(.*)$/i);
+    if (categoryMatch) {
+      flush();
+      category = categoryToPoolTag(categoryMatch[1]);
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      current.push(line);
+    }
+  });
+  flush();
+
+  return blocks.map(block => {
+    let text = block.text.trim();
+    let name = null;
+
+    const title = text.match(/^::((?:\\.|[^:\\]|:(?!:))*)::/);
+    if (title) {
+      name = unescapeGift(title[1]);
+      text = text.slice(title[0].length).trim();
+    }
+
+    const item = {
+      name,
+      source_type: 'description',
+      question: { pool_tag: block.category },
+      warnings: []
+    };
+
+    const open = findUnescaped(text, '{');
+    const close = open === -1 ? -1 : findUnescaped(text, '}', open + 1);
+
+    if (open === -1 || close === -1) {
+      item.name = item.name || unescapeGift(text).slice(0, 50);
+      item.unsupported = open === -1
+        ? 'Description items without answers are not supported'
+        : 'Answer block is missing its closing }';
+      return item;
+    }
+
+    // Missing word format: the answer block sits inside the sentence
+    const before = text.slice(0, open).replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+    const after = text.slice(close + 1);
+    item.question.question_text = unescapeGift(after.trim() ? `${before.trim()} _____ ${after.trim()}` : before);
+    item.name = item.name || item.question.question_text.slice(0, 50);
+
+    parseAnswerBlock(text.slice(open + 1, close), item);
+    return item;
+  });
+};
+
+/**
+ * Answer block for one stored question.
+ * Returns { block, warning } where warning notes a lossy conversion.
+ */
+const toAnswerBlock = (question) => {
+  const options = question.options || [];
+  const correct = options.filter(o => o.is_correct);
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+      return { block: options.map(o => `${o.is_correct ? '=' : '~'}${escapeGift(o.option_text)}`).join(' ') };
+    case 'multi_select': {
+      const weight = Math.floor(10000000 / correct.length) / 100000;
+      return {
+        block: options.map(o => `~%${o.is_correct ? weight : -100}%${escapeGift(o.option_text)}`).join(' ')
+      };
+    }
+    case 'true_false': {
+      const answer = correct.length > 0 && correct[0].option_text === 'True';
+      return { block: answer ? 'TRUE' : 'FALSE' };
+    }
+    case 'numeric':
+      return { block: `#${Number(question.numeric_answer)}:${Number(question.numeric_tolerance) || 0}` };
+    case 'short_text':
+      if (correct.length === 0) {
+        return { block: '', warning: 'Manually graded short text question exported as an essay' };
+      }
+      return { block: correct.map(o => `=${escapeGift(o.option_text)}`).join(' ') };
+    case 'essay':
+    default:
+      return { block: '' };
+  }
+};
+
+/**
+ * Serialize stored questions to GIFT text.
+ * Returns { content, items: [{ name, warnings }] }.
+ */
+const toGift = (questions) => {
+  let category = null;
+  const sections = [];
+  const items = [];
+
+  questions.forEach((question, index) => {
+    const poolTag = question.pool_tag || null;
+    if (poolTag !== category) {
+      sections.push(`$CATEGORY: $course$/top${poolTag ? `/${poolTag}` : ''}`);
+      category = poolTag;
+    }
+
+    const name = `Q${index + 1}`;
+    const { block, warning } = toAnswerBlock(question);
+    const feedback = question.explanation ? ` ####${escapeGift(question.explanation)}` : '';
+
+    sections.push(`::${name}:: ${escapeGift(question.question_text)} {${block}${feedback}}`);
+    items.push({ name, warnings: warning ? [warning] : [] });
+  });
+
+  return { content: sections.join('\n\n') + '\n', items };
+};
+
+module.exports = {
+  MAX_POOL_TAG_LENGTH,
+  categoryToPoolTag,
+  parseGift,
+  toGift,
+  escapeGift,
+  unescapeGift
+};
@@ -0,0 +1,211 @@
+/**
+ * Quiz Item Analysis
+ *
+ * Classical test theory statistics for a quiz's questions:
+ * difficulty, discrimination (upper vs lower 27%), distractor
+ * frequencies and Cronbach's alpha for the quiz as a whole.
+ */
+
+// Share of examinees in each of the upper and lower scoring groups
+const GROUP_FRACTION = 0.27;
+
+// Thresholds used to flag questions worth reviewing
+const FLAG_THRESHOLDS = {
+  tooHard: 0.2,
+  tooEasy: 0.9,
+  lowDiscrimination: 0.2
+};
+
+const OPTION_TYPES = ['multiple_choice', 'multi_select', 'true_false'];
+
+const round = (value, places = 3) => {
+  if (value === null || isNaN(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => {
+  return values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+};
+
+/**
+ * Population variance
+ */
+const variance = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const avg = mean(values);
+  return values.reduce((sum, v) => sum + (v - avg) * (v - avg), 0) / values.length;
+};
+
+const isBlank = (response) => {
+  return response === null || response === undefined || response === '' ||
+    (Array.isArray(response) && response.length === 0);
+};
+
+/**
+ * Option ids selected by a stored response
+ */
+const selectedOptionIds = (response) => {
+  if (isBlank(response)) {
+    return [];
+  }
+  const values = Array.isArray(response) ? response : [response];
+  return [...new Set(values.map(v => parseInt(v)).filter(v => !isNaN(v)))];
+};
+
+/**
+ * Cronbach's alpha over a complete score matrix (rows = examinees, columns = items).
+ * Returns null when fewer than two items or two examinees, or when total scores do not vary.
+ */
+const cronbachAlpha = (matrix) => {
+  if (matrix.length < 2 || matrix[0].length < 2) {
+    return null;
+  }
+
+  const itemCount = matrix[0].length;
+  let itemVarianceSum = 0;
+  for (let i = 0; i < itemCount; i++) {
+    itemVarianceSum += variance(matrix.map(row => row[i]));
+  }
+
+  const totalVariance = variance(matrix.map(row => row.reduce((sum, v) => sum + v, 0)));
+  if (!totalVariance) {
+    return null;
+  }
+
+  return (itemCount / (itemCount - 1)) * (1 - itemVarianceSum / totalVariance);
+};
+
+/**
+ * Analyse a set of graded attempts.
+ *
+ * `questions` come with their options including is_correct.
+ * `attempts` are [{ submission_id, answers: [{ question_id, response, is_correct, marks_awarded }] }]
+ * where answers only cover the questions shown in that attempt.
+ * Answers still awaiting manual grading (marks_awarded NULL) are left out.
+ */
+const analyzeItems = (questions, attempts) => {
+  const marksById = new Map(questions.map(q => [q.question_id, Number(q.marks)]));
+
+  // Item scores per attempt as a proportion of the question's marks
+  const examinees = attempts.map(attempt => {
+    const scores = new Map();
+    const responses = new Map();
+    let awarded = 0;
+    let available = 0;
+
+    attempt.answers.forEach(answer => {
+      const marks = marksById.get(answer.question_id);
+      if (!marks || answer.marks_awarded === null || answer.marks_awarded === undefined) {
+        return;
+      }
+      scores.set(answer.question_id, Number(answer.marks_awarded) / marks);
+      responses.set(answer.question_id, answer.response);
+      awarded += Number(answer.marks_awarded);
+      available += marks;
+    });
+
+    return {
+      submission_id: attempt.submission_id,
+      scores,
+      responses,
+      total_ratio: available ? awarded / available : 0
+    };
+  }).filter(examinee => examinee.scores.size > 0);
+
+  // Upper and lower groups by overall score; pooled quizzes differ in length, so rank by ratio
+  const ranked = [...examinees].sort((a, b) => b.total_ratio - a.total_ratio);
+  const groupSize = Math.floor(ranked.length * GROUP_FRACTION);
+  const upper = new Set(ranked.slice(0, groupSize).map(e => e.submission_id));
+  const lower = new Set(groupSize > 0 ? ranked.slice(-groupSize).map(e => e.submission_id) : []);
+
+  const items = questions.map(question => {
+    const seen = examinees.filter(e => e.scores.has(question.question_id));
+    const scores = seen.map(e => e.scores.get(question.question_id));
+    const upperScores = seen.filter(e => upper.has(e.submission_id)).map(e => e.scores.get(question.question_id));
+    const lowerScores = seen.filter(e => lower.has(e.submission_id)).map(e => e.scores.get(question.question_id));
+
+    const difficulty = mean(scores);
+    const discrimination = upperScores.length > 0 && lowerScores.length > 0
+      ? mean(upperScores) - mean(lowerScores)
+      : null;
+
+    const item = {
+      question_id: question.question_id,
+      question_type: question.question_type,
+      question_text: question.question_text,
+      pool_tag: question.pool_tag || null,
+      responses: seen.length,
+      difficulty: round(difficulty),
+      discrimination: round(discrimination),
+      upper_group_difficulty: round(mean(upperScores)),
+      lower_group_difficulty: round(mean(lowerScores)),
+      options: null,
+      omitted: seen.filter(e => isBlank(e.responses.get(question.question_id))).length,
+      flags: []
+    };
+
+    if (OPTION_TYPES.includes(question.question_type)) {
+      item.options = (question.options || []).map(option => {
+        const chose = (e) => selectedOptionIds(e.responses.get(question.question_id)).includes(option.option_id);
+        const count = seen.filter(chose).length;
+        const upperCount = seen.filter(e => upper.has(e.submission_id) && chose(e)).length;
+        const lowerCount = seen.filter(e => lower.has(e.submission_id) && chose(e)).length;
+
+        return {
+          option_id: option.option_id,
+          option_text: option.option_text,
+          is_correct: !!option.is_correct,
+          count,
+          proportion: round(seen.length ? count / seen.length : null),
+          upper_count: upperCount,
+          lower_count: lowerCount
+        };
+      });
+
+      item.options.filter(o => !o.is_correct).forEach(distractor => {
+        if (seen.length > 0 && distractor.count === 0) {
+          item.flags.push(`Distractor "${distractor.option_text}" was never chosen`);
+        } else if (distractor.upper_count > distractor.lower_count) {
+          item.flags.push(`Distractor "${distractor.option_text}" attracts more high scorers than low scorers`);
+        }
+      });
+    }
+
+    if (difficulty !== null && difficulty < FLAG_THRESHOLDS.tooHard) {
+      item.flags.unshift('Very difficult');
+    } else if (difficulty !== null && difficulty > FLAG_THRESHOLDS.tooEasy) {
+      item.flags.unshift('Very easy');
+    }
+    if (discrimination !== null && discrimination < FLAG_THRESHOLDS.lowDiscrimination) {
+      item.flags.unshift(discrimination < 0 ? 'Negative discrimination' : 'Low discrimination');
+    }
+
+    return item;
+  });
+
+  // Alpha needs a complete matrix: use questions answered in every graded attempt
+  const commonItems = questions
+    .map(q => q.question_id)
+    .filter(id => examinees.length > 0 && examinees.every(e => e.scores.has(id)));
+  const alpha = cronbachAlpha(examinees.map(e => commonItems.map(id => e.scores.get(id))));
+
+  return {
+    attempts_analyzed: examinees.length,
+    group_size: groupSize,
+    cronbach_alpha: round(alpha),
+    alpha_item_count: commonItems.length,
+    items
+  };
+};
+
+module.exports = {
+  GROUP_FRACTION,
+  FLAG_THRESHOLDS,
+  cronbachAlpha,
+  analyzeItems
+};
@@ -0,0 +1,91 @@
+/**
+ * Late Penalty Utilities
+ *
+ * Late policies shared by quizzes and assignments:
+ * - reject: nothing is accepted after the due date
+ * - flat: a fixed percentage is deducted from late work
+ * - percent_per_day: the percentage is deducted for every started day late (up to 100%)
+ */
+
+const LATE_POLICIES = ['reject', 'flat', 'percent_per_day'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a late policy and its penalty percentage.
+ * Returns an error message, or null if valid.
+ */
+const validateLatePolicy = (policy, penaltyPercent) => {
+  if (policy !== undefined && !LATE_POLICIES.includes(policy)) {
+    return `late_policy must be one of: ${LATE_POLICIES.join(', ')}`;
+  }
+
+  if (penaltyPercent !== undefined &&
+      (isNaN(Number(penaltyPercent)) || Number(penaltyPercent) < 0 || Number(penaltyPercent) > 100)) {
+    return 'late_penalty_percent must be between 0 and 100';
+  }
+
+  return null;
+};
+
+/**
+ * Work out how late a submission is and the penalty it earns.
+ * `graceSeconds` absorbs network latency right at the deadline.
+ * Returns { is_late, days_late, penalty_percent }.
+ */
+const computeLatePenalty = (policy, penaltyPercent, dueDate, submittedAt, graceSeconds = 0) => {
+  if (!dueDate || !submittedAt) {
+    return { is_late: false, days_late: 0, penalty_percent: 0 };
+  }
+
+  const lateMs = new Date(submittedAt).getTime() - new Date(dueDate).getTime();
+
+  if (lateMs <= graceSeconds * 1000) {
+    return { is_late: false, days_late: 0, penalty_percent: 0 };
+  }
+
+  const daysLate = Math.ceil(lateMs / MS_PER_DAY);
+  const percent = Number(penaltyPercent) || 0;
+
+  switch (policy) {
+    case 'flat':
+      return { is_late: true, days_late: daysLate, penalty_percent: Math.min(percent, 100) };
+    case 'percent_per_day':
+      return { is_late: true, days_late: daysLate, penalty_percent: Math.min(roundMarks(percent * daysLate), 100) };
+    case 'reject':
+    default:
+      // Late work should have been refused; if it got through it earns nothing
+      return { is_late: true, days_late: daysLate, penalty_percent: 100 };
+  }
+};
+
+/**
+ * Deduct a penalty percentage from a mark
+ */
+const applyLatePenalty = (marks, penaltyPercent) => {
+  if (marks === null || marks === undefined) {
+    return marks;
+  }
+  return roundMarks(Number(marks) * (1 - (Number(penaltyPercent) || 0) / 100));
+};
+
+/**
+ * When submissions stop being accepted: the due date under the reject
+ * policy, otherwise the explicit close date (null = never closes).
+ */
+const resolveCloseDate = (policy, dueDate, closeDate) => {
+  if (policy === 'reject' && dueDate) {
+    return closeDate && new Date(closeDate) < new Date(dueDate) ? closeDate : dueDate;
+  }
+  return closeDate || null;
+};
+
+module.exports = {
+  LATE_POLICIES,
+  validateLatePolicy,
+  computeLatePenalty,
+  applyLatePenalty,
+  resolveCloseDate
+};
@@ -0,0 +1,315 @@
+/**
+ * Moodle XML Format
+ *
+ * Converts between Moodle XML question banks and the portal's question
+ * shape. Parsed items follow the same shape as the GIFT parser:
+ * { name, source_type, question, warnings } or { name, source_type, unsupported }.
+ */
+
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { categoryToPoolTag } = require('./giftFormat');
+
+// Moodle types that have no equivalent question type here
+const UNSUPPORTED_TYPES = {
+  description: 'Description items without answers are not supported',
+  matching: 'Matching questions are not supported',
+  randomsamatch: 'Random short-answer matching questions are not supported',
+  cloze: 'Embedded answer (Cloze) questions are not supported',
+  multianswer: 'Embedded answer (Cloze) questions are not supported',
+  calculated: 'Calculated questions are not supported',
+  calculatedsimple: 'Calculated questions are not supported',
+  calculatedmulti: 'Calculated questions are not supported',
+  ddwtos: 'Drag and drop questions are not supported',
+  ddimageortext: 'Drag and drop questions are not supported',
+  ddmarker: 'Drag and drop questions are not supported',
+  gapselect: 'Select missing words questions are not supported',
+  random: 'Random questions are not supported'
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['question', 'answer'].includes(name)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true
+});
+
+/**
+ * Text content of a Moodle <x><text>...</text></x> element
+ */
+const readText = (node) => {
+  if (node === undefined || node === null) {
+    return '';
+  }
+  if (typeof node !== 'object') {
+    return String(node);
+  }
+  return node.text === undefined ? String(node['#text'] || '') : readText(node.text);
+};
+
+/**
+ * Reduce Moodle HTML to plain text
+ */
+const htmlToText = (html) => {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const readFormattedText = (node) => {
+  const text = readText(node);
+  return node && node['@_format'] === 'html' ? htmlToText(text) : text.trim();
+};
+
+const isTrue = (value) => ['true', '1'].includes(String(value).trim().toLowerCase());
+
+/**
+ * Convert one <question> element into a parsed item
+ */
+const parseQuestion = (node, poolTag) => {
+  const type = node['@_type'];
+  const item = {
+    name: readText(node.name).trim() || null,
+    source_type: type,
+    question: {
+      question_text: readFormattedText(node.questiontext),
+      pool_tag: poolTag
+    },
+    warnings: []
+  };
+
+  if (UNSUPPORTED_TYPES[type] || !type) {
+    item.unsupported = UNSUPPORTED_TYPES[type] || 'Question type is missing';
+    return item;
+  }
+
+  const generalFeedback = readFormattedText(node.generalfeedback);
+  if (generalFeedback) {
+    item.question.explanation = generalFeedback;
+  }
+  if (node.defaultgrade !== undefined && Number(node.defaultgrade) > 0) {
+    item.question.marks = Number(node.defaultgrade);
+  }
+
+  const answers = (node.answer || []).map(answer => ({
+    fraction: Number(answer['@_fraction'] || 0),
+    text: answer['@_format'] === 'html' ? htmlToText(readText(answer)) : readText(answer).trim(),
+    tolerance: answer.tolerance,
+    has_feedback: !!readText(answer.feedback).trim()
+  }));
+
+  if (answers.some(a => a.has_feedback)) {
+    item.warnings.push('Answer feedback is not supported and was dropped');
+  }
+
+  switch (type) {
+    case 'multichoice':
+    case 'multichoiceset': {
+      const single = type === 'multichoice' && isTrue(node.single === undefined ? 'true' : node.single);
+      item.question.question_type = single ? 'multiple_choice' : 'multi_select';
+      item.question.options = answers.map(a => ({
+        option_text: a.text,
+        is_correct: single ? a.fraction === 100 : a.fraction > 0
+      }));
+      if (answers.some(a => a.fraction !== 0 && a.fraction !== 100 && (single || a.fraction < 0))) {
+        item.warnings.push('Partial credit and negative marks were converted to all-or-nothing scoring');
+      }
+      return item;
+    }
+    case 'truefalse': {
+      const correct = answers.find(a => a.fraction === 100);
+      item.question.question_type = 'true_false';
+      item.question.correct_answer = correct ? isTrue(correct.text) : undefined;
+      return item;
+    }
+    case 'shortanswer': {
+      const accepted = answers.filter(a => a.fraction === 100);
+      if (accepted.length < answers.length) {
+        item.warnings.push('Partial credit answers are not supported and were dropped');
+      }
+      if (accepted.some(a => a.text.includes('*'))) {
+        item.warnings.push('Wildcard (*) answers are matched literally');
+      }
+      if (isTrue(node.usecase || '0')) {
+        item.warnings.push('Case-sensitive matching is not supported; answers are compared case-insensitively');
+      }
+      item.question.question_type = 'short_text';
+      item.question.options = accepted.map(a => ({ option_text: a.text }));
+      return item;
+    }
+    case 'numerical': {
+      const full = answers.find(a => a.fraction === 100);
+      if (!full || full.text === '*') {
+        item.unsupported = 'Numeric question has no answer worth full marks';
+        return item;
+      }
+      if (answers.length > 1) {
+        item.warnings.push('Only the full-mark numeric answer was kept; partial credit answers were dropped');
+      }
+      if (node.units) {
+        item.warnings.push('Units are not supported and were dropped');
+      }
+      item.question.question_type = 'numeric';
+      item.question.numeric_answer = Number(full.text);
+      item.question.numeric_tolerance = Number(full.tolerance) || 0;
+      return item;
+    }
+    case 'essay':
+      item.question.question_type = 'essay';
+      return item;
+    default:
+      item.unsupported = `Question type "${type}" is not supported`;
+      return item;
+  }
+};
+
+/**
+ * Parse a Moodle XML document into question items.
+ * Throws when the document is not a Moodle <quiz>.
+ */
+const parseMoodleXml = (content) => {
+  const document = parser.parse(String(content));
+
+  if (!document.quiz) {
+    throw new Error('Moodle XML must have a <quiz> root element');
+  }
+
+  let poolTag = null;
+  const items = [];
+
+  (document.quiz.question || []).forEach(node => {
+    if (node['@_type'] === 'category') {
+      poolTag = categoryToPoolTag(readText(node.category));
+    } else {
+      items.push(parseQuestion(node, poolTag));
+    }
+  });
+
+  return items;
+};
+
+const textNode = (text) => ({ text: text === undefined || text === null ? '' : String(text) });
+
+/**
+ * Moodle answer elements and type for one stored question
+ */
+const toMoodleQuestion = (question) => {
+  const options = question.options || [];
+  const correct = options.filter(o => o.is_correct);
+  const answer = (fraction, text, extra = {}) => ({
+    '@_fraction': fraction,
+    '@_format': 'plain_text',
+    text: String(text),
+    ...extra
+  });
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+    case 'multi_select': {
+      const single = question.question_type === 'multiple_choice';
+      const weight = Math.floor(10000000 / Math.max(correct.length, 1)) / 100000;
+      return {
+        type: 'multichoice',
+        fields: {
+          single: single ? 'true' : 'false',
+          shuffleanswers: '1',
+          answernumbering: 'abc',
+          answer: options.map(o => answer(o.is_correct ? (single ? 100 : weight) : (single ? 0 : -100), o.option_text))
+        }
+      };
+    }
+    case 'true_false': {
+      const isTrueCorrect = correct.length > 0 && correct[0].option_text === 'True';
+      return {
+        type: 'truefalse',
+        fields: {
+          answer: [answer(isTrueCorrect ? 100 : 0, 'true'), answer(isTrueCorrect ? 0 : 100, 'false')]
+        }
+      };
+    }
+    case 'numeric':
+      return {
+        type: 'numerical',
+        fields: {
+          answer: [answer(100, Number(question.numeric_answer), { tolerance: Number(question.numeric_tolerance) || 0 })]
+        }
+      };
+    case 'short_text':
+      if (correct.length === 0) {
+        return {
+          type: 'essay',
+          fields: { responseformat: 'editor' },
+          warning: 'Manually graded short text question exported as an essay'
+        };
+      }
+      return {
+        type: 'shortanswer',
+        fields: {
+          usecase: '0',
+          answer: correct.map(o => answer(100, o.option_text))
+        }
+      };
+    case 'essay':
+    default:
+      return { type: 'essay', fields: { responseformat: 'editor' } };
+  }
+};
+
+/**
+ * Serialize stored questions to a Moodle XML document.
+ * Returns { content, items: [{ name, warnings }] }.
+ */
+const toMoodleXml = (questions) => {
+  let category = null;
+  const nodes = [];
+  const items = [];
+
+  questions.forEach((question, index) => {
+    const poolTag = question.pool_tag || null;
+    if (poolTag !== category) {
+      nodes.push({
+        '@_type': 'category',
+        category: textNode(`$course$/top${poolTag ? `/${poolTag}` : ''}`)
+      });
+      category = poolTag;
+    }
+
+    const name = `Q${index + 1}`;
+    const { type, fields, warning } = toMoodleQuestion(question);
+
+    nodes.push({
+      '@_type': type,
+      name: textNode(name),
+      questiontext: { '@_format': 'plain_text', ...textNode(question.question_text) },
+      generalfeedback: { '@_format': 'plain_text', ...textNode(question.explanation || '') },
+      defaultgrade: Number(question.marks),
+      ...fields
+    });
+    items.push({ name, warnings: warning ? [warning] : [] });
+  });
+
+  const xml = builder.build({ quiz: { question: nodes } });
+
+  return { content: `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`, items };
+};
+
+module.exports = {
+  parseMoodleXml,
+  toMoodleXml
+};
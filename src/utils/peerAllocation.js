@@ -0,0 +1,101 @@
+/**
+ * Peer Review Allocation
+ *
+ * Assigns each submission to K reviewers drawn from the course's enrolled
+ * students. Nobody reviews their own work or the same author twice, and
+ * the workload is kept balanced: every pick goes to the eligible reviewer
+ * with the fewest reviews so far, ties broken by a seeded shuffle so a
+ * given assignment always allocates the same way.
+ */
+
+const { hashSeed, createRng, shuffle } = require('./quizRandomizer');
+
+/**
+ * Allocate reviewers to authors.
+ * authors:   student ids that submitted
+ * reviewers: student ids that may review (enrolled students)
+ * existing:  [{ author_id, reviewer_id }] pairs already allocated (kept, and
+ *            counted towards K and towards each reviewer's load)
+ * Returns { pairs: [{ author_id, reviewer_id }] (new pairs only),
+ *           shortfall: [{ author_id, wanted, assigned }] }.
+ */
+const allocateReviewers = ({ authors, reviewers, perSubmission, existing = [], seedKey }) => {
+  const rng = createRng(hashSeed(String(seedKey)));
+  const rank = new Map(shuffle([...new Set(reviewers)], rng).map((id, index) => [id, index]));
+
+  const load = new Map([...rank.keys()].map(id => [id, 0]));
+  const assigned = new Map();
+
+  existing.forEach(({ author_id, reviewer_id }) => {
+    if (load.has(reviewer_id)) {
+      load.set(reviewer_id, load.get(reviewer_id) + 1);
+    }
+    if (!assigned.has(author_id)) {
+      assigned.set(author_id, new Set());
+    }
+    assigned.get(author_id).add(reviewer_id);
+  });
+
+  const pairs = [];
+  const shortfall = [];
+
+  shuffle([...new Set(authors)], rng).forEach(authorId => {
+    const current = assigned.get(authorId) || new Set();
+    const needed = perSubmission - current.size;
+
+    if (needed <= 0) {
+      return;
+    }
+
+    const picks = [...rank.keys()]
+      .filter(id => id !== authorId && !current.has(id))
+      .sort((a, b) => (load.get(a) - load.get(b)) || (rank.get(a) - rank.get(b)))
+      .slice(0, needed);
+
+    picks.forEach(reviewerId => {
+      load.set(reviewerId, load.get(reviewerId) + 1);
+      current.add(reviewerId);
+      pairs.push({ author_id: authorId, reviewer_id: reviewerId });
+    });
+    assigned.set(authorId, current);
+
+    if (current.size < perSubmission) {
+      shortfall.push({ author_id: authorId, wanted: perSubmission, assigned: current.size });
+    }
+  });
+
+  return { pairs, shortfall };
+};
+
+/**
+ * Combine completed peer reviews of one submission.
+ * The suggested grade uses the median so a single harsh or generous
+ * reviewer cannot move it much.
+ * Returns { review_count, average_points, median_points, max_points, suggested_grade }.
+ */
+const aggregatePeerScores = (reviews, maxMarks) => {
+  const completed = reviews.filter(r => r.status === 'completed');
+
+  if (completed.length === 0) {
+    return { review_count: 0, average_points: null, median_points: null, max_points: null, suggested_grade: null };
+  }
+
+  const points = completed.map(r => r.points).sort((a, b) => a - b);
+  const middle = Math.floor(points.length / 2);
+  const median = points.length % 2 ? points[middle] : (points[middle - 1] + points[middle]) / 2;
+  const maxPoints = completed[0].max_points;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    review_count: completed.length,
+    average_points: round(points.reduce((sum, p) => sum + p, 0) / points.length),
+    median_points: round(median),
+    max_points: maxPoints,
+    suggested_grade: maxPoints > 0 ? round(median / maxPoints * maxMarks) : 0
+  };
+};
+
+module.exports = {
+  allocateReviewers,
+  aggregatePeerScores
+};
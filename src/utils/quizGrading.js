@@ -0,0 +1,291 @@
+/**
+ * Quiz Grading Utilities
+ *
+ * Pure helpers for validating quiz questions and scoring answers
+ * against the answer key stored in MySQL (quiz_questions / question_options).
+ */
+
+const QUESTION_TYPES = [
+  'multiple_choice',
+  'multi_select',
+  'true_false',
+  'numeric',
+  'short_text',
+  'essay'
+];
+
+/**
+ * Whether a question is scored by an instructor instead of the answer key.
+ * Essays always are; short text questions are when no accepted answers exist.
+ */
+const requiresManualGrading = (question) => {
+  if (question.question_type === 'essay') {
+    return true;
+  }
+  return question.question_type === 'short_text' &&
+    !(question.options || []).some(o => o.is_correct);
+};
+
+/**
+ * Normalize free text for comparison (case and whitespace insensitive)
+ */
+const normalizeText = (value) => {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate question data posted by an instructor.
+ * Returns an error message, or null if the question is valid.
+ */
+const validateQuestion = (question) => {
+  const { question_type, question_text, marks, options, correct_answer, numeric_answer } = question;
+
+  if (!QUESTION_TYPES.includes(question_type)) {
+    return `Question type must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+
+  if (!question_text || !String(question_text).trim()) {
+    return 'Question text is required';
+  }
+
+  if (marks !== undefined && (isNaN(Number(marks)) || Number(marks) <= 0)) {
+    return 'Question marks must be a positive number';
+  }
+
+  if (question.pool_tag !== undefined && question.pool_tag !== null &&
+      (typeof question.pool_tag !== 'string' || question.pool_tag.trim().length > 50)) {
+    return 'pool_tag must be a string of at most 50 characters';
+  }
+
+  switch (question_type) {
+    case 'multiple_choice':
+    case 'multi_select': {
+      if (!Array.isArray(options) || options.length < 2) {
+        return 'At least two options are required';
+      }
+      if (options.some(o => !o || !String(o.option_text || '').trim())) {
+        return 'Every option needs option_text';
+      }
+      const correctCount = options.filter(o => o.is_correct).length;
+      if (question_type === 'multiple_choice' && correctCount !== 1) {
+        return 'Multiple choice questions need exactly one correct option';
+      }
+      if (question_type === 'multi_select' && correctCount < 1) {
+        return 'Multi-select questions need at least one correct option';
+      }
+      return null;
+    }
+    case 'true_false':
+      if (typeof correct_answer !== 'boolean') {
+        return 'True/false questions need a boolean correct_answer';
+      }
+      return null;
+    case 'numeric':
+      if (numeric_answer === undefined || numeric_answer === null || isNaN(Number(numeric_answer))) {
+        return 'Numeric questions need a numeric_answer';
+      }
+      return null;
+    case 'short_text':
+      // Without accepted answers the question is graded manually
+      if (options !== undefined && (!Array.isArray(options) ||
+          options.some(o => !o || !String(o.option_text || '').trim()))) {
+        return 'Short text accepted answers must be options with option_text';
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build the option rows to store for a validated question.
+ * True/false questions get generated True/False options; short text
+ * questions store every accepted answer as a correct option.
+ */
+const buildOptionRows = (question) => {
+  switch (question.question_type) {
+    case 'true_false':
+      return [
+        { option_text: 'True', is_correct: question.correct_answer === true },
+        { option_text: 'False', is_correct: question.correct_answer === false }
+      ];
+    case 'short_text':
+      return (question.options || []).map(o => ({ option_text: String(o.option_text).trim(), is_correct: true }));
+    case 'multiple_choice':
+    case 'multi_select':
+      return question.options.map(o => ({ option_text: String(o.option_text).trim(), is_correct: !!o.is_correct }));
+    default:
+      return [];
+  }
+};
+
+/**
+ * Convert posted answers into a Map of question_id -> response.
+ * Accepts either [{ question_id, answer }] or { [question_id]: answer }.
+ */
+const normalizeAnswers = (answers) => {
+  const responses = new Map();
+
+  if (Array.isArray(answers)) {
+    answers.forEach(a => {
+      if (a && a.question_id !== undefined) {
+        responses.set(parseInt(a.question_id), a.answer);
+      }
+    });
+  } else if (answers && typeof answers === 'object') {
+    Object.keys(answers).forEach(key => {
+      responses.set(parseInt(key), answers[key]);
+    });
+  }
+
+  return responses;
+};
+
+const isBlank = (response) => {
+  return response === undefined || response === null || response === '' ||
+    (Array.isArray(response) && response.length === 0);
+};
+
+/**
+ * Grade a single question.
+ * `question.options` must include is_correct for option-based types.
+ * Manually graded questions come back with null marks until an instructor scores them.
+ */
+const gradeQuestion = (question, response) => {
+  const marks = Number(question.marks);
+
+  if (isBlank(response)) {
+    return { is_correct: false, marks_awarded: 0 };
+  }
+
+  if (requiresManualGrading(question)) {
+    return { is_correct: null, marks_awarded: null };
+  }
+
+  let isCorrect = false;
+  const options = question.options || [];
+  const correctIds = options.filter(o => o.is_correct).map(o => o.option_id);
+
+  switch (question.question_type) {
+    case 'multiple_choice':
+    case 'true_false':
+      isCorrect = correctIds.includes(parseInt(response));
+      break;
+    case 'multi_select': {
+      const selected = [...new Set((Array.isArray(response) ? response : [response]).map(id => parseInt(id)))];
+      isCorrect = selected.length === correctIds.length &&
+        selected.every(id => correctIds.includes(id));
+      break;
+    }
+    case 'numeric': {
+      const value = Number(response);
+      const tolerance = Math.abs(Number(question.numeric_tolerance) || 0);
+      isCorrect = !isNaN(value) && Math.abs(value - Number(question.numeric_answer)) <= tolerance + 1e-9;
+      break;
+    }
+    case 'short_text': {
+      const given = normalizeText(response);
+      isCorrect = options.some(o => o.is_correct && normalizeText(o.option_text) === given);
+      break;
+    }
+    default:
+      isCorrect = false;
+  }
+
+  return { is_correct: isCorrect, marks_awarded: isCorrect ? marks : 0 };
+};
+
+/**
+ * Grade a full submission.
+ * Marks are summed per question and scaled to the quiz's max_marks.
+ * Answers awaiting manual grading count as 0 until scored (pending_count > 0).
+ */
+const gradeSubmission = (questions, answers, maxMarks) => {
+  const responses = normalizeAnswers(answers);
+  let totalAwarded = 0;
+  let totalAvailable = 0;
+  let pendingCount = 0;
+
+  const results = questions.map(question => {
+    const response = responses.has(question.question_id)
+      ? responses.get(question.question_id)
+      : null;
+    const { is_correct, marks_awarded } = gradeQuestion(question, response);
+
+    if (marks_awarded === null) {
+      pendingCount++;
+    } else {
+      totalAwarded += marks_awarded;
+    }
+    totalAvailable += Number(question.marks);
+
+    return {
+      question_id: question.question_id,
+      response: isBlank(response) ? null : response,
+      is_correct,
+      marks_awarded
+    };
+  });
+
+  return {
+    results,
+    total_awarded: roundMarks(totalAwarded),
+    total_available: roundMarks(totalAvailable),
+    marks_obtained: scaleMarks(totalAwarded, totalAvailable, maxMarks),
+    pending_count: pendingCount
+  };
+};
+
+/**
+ * Scale raw question marks to the quiz's max_marks
+ */
+const scaleMarks = (awarded, available, maxMarks) => {
+  if (!available) {
+    return 0;
+  }
+  return roundMarks((awarded / available) * Number(maxMarks));
+};
+
+const SCORING_POLICIES = ['highest', 'latest', 'average'];
+
+/**
+ * Final score for a student from their closed attempts.
+ * Attempts still in progress (marks_obtained NULL) are ignored.
+ */
+const computeFinalScore = (attempts, policy = 'highest') => {
+  const scored = attempts
+    .filter(a => a.marks_obtained !== null && a.marks_obtained !== undefined)
+    .sort((a, b) => a.attempt_number - b.attempt_number);
+  
+  if (scored.length === 0) {
+    return null;
+  }
+  
+  const marks = scored.map(a => Number(a.marks_obtained));
+  
+  switch (policy) {
+    case 'latest':
+      return marks[marks.length - 1];
+    case 'average':
+      return roundMarks(marks.reduce((sum, m) => sum + m, 0) / marks.length);
+    case 'highest':
+    default:
+      return Math.max(...marks);
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  SCORING_POLICIES,
+  requiresManualGrading,
+  validateQuestion,
+  buildOptionRows,
+  normalizeAnswers,
+  gradeQuestion,
+  gradeSubmission,
+  scaleMarks,
+  roundMarks,
+  computeFinalScore
+};
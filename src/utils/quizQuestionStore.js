@@ -0,0 +1,116 @@
+/**
+ * Quiz Question Store
+ *
+ * MySQL reads and writes for quiz questions shared by the quiz
+ * controller and the command line import/export script.
+ */
+
+const { executeQuery, executeTransaction } = require('../config/mysql');
+const { buildOptionRows } = require('./quizGrading');
+
+/**
+ * Load a quiz's questions with their options, including the answer key
+ */
+const loadQuestionsWithOptions = async (quizId) => {
+  const questions = await executeQuery(
+    `SELECT question_id, quiz_id, question_type, question_text, marks, position,
+            pool_tag, numeric_answer, numeric_tolerance, explanation
+     FROM quiz_questions
+     WHERE quiz_id = ?
+     ORDER BY position, question_id`,
+    [quizId]
+  );
+
+  const options = await executeQuery(
+    `SELECT o.option_id, o.question_id, o.option_text, o.is_correct, o.position
+     FROM question_options o
+     JOIN quiz_questions qq ON o.question_id = qq.question_id
+     WHERE qq.quiz_id = ?
+     ORDER BY o.position, o.option_id`,
+    [quizId]
+  );
+
+  return questions.map(question => ({
+    ...question,
+    options: options.filter(o => o.question_id === question.question_id)
+  }));
+};
+
+/**
+ * Insert a validated question and its options inside a transaction
+ */
+const insertQuestion = async (connection, quizId, question, position) => {
+  const [result] = await connection.execute(
+    `INSERT INTO quiz_questions
+     (quiz_id, question_type, question_text, marks, position, pool_tag,
+      numeric_answer, numeric_tolerance, explanation)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      quizId,
+      question.question_type,
+      question.question_text,
+      question.marks !== undefined ? Number(question.marks) : 1,
+      position,
+      question.pool_tag ? question.pool_tag.trim() : null,
+      question.question_type === 'numeric' ? Number(question.numeric_answer) : null,
+      question.question_type === 'numeric' ? Number(question.numeric_tolerance) || 0 : 0,
+      question.explanation || null
+    ]
+  );
+
+  await insertQuestionOptions(connection, result.insertId, question);
+
+  return result.insertId;
+};
+
+const insertQuestionOptions = async (connection, questionId, question) => {
+  const optionRows = buildOptionRows(question);
+
+  for (let i = 0; i < optionRows.length; i++) {
+    await connection.execute(
+      'INSERT INTO question_options (question_id, option_text, is_correct, position) VALUES (?, ?, ?, ?)',
+      [questionId, optionRows[i].option_text, optionRows[i].is_correct, i + 1]
+    );
+  }
+};
+
+/**
+ * Save imported questions in one transaction.
+ * Appends to quizId when given, otherwise creates a new unpublished quiz
+ * titled `title` at the end of the course's quiz order.
+ * Returns { quiz_id, question_ids }.
+ */
+const saveImportedQuestions = async ({ courseId, quizId = null, title, questions }) => {
+  return executeTransaction(async (connection) => {
+    let targetQuizId = quizId;
+
+    if (!targetQuizId) {
+      const [result] = await connection.execute(
+        `INSERT INTO quizzes (course_id, title, is_active, position)
+         SELECT ?, ?, FALSE, COALESCE(MAX(position), 0) + 1
+         FROM quizzes WHERE course_id = ?`,
+        [courseId, title, courseId]
+      );
+      targetQuizId = result.insertId;
+    }
+
+    const [positions] = await connection.execute(
+      'SELECT COALESCE(MAX(position), 0) as last_position FROM quiz_questions WHERE quiz_id = ?',
+      [targetQuizId]
+    );
+
+    const questionIds = [];
+    for (let i = 0; i < questions.length; i++) {
+      questionIds.push(await insertQuestion(connection, targetQuizId, questions[i], positions[0].last_position + i + 1));
+    }
+
+    return { quiz_id: targetQuizId, question_ids: questionIds };
+  });
+};
+
+module.exports = {
+  loadQuestionsWithOptions,
+  insertQuestion,
+  insertQuestionOptions,
+  saveImportedQuestions
+};
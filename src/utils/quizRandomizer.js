@@ -0,0 +1,106 @@
+/**
+ * Quiz Randomizer
+ *
+ * Deterministic question drawing and shuffling per attempt.
+ * The same seed key always produces the same layout, so an attempt
+ * can be rebuilt exactly; the drawn layout is still persisted in
+ * quiz_attempt_questions so later edits to the pool cannot change it.
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string, used as the PRNG seed
+ */
+const hashSeed = (key) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mulberry32 PRNG - small, fast and good enough for shuffling
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle returning a new array
+ */
+const shuffle = (items, rng) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Build the question layout for one attempt.
+ *
+ * - Questions without a pool_tag are always included.
+ * - For a pool_tag with a rule, draw_count questions are drawn from that pool.
+ * - Pools without a rule are included in full.
+ *
+ * Returns [{ question_id, position, option_order }] where option_order is
+ * the list of option ids in display order (null when options are not shuffled).
+ */
+const buildAttemptLayout = (questions, rules, settings, seedKey) => {
+  const rng = createRng(hashSeed(seedKey));
+  const drawCounts = new Map(rules.map(rule => [rule.pool_tag, rule.draw_count]));
+
+  const pools = new Map();
+  questions.forEach(question => {
+    const tag = question.pool_tag || null;
+    if (!pools.has(tag)) {
+      pools.set(tag, []);
+    }
+    pools.get(tag).push(question);
+  });
+
+  // Draw pools in a stable order so the layout only depends on the seed
+  let selected = [];
+  [...pools.keys()].sort((a, b) => String(a).localeCompare(String(b))).forEach(tag => {
+    const pool = pools.get(tag);
+    if (tag !== null && drawCounts.has(tag)) {
+      selected = selected.concat(shuffle(pool, rng).slice(0, drawCounts.get(tag)));
+    } else {
+      selected = selected.concat(pool);
+    }
+  });
+
+  const ordered = settings.shuffle_questions
+    ? shuffle(selected, rng)
+    : selected.sort((a, b) => a.position - b.position || a.question_id - b.question_id);
+
+  return ordered.map((question, index) => {
+    const options = question.options || [];
+    const shuffleOptions = settings.shuffle_options &&
+      question.question_type !== 'true_false' &&
+      question.question_type !== 'short_text' &&
+      options.length > 1;
+
+    return {
+      question_id: question.question_id,
+      position: index + 1,
+      option_order: shuffleOptions ? shuffle(options, rng).map(o => o.option_id) : null
+    };
+  });
+};
+
+module.exports = {
+  hashSeed,
+  createRng,
+  shuffle,
+  buildAttemptLayout
+};
@@ -0,0 +1,208 @@
+/**
+ * Submission Similarity
+ *
+ * Local plagiarism check for text and code submissions using winnowing
+ * (Schleimer, Wilkerson & Aiken, 2003). Each text is normalized
+ * (lowercased, whitespace removed), hashed in overlapping k-grams, and
+ * the minimum hash of every window of W k-grams is kept as a fingerprint.
+ * Any shared run of at least K + W - 1 normalized characters is
+ * guaranteed to produce a shared fingerprint; runs shorter than K never do.
+ */
+
+// k-gram length and winnowing window, in normalized characters
+const KGRAM_LENGTH = 20;
+const WINDOW_SIZE = 20;
+
+/**
+ * Lowercase and drop whitespace, remembering where each kept
+ * character sits in the original text.
+ */
+const normalize = (text) => {
+  const source = String(text || '');
+  const chars = [];
+  const offsets = [];
+
+  for (let i = 0; i < source.length; i++) {
+    if (!/\s/.test(source[i])) {
+      chars.push(source[i].toLowerCase());
+      offsets.push(i);
+    }
+  }
+
+  return { text: chars.join(''), offsets };
+};
+
+// 32-bit FNV-1a
+const hashKgram = (text, start, length) => {
+  let hash = 0x811c9dc5;
+  for (let i = start; i < start + length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Winnow a text.
+ * Returns { fingerprints: [{ hash, position }], offsets } where position is
+ * the start of the k-gram in the normalized text.
+ */
+const fingerprint = (text) => {
+  const normalized = normalize(text);
+  const count = normalized.text.length - KGRAM_LENGTH + 1;
+  const fingerprints = [];
+
+  if (count <= 0) {
+    return { fingerprints, offsets: normalized.offsets };
+  }
+
+  const hashes = new Array(count);
+  for (let i = 0; i < count; i++) {
+    hashes[i] = hashKgram(normalized.text, i, KGRAM_LENGTH);
+  }
+
+  // Texts shorter than one window contribute their single minimum
+  const windows = Math.max(1, count - WINDOW_SIZE + 1);
+  let lastPicked = -1;
+
+  for (let start = 0; start < windows; start++) {
+    const end = Math.min(count, start + WINDOW_SIZE);
+    let min = start;
+
+    // Rightmost minimum, so consecutive windows tend to agree
+    for (let i = start + 1; i < end; i++) {
+      if (hashes[i] <= hashes[min]) {
+        min = i;
+      }
+    }
+
+    if (min !== lastPicked) {
+      fingerprints.push({ hash: hashes[min], position: min });
+      lastPicked = min;
+    }
+  }
+
+  return { fingerprints, offsets: normalized.offsets };
+};
+
+/**
+ * Fingerprint every document, ignoring hashes found in `baseText`
+ * (starter code or instructions everyone was given).
+ * documents: [{ id, text }]
+ * Returns [{ id, fingerprints, offsets, hashes: Set }].
+ */
+const fingerprintDocuments = (documents, baseText = '') => {
+  const ignored = new Set(fingerprint(baseText).fingerprints.map(f => f.hash));
+
+  return documents.map(({ id, text }) => {
+    const { fingerprints, offsets } = fingerprint(text);
+    const kept = fingerprints.filter(f => !ignored.has(f.hash));
+
+    return { id, fingerprints: kept, offsets, hashes: new Set(kept.map(f => f.hash)) };
+  });
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score two fingerprinted documents.
+ * overlap_a / overlap_b: share of each side's fingerprints found in the other;
+ * similarity: the larger of the two, so copying a small part of a long
+ * submission still shows up on the short one.
+ */
+const scorePair = (a, b) => {
+  let shared = 0;
+  a.hashes.forEach(hash => {
+    if (b.hashes.has(hash)) shared++;
+  });
+
+  const overlapA = a.hashes.size ? shared / a.hashes.size : 0;
+  const overlapB = b.hashes.size ? shared / b.hashes.size : 0;
+
+  return {
+    similarity: round(Math.max(overlapA, overlapB)),
+    overlap_a: round(overlapA),
+    overlap_b: round(overlapB),
+    shared_fingerprints: shared
+  };
+};
+
+/**
+ * Compare every pair of documents.
+ * skipPair(idA, idB) may exclude pairs (e.g. members of the same group).
+ * Returns pairs with at least `minSimilarity`, most similar first:
+ * [{ a, b, similarity, overlap_a, overlap_b, shared_fingerprints }].
+ */
+const comparePairs = (docs, { minSimilarity = 0, skipPair = () => false } = {}) => {
+  // Inverted index so only documents sharing a hash are ever paired
+  const index = new Map();
+  docs.forEach((doc, docIndex) => {
+    doc.hashes.forEach(hash => {
+      if (!index.has(hash)) index.set(hash, []);
+      index.get(hash).push(docIndex);
+    });
+  });
+
+  const candidates = new Set();
+  index.forEach(docIndexes => {
+    for (let i = 0; i < docIndexes.length; i++) {
+      for (let j = i + 1; j < docIndexes.length; j++) {
+        candidates.add(docIndexes[i] * docs.length + docIndexes[j]);
+      }
+    }
+  });
+
+  const pairs = [];
+  candidates.forEach(key => {
+    const a = docs[Math.floor(key / docs.length)];
+    const b = docs[key % docs.length];
+
+    if (skipPair(a.id, b.id)) {
+      return;
+    }
+
+    const score = scorePair(a, b);
+    if (score.similarity >= minSimilarity && score.shared_fingerprints > 0) {
+      pairs.push({ a: a.id, b: b.id, ...score });
+    }
+  });
+
+  return pairs.sort((x, y) => y.similarity - x.similarity || y.shared_fingerprints - x.shared_fingerprints);
+};
+
+/**
+ * Character ranges of `doc` covered by fingerprints it shares with `other`,
+ * merged and mapped back to offsets in the original text.
+ * Returns [{ start, end }] (end exclusive).
+ */
+const matchingSpans = (doc, other) => {
+  const ranges = doc.fingerprints
+    .filter(f => other.hashes.has(f.hash))
+    .map(f => [f.position, f.position + KGRAM_LENGTH - 1])
+    .sort((x, y) => x[0] - y[0]);
+
+  const merged = [];
+  ranges.forEach(([start, last]) => {
+    const previous = merged[merged.length - 1];
+    if (previous && start <= previous[1] + 1) {
+      previous[1] = Math.max(previous[1], last);
+    } else {
+      merged.push([start, last]);
+    }
+  });
+
+  return merged.map(([start, last]) => ({
+    start: doc.offsets[start],
+    end: doc.offsets[last] + 1
+  }));
+};
+
+module.exports = {
+  KGRAM_LENGTH,
+  WINDOW_SIZE,
+  fingerprint,
+  fingerprintDocuments,
+  scorePair,
+  comparePairs,
+  matchingSpans
+};
@@ -0,0 +1,123 @@
+/**
+ * Submission Archive
+ *
+ * Streams every student's latest submission to an assignment as one ZIP
+ * for offline grading: uploaded files as they were submitted, text as
+ * .txt and links as .url shortcuts, each named after the student and the
+ * submission status (or, while grading is blind, after the submission
+ * code), plus a manifest.csv. Entries are added one at a time, so only one stored file is open and memory use does not grow
+ * with the class size.
+ */
+
+const { once } = require('events');
+const archiver = require('archiver');
+const { storage } = require('../config/storage');
+const { toCsv } = require('./csv');
+
+const MANIFEST_COLUMNS = [
+  'student_id',
+  'student_name',
+  'student_email',
+  'group_id',
+  'status',
+  'version',
+  'submitted_at',
+  'submission_type',
+  'archive_path',
+  'original_file_name',
+  'submission_link',
+  'checksum_sha256',
+  'grade',
+  'note'
+];
+
+// Blind grading: nothing in the archive may identify the student
+const BLIND_MANIFEST_COLUMNS = [
+  'submission_code',
+  ...MANIFEST_COLUMNS.filter(column => !column.startsWith('student_') && column !== 'group_id')
+];
+
+/**
+ * Make a string safe to use in an archive path
+ */
+const safeName = (value, fallback = 'unnamed') => {
+  const name = String(value || '')
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[_.]+|_+$/g, '')
+    .slice(0, 80);
+
+  return name || fallback;
+};
+
+/**
+ * Download file name for an assignment's archive
+ */
+const archiveFileName = (assignment) => `${safeName(assignment.assignment_title, 'assignment')}_submissions.zip`;
+
+/**
+ * Write the archive to `output` (e.g. an Express response).
+ * students: Map of student_id → { name, email } (unused when blind)
+ * Resolves once the archive has been finalized.
+ */
+const streamSubmissionArchive = async (output, assignment, students, { blind = false } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const root = safeName(assignment.assignment_title, 'assignment');
+  const manifest = [];
+
+  archive.pipe(output);
+
+  const addEntry = async (source, name) => {
+    archive.append(source, { name: `${root}/${name}` });
+    // Wait until the entry is written before opening the next one
+    await once(archive, 'entry');
+  };
+
+  for (const submission of assignment.submissions) {
+    const student = blind ? {} : students.get(submission.student_id) || {};
+    const base = blind
+      ? `${safeName(submission.anonymous_code, 'submission')}_${submission.status}`
+      : `${safeName(student.name, 'student')}_${submission.student_id}_${submission.status}`;
+
+    const row = {
+      submission_code: submission.anonymous_code,
+      student_id: submission.student_id,
+      student_name: student.name,
+      student_email: student.email,
+      group_id: submission.group_id,
+      status: submission.status,
+      version: submission.version || 1,
+      submitted_at: submission.submitted_at,
+      submission_type: submission.submission_type,
+      original_file_name: submission.file_name,
+      submission_link: submission.submission_link,
+      checksum_sha256: submission.checksum,
+      grade: submission.grade
+    };
+
+    if (submission.submission_type === 'file') {
+      if (submission.file_path && await storage.exists(submission.file_path)) {
+        row.archive_path = `${base}__${safeName(submission.file_name, 'file')}`;
+        await addEntry(storage.createReadStream(submission.file_path), row.archive_path);
+      } else {
+        row.note = 'file missing from storage';
+      }
+    } else if (submission.submission_type === 'text') {
+      row.archive_path = `${base}.txt`;
+      await addEntry(`${submission.submission_text || ''}\n`, row.archive_path);
+    } else if (submission.submission_type === 'link') {
+      row.archive_path = `${base}.url`;
+      await addEntry(`[InternetShortcut]\r\nURL=${submission.submission_link || ''}\r\n`, row.archive_path);
+    }
+
+    manifest.push(row);
+  }
+
+  await addEntry(toCsv(blind ? BLIND_MANIFEST_COLUMNS : MANIFEST_COLUMNS, manifest), 'manifest.csv');
+  await archive.finalize();
+};
+
+module.exports = {
+  archiveFileName,
+  streamSubmissionArchive
+};
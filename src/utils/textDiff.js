@@ -0,0 +1,119 @@
+/**
+ * Text Diff
+ *
+ * Line-based diff (longest common subsequence) used to compare versions
+ * of text submissions. Common leading and trailing lines are stripped
+ * before the LCS table is built, so typical edits stay cheap.
+ */
+
+// Above this many changed lines (old x new) the LCS table is not built
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = (text) => {
+  const normalized = String(text || '').replace(/\r\n?/g, '\n');
+  return normalized === '' ? [] : normalized.split('\n');
+};
+
+/**
+ * Diff two texts line by line.
+ * Returns { lines: [{ type: 'equal'|'removed'|'added', text, old_line, new_line }],
+ *           summary: { added, removed, unchanged }, truncated }.
+ * When the changed region is too large, it is reported as one removal
+ * followed by one addition and `truncated` is true.
+ */
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const lines = [];
+  const equal = (oldIndex, newIndex) => lines.push({
+    type: 'equal', text: oldLines[oldIndex], old_line: oldIndex + 1, new_line: newIndex + 1
+  });
+  const removed = (oldIndex) => lines.push({
+    type: 'removed', text: oldLines[oldIndex], old_line: oldIndex + 1, new_line: null
+  });
+  const added = (newIndex) => lines.push({
+    type: 'added', text: newLines[newIndex], old_line: null, new_line: newIndex + 1
+  });
+
+  for (let i = 0; i < start; i++) {
+    equal(i, i);
+  }
+
+  const rows = oldEnd - start;
+  const cols = newEnd - start;
+  const truncated = rows * cols > MAX_DIFF_CELLS;
+
+  if (truncated) {
+    for (let i = start; i < oldEnd; i++) removed(i);
+    for (let j = start; j < newEnd; j++) added(j);
+  } else {
+    // lcs[i][j] = LCS length of oldLines[start + i..] and newLines[start + j..]
+    const width = cols + 1;
+    const lcs = new Uint32Array((rows + 1) * width);
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i * width + j] = oldLines[start + i] === newLines[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && oldLines[start + i] === newLines[start + j]) {
+        equal(start + i, start + j);
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        removed(start + i);
+        i++;
+      } else {
+        added(start + j);
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < oldLines.length - oldEnd; k++) {
+    equal(oldEnd + k, newEnd + k);
+  }
+
+  return {
+    lines,
+    summary: {
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length,
+      unchanged: lines.filter(line => line.type === 'equal').length
+    },
+    truncated
+  };
+};
+
+/**
+ * Render a diff in unified format ("-", "+" and " " prefixed lines)
+ */
+const toUnifiedText = (diff) => {
+  const prefix = { equal: ' ', removed: '-', added: '+' };
+  return diff.lines.map(line => `${prefix[line.type]}${line.text}`).join('\n');
+};
+
+module.exports = {
+  MAX_DIFF_CELLS,
+  diffLines,
+  toUnifiedText
+};